@@ -0,0 +1,455 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const FormDefinition = require('../models/FormDefinition');
+const Submission = require('../models/Submission');
+const whatsappClient = require('../services/whatsappClient');
+const messageQueue = require('../services/messageQueue');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const consentService = require('../services/consentService');
+const verificationTokenService = require('../services/verificationTokenService');
+const mediaStore = require('../services/mediaStore');
+const { validateSubmission } = require('../utils/formValidation');
+const { patternError } = require('../utils/safeRegex');
+const { storeUploads, forwardAttachments } = require('../utils/mediaUpload');
+const { renderTemplate } = require('../services/templateService');
+const { validate: validateTemplate } = require('../utils/templateEngine');
+const { formTemplateData, upgradeLegacyPlaceholders } = require('../utils/messageTemplates');
+const { resolveLocale } = require('../utils/locale');
+const { resolveRecipients } = require('../services/routingService');
+const { scheduleFollowUp } = require('../services/scheduler');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Fields a client may set on a form definition
+const EDITABLE_FIELDS = ['name', 'description', 'sessionId', 'fields', 'customerPhoneField', 'consentField', 'sendCustomerConfirmation', 'phoneVerification', 'destinationNumbers', 'templates', 'followUpHours', 'active'];
+
+function pickEditable(body) {
+  const update = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) update[key] = body[key];
+  }
+  return update;
+}
+
+// Field names must be unique within a form
+function duplicateFieldNames(fields) {
+  const names = (fields || []).map((f) => f && f.name);
+  return names.filter((name, i) => names.indexOf(name) !== i);
+}
+
+// Returns a syntax error message for the first invalid inline template, or null
+function templateError(templates) {
+  for (const key of ['customer', 'admin', 'followUp']) {
+    if (!templates || !templates[key]) continue;
+    try {
+      validateTemplate(upgradeLegacyPlaceholders(templates[key]));
+    } catch (error) {
+      return `templates.${key}: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+// Returns an error message for the first unusable field pattern, or null
+function fieldPatternError(fields) {
+  for (const [i, field] of (fields || []).entries()) {
+    if (!field || !field.pattern) continue;
+    const invalid = patternError(String(field.pattern));
+    if (invalid) return `fields[${i}].pattern ${invalid}`;
+  }
+  return null;
+}
+
+// The consent field, if any, must be one of the form's checkbox fields
+function consentFieldError(fields, consentField) {
+  if (!consentField) return null;
+  const field = (fields || []).find((f) => f && f.name === consentField);
+  if (!field) return `consentField: no field named "${consentField}"`;
+  if (field.type !== 'checkbox') return 'consentField must name a checkbox field';
+  return null;
+}
+
+function handleWriteError(res, error, event) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, error: 'A form with this formId already exists' });
+  }
+  logger.error({ event, error: error.message });
+  res.status(500).json({ success: false, error: 'Failed to save form definition' });
+}
+
+exports.listForms = async (req, res) => {
+  try {
+    const filter = req.query.active !== undefined ? { active: req.query.active === 'true' } : {};
+    const forms = await FormDefinition.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, forms });
+  } catch (error) {
+    logger.error({ event: 'FormListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list forms' });
+  }
+};
+
+exports.getForm = async (req, res) => {
+  try {
+    const form = await FormDefinition.findOne({ formId: req.params.formId });
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+    res.json({ success: true, form });
+  } catch (error) {
+    logger.error({ event: 'FormGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get form' });
+  }
+};
+
+exports.createForm = async (req, res) => {
+  try {
+    const duplicates = duplicateFieldNames(req.body.fields);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ success: false, error: `Duplicate field names: ${duplicates.join(', ')}` });
+    }
+    const invalidTemplate = templateError(req.body.templates);
+    if (invalidTemplate) {
+      return res.status(400).json({ success: false, error: invalidTemplate });
+    }
+    const invalidPattern = fieldPatternError(req.body.fields);
+    if (invalidPattern) {
+      return res.status(400).json({ success: false, error: invalidPattern });
+    }
+    const invalidConsentField = consentFieldError(req.body.fields, req.body.consentField);
+    if (invalidConsentField) {
+      return res.status(400).json({ success: false, error: invalidConsentField });
+    }
+
+    const form = await FormDefinition.create({ formId: req.body.formId, ...pickEditable(req.body) });
+    logger.info({ event: 'FormCreated', formId: form.formId });
+    res.status(201).json({ success: true, form });
+  } catch (error) {
+    handleWriteError(res, error, 'FormCreateError');
+  }
+};
+
+exports.updateForm = async (req, res) => {
+  try {
+    const update = pickEditable(req.body);
+    const duplicates = duplicateFieldNames(update.fields);
+    if (duplicates.length > 0) {
+      return res.status(400).json({ success: false, error: `Duplicate field names: ${duplicates.join(', ')}` });
+    }
+    const invalidTemplate = templateError(update.templates);
+    if (invalidTemplate) {
+      return res.status(400).json({ success: false, error: invalidTemplate });
+    }
+    const invalidPattern = fieldPatternError(update.fields);
+    if (invalidPattern) {
+      return res.status(400).json({ success: false, error: invalidPattern });
+    }
+    // Changing either the fields or the consent field may leave it pointing nowhere
+    if (update.fields || update.consentField) {
+      const current = await FormDefinition.findOne({ formId: req.params.formId });
+      const invalidConsentField = current && consentFieldError(
+        update.fields || current.fields,
+        update.consentField !== undefined ? update.consentField : current.consentField
+      );
+      if (invalidConsentField) {
+        return res.status(400).json({ success: false, error: invalidConsentField });
+      }
+    }
+
+    const form = await FormDefinition.findOneAndUpdate(
+      { formId: req.params.formId },
+      { $set: { ...update, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+    logger.info({ event: 'FormUpdated', formId: form.formId });
+    res.json({ success: true, form });
+  } catch (error) {
+    handleWriteError(res, error, 'FormUpdateError');
+  }
+};
+
+exports.deleteForm = async (req, res) => {
+  try {
+    const form = await FormDefinition.findOneAndDelete({ formId: req.params.formId });
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+    logger.info({ event: 'FormDeleted', formId: form.formId });
+    res.json({ success: true, message: 'Form deleted' });
+  } catch (error) {
+    logger.error({ event: 'FormDeleteError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete form' });
+  }
+};
+
+// Find the active form being submitted to (req.form), before the spam guard needs its fields
+exports.loadSubmitForm = async (req, res, next) => {
+  try {
+    const form = await FormDefinition.findOne({ formId: req.params.formId, active: true });
+    if (!form) {
+      return res.status(404).json({ success: false, error: 'Form not found' });
+    }
+    req.form = form;
+    next();
+  } catch (error) {
+    logger.error({ event: 'FormLoadError', formId: req.params.formId, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to process submission' });
+  }
+};
+
+exports.submitForm = async (req, res) => {
+  const { formId } = req.params;
+  let verification = {};
+  let attachments = [];
+
+  try {
+    const { form } = req;
+    const { values, errors, files } = validateSubmission(form, req.body || {}, req.files);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', fields: errors });
+    }
+
+    // An explicitly requested session wins over the form's configured one
+    const sessionId = req.sessionRequested ? req.sessionId : (form.sessionId || req.sessionId);
+    const customerNumber = values[form.customerPhoneField];
+
+    // Double submissions (e.g. a second click) return the first one instead of messaging again
+    const spamCheck = req.spamCheck || {};
+    if (spamCheck.duplicateOf) {
+      logger.info({ event: 'DuplicateSubmissionIgnored', formId, submissionId: spamCheck.duplicateOf });
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: 'Form submission already received.',
+        details: { submissionId: spamCheck.duplicateOf }
+      });
+    }
+
+    // Flagged submissions are stored for review but nobody is messaged; the response looks normal
+    if (spamCheck.spam) {
+      logger.warn({ event: 'SubmissionFlaggedAsSpam', formId, reasons: spamCheck.reasons, ip: req.ip });
+      try {
+        await Submission.create({
+          sessionId,
+          formId,
+          fields: values,
+          name: values.name,
+          email: values.email,
+          phone: customerNumber,
+          phoneNormalized: customerNumber ? String(customerNumber).replace(/\D/g, '') : undefined,
+          message: values.message,
+          status: 'spam',
+          spamReasons: spamCheck.reasons,
+          fingerprint: spamCheck.fingerprint
+        });
+      } catch (dbError) {
+        logger.error({ event: 'DatabaseSaveError', formId, error: dbError.message });
+      }
+      return res.json({ success: true, message: 'Form submitted successfully.' });
+    }
+    const adminNumber = whatsappClient.getAdminNumber(sessionId);
+    // Routing rules pick the recipients; the form's destination numbers (or the admin) are the fallback
+    const routing = await resolveRecipients(formId, values, form.destinationNumbers && form.destinationNumbers.length > 0
+      ? form.destinationNumbers
+      : [adminNumber]);
+    const destinations = routing.recipients;
+
+    if (destinations.length === 0) {
+      logger.error({ event: 'FormDestinationMissing', formId });
+      return res.status(500).json({
+        success: false,
+        error: 'Server configuration error: No destination numbers configured for this form.'
+      });
+    }
+
+    const clientStatus = whatsappClient.getClientStatus(sessionId);
+    if (!clientStatus.isReady && !messageQueue.isQueueAvailable()) {
+      logger.error({ event: 'WhatsAppNotReady', status: clientStatus });
+      return res.status(503).json({
+        success: false,
+        error: 'WhatsApp service is not ready. Please try again later or contact support.',
+        details: `Client state: ${clientStatus.state}`
+      });
+    }
+
+    logger.info({ event: 'ProcessingFormSubmission', formId, sessionId, fields: Object.keys(values) });
+
+    const submissionId = new mongoose.Types.ObjectId();
+    const verificationMode = form.phoneVerification || 'off';
+
+    // Proof that the submitter owns the phone number (a token from /api/otp/verify)
+    if (verificationMode !== 'off') {
+      verification = await verificationTokenService.redeemVerificationToken(req.body.verificationToken, customerNumber);
+      if (!verification.verified && verificationMode === 'require') {
+        return res.status(403).json({ success: false, error: `Phone number not verified: ${verification.error}` });
+      }
+    }
+    const phoneUnverified = verificationMode !== 'off' && !verification.verified;
+
+    // Uploaded files go to the media store so queued messages can send them later
+    attachments = await storeUploads(files);
+
+    const templateData = { ...formTemplateData(form, values), unverifiedPhone: phoneUnverified };
+    const templates = form.templates || {};
+    let customerMsgId, customerQueued = false, followUpJob;
+
+    // Opt-in ticked on the form, recorded before anything is sent; unverified numbers cannot consent
+    if (form.consentField && values[form.consentField] === true && customerNumber && !phoneUnverified) {
+      await consentService.recordFormOptIn(customerNumber, { source: 'form', formId, submissionId });
+    }
+
+    // Confirmation to the submitter; unverified numbers may belong to someone else
+    if (form.sendCustomerConfirmation && customerNumber && !phoneUnverified) {
+      try {
+        const customerMsg = await renderTemplate('form.customer', templateData, {
+          locale: resolveLocale(req.body.locale, customerNumber),
+          override: upgradeLegacyPlaceholders(templates.customer)
+        });
+        const result = await messageQueue.sendOrEnqueue(String(customerNumber), customerMsg, {
+          sessionId,
+          transactional: true,
+          context: { kind: 'submission', refId: submissionId.toString(), role: 'customer' }
+        });
+        customerMsgId = result.messageId;
+        customerQueued = !!result.queued;
+      } catch (customerError) {
+        logger.error({ event: 'CustomerMessageFailed', formId, to: customerNumber, error: customerError.message });
+      }
+    }
+
+    // Follow-up to the submitter, only if the confirmation reached them
+    if (form.followUpHours > 0 && (customerMsgId || customerQueued)) {
+      const followUpMsg = await renderTemplate('form.follow_up', templateData, {
+        locale: resolveLocale(req.body.locale, customerNumber),
+        override: upgradeLegacyPlaceholders(templates.followUp)
+      });
+      followUpJob = await scheduleFollowUp(String(customerNumber), followUpMsg, {
+        sessionId,
+        delayHours: form.followUpHours,
+        submissionId
+      });
+    }
+
+    // Notify every destination number
+    const adminMsg = await renderTemplate('form.admin', templateData, {
+      override: upgradeLegacyPlaceholders(templates.admin)
+    });
+    const notifications = [];
+    for (const to of destinations) {
+      try {
+        const result = await messageQueue.sendOrEnqueue(to, adminMsg, {
+          sessionId,
+          transactional: true,
+          context: { kind: 'submission', refId: submissionId.toString(), role: 'notification' }
+        });
+        notifications.push({ to, messageId: result.messageId, queued: !!result.queued });
+      } catch (adminError) {
+        logger.error({ event: 'AdminMessageFailed', formId, to, error: adminError.message });
+        notifications.push({ to, queued: false, error: adminError.message });
+      }
+    }
+
+    const adminSent = notifications.some((n) => n.messageId);
+    let queued = customerQueued || notifications.some((n) => n.queued);
+    if (!customerMsgId && !adminSent && !queued) {
+      // Nothing was sent, so the submitter may retry with the same token
+      if (verification.tokenId) await verificationTokenService.releaseVerificationToken(verification.tokenId);
+      await Promise.all(attachments.map((a) => mediaStore.deleteMedia(a.mediaId)));
+      return res.status(502).json({ success: false, error: 'Failed to send any messages. Please try again.' });
+    }
+
+    // Files follow the notification, one message per file and destination
+    const labels = Object.fromEntries(form.fields.map((field) => [field.name, field.label || field.name]));
+    await forwardAttachments(attachments, destinations, { sessionId, submissionId, labels });
+    queued = queued || attachments.some((a) => a.deliveries.some((d) => d.queued));
+
+    let dbEntry;
+    try {
+      dbEntry = await Submission.create({
+        _id: submissionId,
+        sessionId,
+        formId,
+        fields: values,
+        name: values.name,
+        email: values.email,
+        phone: customerNumber,
+        phoneNormalized: customerNumber ? String(customerNumber).replace(/\D/g, '') : undefined,
+        message: values.message,
+        fingerprint: spamCheck.fingerprint,
+        customerMsgId: customerMsgId || null,
+        followUpJobId: followUpJob ? String(followUpJob._id) : undefined,
+        notifications,
+        routing: routing.rule ? { ruleId: String(routing.rule.id), ruleName: routing.rule.name, strategy: routing.rule.strategy } : undefined,
+        attachments,
+        phoneVerified: verificationMode !== 'off' ? !!verification.verified : undefined,
+        phoneVerificationError: verification.error,
+        deliveryStatus: queued ? 'queued' :
+                        customerMsgId && adminSent ? 'both_sent' :
+                        customerMsgId ? 'customer_only' : 'admin_only'
+      });
+      logger.info({ event: 'SubmissionSaved', id: dbEntry._id, formId, deliveryStatus: dbEntry.deliveryStatus });
+      if (verification.tokenId) {
+        await verificationTokenService.attachSubmission(verification.tokenId, dbEntry._id);
+      }
+    } catch (dbError) {
+      logger.error({ event: 'DatabaseSaveError', formId, error: dbError.message });
+    }
+
+    webhookDispatcher.emitEvent('submission.received', {
+      sessionId,
+      formId,
+      submissionId: dbEntry ? dbEntry._id : null,
+      fields: values,
+      attachments: attachments.map(({ mediaId, field, filename, mimetype, size }) => ({ mediaId, field, filename, mimetype, size })),
+      recipients: destinations,
+      routingRule: routing.rule ? routing.rule.name : null,
+      queued
+    });
+
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      queued,
+      message: queued
+        ? 'Form received. WhatsApp messages are queued and will be delivered once the service reconnects.'
+        : 'Form submitted successfully.',
+      details: {
+        submissionId: dbEntry ? dbEntry._id : null,
+        customerMessageSent: !!customerMsgId,
+        customerMessageQueued: customerQueued,
+        notifications: notifications.map(({ to, messageId, queued: isQueued }) => ({ to, sent: !!messageId, queued: isQueued })),
+        routingRule: routing.rule ? routing.rule.name : null,
+        attachments: attachments.map(({ mediaId, field, filename }) => ({ mediaId, field, filename })),
+        phoneVerified: verificationMode !== 'off' ? !!verification.verified : undefined,
+        savedToDatabase: !!dbEntry
+      }
+    });
+  } catch (error) {
+    if (verification.tokenId) {
+      verificationTokenService.releaseVerificationToken(verification.tokenId).catch(() => {});
+    }
+    // Files that were never forwarded are not referenced by any message
+    for (const attachment of attachments.filter((a) => !a.deliveries)) {
+      mediaStore.deleteMedia(attachment.mediaId).catch(() => {});
+    }
+    logger.error({ event: 'FormSubmissionError', formId, error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process form submission.',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
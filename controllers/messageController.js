@@ -1,5 +1,15 @@
+const mongoose = require('mongoose');
 const whatsappClient = require('../services/whatsappClient');
-const { customerTemplate, adminTemplate } = require('../utils/messageTemplates');
+const messageQueue = require('../services/messageQueue');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const consentService = require('../services/consentService');
+const verificationTokenService = require('../services/verificationTokenService');
+const mediaStore = require('../services/mediaStore');
+const { storeUploads, forwardAttachments } = require('../utils/mediaUpload');
+const { renderTemplate } = require('../services/templateService');
+const { resolveLocale } = require('../utils/locale');
+const { resolveRecipients } = require('../services/routingService');
+const { scheduleFollowUp } = require('../services/scheduler');
 const winston = require('winston');
 let Submission;
 try {
@@ -17,11 +27,30 @@ const logger = winston.createLogger({
   ],
 });
 
+// Whether the contact form needs a token from /api/otp/verify: off, flag (accept but mark) or require
+const CONTACT_FORM_PHONE_VERIFICATION = verificationTokenService.VERIFICATION_MODES.includes(process.env.CONTACT_FORM_PHONE_VERIFICATION)
+  ? process.env.CONTACT_FORM_PHONE_VERIFICATION
+  : 'off';
+// Send the customer a follow-up this many hours after the confirmation (0 = none)
+const CONTACT_FOLLOW_UP_HOURS = Number(process.env.CONTACT_FOLLOW_UP_HOURS) || 0;
+
+// Values of the optional `consent` field that count as an opt-in
+const CONSENT_VALUES = [true, 'true', 'on', 'yes', '1', 1];
+
+// Only the contact form's own fields; status, notes etc. are not client-settable
+function pickSubmissionFields(formData) {
+  const { name, email, phone, message } = formData;
+  return { name, email, phone, message };
+}
+
 exports.handleContactForm = async (req, res) => {
   const formData = req.body;
-  const adminNumber = process.env.ADMIN_NUMBER;
+  const sessionId = req.sessionId || whatsappClient.DEFAULT_SESSION_ID;
+  const adminNumber = whatsappClient.getAdminNumber(sessionId);
   const customerNumber = formData.phone;
   let customerMsgId, adminMsgId, dbEntry;
+  let verification = {};
+  let attachments = [];
 
   try {
     // Validate required fields
@@ -32,8 +61,41 @@ exports.handleContactForm = async (req, res) => {
       });
     }
 
-    // Validate admin number is configured
-    if (!adminNumber) {
+    // Double submissions (e.g. a second click) return the first one instead of messaging again
+    const spamCheck = req.spamCheck || {};
+    if (spamCheck.duplicateOf) {
+      logger.info({ event: 'DuplicateSubmissionIgnored', submissionId: spamCheck.duplicateOf });
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: 'Contact form already received.',
+        details: { submissionId: spamCheck.duplicateOf }
+      });
+    }
+
+    // Flagged submissions are stored for review but nobody is messaged; the response looks normal
+    if (spamCheck.spam) {
+      logger.warn({ event: 'SubmissionFlaggedAsSpam', reasons: spamCheck.reasons, ip: req.ip });
+      if (Submission && mongoose.connection.readyState === 1) {
+        try {
+          await Submission.create({
+            ...pickSubmissionFields(formData),
+            sessionId,
+            phoneNormalized: String(customerNumber).replace(/\D/g, ''),
+            status: 'spam',
+            spamReasons: spamCheck.reasons,
+            fingerprint: spamCheck.fingerprint
+          });
+        } catch (dbError) {
+          logger.error({ event: 'DatabaseSaveError', error: dbError.message });
+        }
+      }
+      return res.json({ success: true, message: 'Contact form processed successfully.' });
+    }
+
+    // Routing rules for "contact" pick who is notified; the session's admin number is the fallback
+    const routing = await resolveRecipients('contact', formData, [adminNumber]);
+    if (routing.recipients.length === 0) {
       logger.error({ event: 'AdminNumberMissing' });
       return res.status(500).json({ 
         success: false, 
@@ -41,9 +103,9 @@ exports.handleContactForm = async (req, res) => {
       });
     }
 
-    // Check WhatsApp client status before attempting to send
-    const clientStatus = whatsappClient.getClientStatus();
-    if (!clientStatus.isReady) {
+    // Check WhatsApp client status before attempting to send; if it is down we can still queue
+    const clientStatus = whatsappClient.getClientStatus(sessionId);
+    if (!clientStatus.isReady && !messageQueue.isQueueAvailable()) {
       logger.error({ event: 'WhatsAppNotReady', status: clientStatus });
       return res.status(503).json({ 
         success: false, 
@@ -52,47 +114,117 @@ exports.handleContactForm = async (req, res) => {
       });
     }
 
-    logger.info({ event: 'ProcessingContactForm', formData: { ...formData, message: '[REDACTED]' } });
+    // Proof that the submitter owns the phone number (a token from /api/otp/verify)
+    const { verificationToken } = formData;
+    delete formData.verificationToken;
+    if (CONTACT_FORM_PHONE_VERIFICATION !== 'off') {
+      verification = await verificationTokenService.redeemVerificationToken(verificationToken, customerNumber);
+      if (!verification.verified && CONTACT_FORM_PHONE_VERIFICATION === 'require') {
+        return res.status(403).json({ success: false, error: `Phone number not verified: ${verification.error}` });
+      }
+    }
+    // Unverified numbers may belong to someone else, so in flag mode they are not messaged
+    const phoneUnverified = CONTACT_FORM_PHONE_VERIFICATION !== 'off' && !verification.verified;
+
+    logger.info({ event: 'ProcessingContactForm', formData: { ...formData, message: '[REDACTED]' }, phoneVerified: verification.verified });
+
+    // Pre-allocate the submission id so queued messages can be linked back to it
+    const submissionId = new mongoose.Types.ObjectId();
+    let customerQueued = false, followUpJob;
+
+    // Uploaded files go to the media store so queued messages can send them later
+    attachments = await storeUploads(req.files);
+
+    // Optional opt-in checkbox; unverified numbers cannot consent
+    const { consent } = formData;
+    delete formData.consent;
+    if (CONSENT_VALUES.includes(consent) && !phoneUnverified) {
+      await consentService.recordFormOptIn(customerNumber, { source: 'contact', submissionId });
+    }
+
+    // Send message to customer, in their language
+    if (!phoneUnverified) {
+      const locale = resolveLocale(formData.locale, customerNumber);
+      const customerMsg = await renderTemplate('contact.customer', formData, { locale });
+      try {
+        const result = await messageQueue.sendOrEnqueue(customerNumber, customerMsg, {
+          sessionId,
+          transactional: true,
+          context: { kind: 'submission', refId: submissionId.toString(), role: 'customer' }
+        });
+        customerMsgId = result.messageId;
+        customerQueued = !!result.queued;
+        logger.info({ event: customerQueued ? 'CustomerMessageQueued' : 'CustomerMessageSent', to: customerNumber, messageId: customerMsgId, jobId: result.jobId });
+      } catch (customerError) {
+        logger.error({ event: 'CustomerMessageFailed', to: customerNumber, error: customerError.message });
+        // Continue to try admin message even if customer message fails
+      }
 
-    // Send message to customer
-    const customerMsg = customerTemplate(formData);
-    try {
-      customerMsgId = await whatsappClient.sendMessage(customerNumber, customerMsg);
-      logger.info({ event: 'CustomerMessageSent', to: customerNumber, messageId: customerMsgId });
-    } catch (customerError) {
-      logger.error({ event: 'CustomerMessageFailed', to: customerNumber, error: customerError.message });
-      // Continue to try admin message even if customer message fails
+      if (CONTACT_FOLLOW_UP_HOURS > 0 && (customerMsgId || customerQueued)) {
+        const followUpMsg = await renderTemplate('contact.follow_up', formData, { locale });
+        followUpJob = await scheduleFollowUp(customerNumber, followUpMsg, {
+          sessionId,
+          delayHours: CONTACT_FOLLOW_UP_HOURS,
+          submissionId
+        });
+      }
     }
 
-    // Send message to admin
-    const adminMsg = adminTemplate(formData);
-    try {
-      adminMsgId = await whatsappClient.sendMessage(adminNumber, adminMsg);
-      logger.info({ event: 'AdminMessageSent', to: adminNumber, messageId: adminMsgId });
-    } catch (adminError) {
-      logger.error({ event: 'AdminMessageFailed', to: adminNumber, error: adminError.message });
-      // If both messages fail, throw error
-      if (!customerMsgId) {
-        throw new Error('Failed to send messages to both customer and admin');
+    // Notify every recipient (numbers or group chats)
+    const adminMsg = await renderTemplate('contact.admin', { ...formData, unverifiedPhone: phoneUnverified });
+    const notifications = [];
+    for (const to of routing.recipients) {
+      try {
+        const result = await messageQueue.sendOrEnqueue(to, adminMsg, {
+          sessionId,
+          transactional: true,
+          context: { kind: 'submission', refId: submissionId.toString(), role: 'notification' }
+        });
+        notifications.push({ to, messageId: result.messageId, queued: !!result.queued });
+        logger.info({ event: result.queued ? 'AdminMessageQueued' : 'AdminMessageSent', to, messageId: result.messageId, jobId: result.jobId });
+      } catch (adminError) {
+        logger.error({ event: 'AdminMessageFailed', to, error: adminError.message });
+        notifications.push({ to, queued: false, error: adminError.message });
       }
     }
+    const adminNotification = notifications.find((n) => n.messageId);
+    adminMsgId = adminNotification ? adminNotification.messageId : undefined;
+    const adminQueued = notifications.some((n) => n.queued);
 
-    // Check if at least one message was sent successfully
-    if (!customerMsgId && !adminMsgId) {
+    // Check if at least one message was sent or queued successfully
+    if (!customerMsgId && !adminMsgId && !customerQueued && !adminQueued) {
       throw new Error('Failed to send any messages');
     }
 
+    // Files follow the admin message, one message per file and recipient
+    await forwardAttachments(attachments, routing.recipients, { sessionId, submissionId });
+
+    const queued = customerQueued || adminQueued || attachments.some((a) => a.deliveries.some((d) => d.queued));
+
     // Optionally save to MongoDB
     if (Submission) {
       try {
         dbEntry = await Submission.create({ 
-          ...formData, 
-          customerMsgId: customerMsgId || null, 
-          adminMsgId: adminMsgId || null,
-          status: customerMsgId && adminMsgId ? 'both_sent' : 
-                  customerMsgId ? 'customer_only' : 'admin_only'
+          ...pickSubmissionFields(formData), 
+          _id: submissionId,
+          sessionId,
+          phoneNormalized: String(customerNumber).replace(/\D/g, ''),
+          customerMsgId: customerMsgId || null,
+          followUpJobId: followUpJob ? String(followUpJob._id) : undefined,
+          notifications,
+          routing: routing.rule ? { ruleId: String(routing.rule.id), ruleName: routing.rule.name, strategy: routing.rule.strategy } : undefined,
+          fingerprint: spamCheck.fingerprint,
+          attachments,
+          phoneVerified: CONTACT_FORM_PHONE_VERIFICATION !== 'off' ? !!verification.verified : undefined,
+          phoneVerificationError: verification.error,
+          deliveryStatus: customerMsgId && adminMsgId ? 'both_sent' :
+                          queued ? 'queued' :
+                          customerMsgId ? 'customer_only' : 'admin_only'
         });
-        logger.info({ event: 'SubmissionSaved', id: dbEntry._id, status: dbEntry.status });
+        logger.info({ event: 'SubmissionSaved', id: dbEntry._id, deliveryStatus: dbEntry.deliveryStatus });
+        if (verification.tokenId) {
+          await verificationTokenService.attachSubmission(verification.tokenId, dbEntry._id);
+        }
       } catch (dbError) {
         logger.error({ event: 'DatabaseSaveError', error: dbError.message });
         // Don't fail the request if DB save fails, messages were sent
@@ -102,21 +234,49 @@ exports.handleContactForm = async (req, res) => {
     // Prepare response based on what was sent successfully
     const response = {
       success: true,
-      message: 'Contact form processed successfully.',
+      queued,
+      message: queued
+        ? 'Contact form received. WhatsApp messages are queued and will be delivered once the service reconnects.'
+        : 'Contact form processed successfully.',
       details: {
         customerMessageSent: !!customerMsgId,
         adminMessageSent: !!adminMsgId,
+        customerMessageQueued: customerQueued,
+        adminMessageQueued: adminQueued,
+        notifications: notifications.map(({ to, messageId, queued: isQueued }) => ({ to, sent: !!messageId, queued: isQueued })),
+        attachments: attachments.map(({ mediaId, field, filename }) => ({ mediaId, field, filename })),
         savedToDatabase: !!dbEntry
       }
     };
+    if (CONTACT_FORM_PHONE_VERIFICATION !== 'off') response.details.phoneVerified = !!verification.verified;
 
     if (customerMsgId) response.details.customerMessageId = customerMsgId;
     if (adminMsgId) response.details.adminMessageId = adminMsgId;
     if (dbEntry) response.details.submissionId = dbEntry._id;
 
-    res.status(200).json(response);
+    webhookDispatcher.emitEvent('submission.received', {
+      sessionId,
+      submissionId: dbEntry ? dbEntry._id : null,
+      formData,
+      attachments: attachments.map(({ mediaId, field, filename, mimetype, size }) => ({ mediaId, field, filename, mimetype, size })),
+      queued,
+      recipients: routing.recipients,
+      routingRule: routing.rule ? routing.rule.name : null,
+      customerMessageId: customerMsgId || null,
+      adminMessageId: adminMsgId || null
+    });
+
+    res.status(queued ? 202 : 200).json(response);
 
   } catch (error) {
+    // Nothing was sent, so the submitter may retry with the same token
+    if (verification.tokenId) {
+      verificationTokenService.releaseVerificationToken(verification.tokenId).catch(() => {});
+    }
+    // Files that were never forwarded are not referenced by any message
+    for (const attachment of attachments.filter((a) => !a.deliveries)) {
+      mediaStore.deleteMedia(attachment.mediaId).catch(() => {});
+    }
     logger.error({ 
       event: 'ContactFormProcessingError', 
       error: error.message, 
@@ -128,7 +288,7 @@ exports.handleContactForm = async (req, res) => {
     let statusCode = 500;
     let errorMessage = 'Failed to process contact form.';
     
-    if (error.message.includes('not authenticated') || error.message.includes('not ready')) {
+    if (error.message.includes('not authenticated') || error.message.includes('not ready') || error.message.includes('store is unavailable')) {
       statusCode = 503;
       errorMessage = 'WhatsApp service is temporarily unavailable. Please try again later.';
     } else if (error.message.includes('Invalid phone number')) {
@@ -6,7 +6,29 @@ const mongoose = require('mongoose');
 const contactRoutes = require('./routes/contact');
 const whatsappRoutes = require('./routes/whatsapp');
 const otpRoutes = require('./routes/otp');
-const { initializeWhatsAppClient } = require('./services/whatsappClient');
+const messageRoutes = require('./routes/messages');
+const webhookRoutes = require('./routes/webhooks');
+const conversationRoutes = require('./routes/conversations');
+const formRoutes = require('./routes/forms');
+const templateRoutes = require('./routes/templates');
+const apiKeyRoutes = require('./routes/apiKeys');
+const submissionRoutes = require('./routes/submissions');
+const adminRoutes = require('./routes/admin');
+const mediaRoutes = require('./routes/media');
+const routingRuleRoutes = require('./routes/routingRules');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
+const campaignRoutes = require('./routes/campaigns');
+const consentRoutes = require('./routes/consents');
+const { initializeSessions } = require('./services/whatsappClient');
+const { startQueueWorker } = require('./services/messageQueue');
+const { startReceiptTracker } = require('./services/receiptTracker');
+const { startWebhookWorker } = require('./services/webhookDispatcher');
+const { startInboundHandler } = require('./services/inboundHandler');
+const { startRetentionWorker } = require('./services/submissionService');
+const { startCampaignWorker } = require('./services/campaignService');
+const { runMigrations } = require('./services/migrations');
+const { getJwks } = require('./services/verificationTokenService');
+const { mediaJsonParser } = require('./utils/mediaUpload');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,8 +46,19 @@ const logger = winston.createLogger({
   ],
 });
 
+// Behind a reverse proxy, per-IP rate limits need the client address from X-Forwarded-For
+// (a hop count such as 1, "true", or a list of trusted addresses/subnets)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  const hops = parseInt(TRUST_PROXY, 10);
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : Number.isNaN(hops) ? TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
+// Routes that accept base64 `media` (or, for campaigns, recipient lists) get a larger JSON limit; the global
+// parser skips bodies already parsed
+app.use(['/api/conversations', '/api/media', '/api/whatsapp/messages', '/api/scheduled-messages', '/api/campaigns'], mediaJsonParser);
 app.use(express.json());
 
 // MongoDB connection (optional)
@@ -33,9 +66,23 @@ if (process.env.MONGODB_URI) {
   mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
       logger.info('MongoDB connected');
+      // Drop indexes left behind by earlier versions
+      runMigrations();
+      // Register webhook listeners before the client emits its first lifecycle events
+      startWebhookWorker();
       // Initialize WhatsApp client after MongoDB connection
       console.log('🔄 Starting WhatsApp client initialization...');
-      initializeWhatsAppClient();
+      initializeSessions();
+      // Deliver messages queued while the client was offline
+      startQueueWorker();
+      // Send running broadcast campaigns at their throttled pace
+      startCampaignWorker();
+      // Persist delivery/read receipts for sent messages
+      startReceiptTracker();
+      // Capture customer replies and relay admin responses
+      startInboundHandler();
+      // Anonymize or delete submissions past SUBMISSION_RETENTION_DAYS
+      startRetentionWorker();
     })
     .catch((err) => logger.error('MongoDB connection error:', err));
 } else {
@@ -46,12 +93,35 @@ if (process.env.MONGODB_URI) {
 app.use('/api/contact-form', contactRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/otp', otpRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/submissions', submissionRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/routing-rules', routingRuleRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/consents', consentRoutes);
+app.use('/admin', adminRoutes);
 
 // Health check endpoint for pinging
 app.get('/api/ping', (req, res) => {
   res.status(200).json({ message: 'Server is running' });
 });
 
+// Public keys for validating OTP verification tokens offline (empty when signing with HS256)
+app.get('/.well-known/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300').json(getJwks());
+  } catch (error) {
+    logger.error({ event: 'JwksError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load signing keys' });
+  }
+});
+
 app.get('/', (req, res) => {
   res.send('Form2WhatsApp Bridge is running.');
 });
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['contact:send', 'otp:send', 'otp:verify', 'messages:send', 'messages:transactional', 'campaigns:manage', 'whatsapp:admin', 'admin'];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Public part of the key (f2c_<prefix>_<secret>), used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // SHA-256 of the secret part; the secret itself is only shown on creation and rotation
+  secretHash: {
+    type: String,
+    required: true
+  },
+  // After a rotation the old secret keeps working until previousSecretExpiresAt
+  previousSecretHash: String,
+  previousSecretExpiresAt: Date,
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  // Browser origins allowed to use the key; empty allows any caller
+  allowedOrigins: [String],
+  // Requests per minute (0 = unlimited)
+  rateLimitPerMinute: {
+    type: Number,
+    default: 120,
+    min: 0
+  },
+  // Accepted requests per UTC day / month (0 = unlimited)
+  quota: {
+    daily: { type: Number, default: 0, min: 0 },
+    monthly: { type: Number, default: 0, min: 0 }
+  },
+  // WhatsApp session used when a request does not pick one
+  defaultSessionId: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: Date,
+  expiresAt: Date,
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Per-key request counters, one document per UTC day and one per month
+const apiKeyUsageSchema = new mongoose.Schema({
+  keyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  // "2025-08-10" for days, "2025-08" for months
+  bucket: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  // Requests per scope, e.g. { "otp:send": 12 }
+  scopes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  lastUsedAt: Date,
+  // Day buckets are kept for 90 days, month buckets for 13 months
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+}, { minimize: false });
+
+// Also what makes the quota check atomic: a full bucket fails the upsert with a duplicate key
+apiKeyUsageSchema.index({ keyId: 1, period: 1, bucket: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled'];
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  sessionId: String,
+  // Inline message template, or the name of a stored/built-in template; rendered per recipient
+  // with their variables and `phone`
+  template: String,
+  templateName: String,
+  locale: String,
+  // Stored attachment sent with every message; the rendered text is its caption
+  mediaId: String,
+  // Pause between two messages of the campaign, plus a random 0..jitterSeconds on top
+  // (defaults: CAMPAIGN_INTERVAL_SECONDS and CAMPAIGN_JITTER_SECONDS)
+  intervalSeconds: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  jitterSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Messages per rolling 24 hours for this campaign (0 = only the session-wide CAMPAIGN_DAILY_CAP)
+  dailyCap: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Hold each message until the recipient's quiet hours end (see utils/quietHours.js)
+  respectQuietHours: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: CAMPAIGN_STATUSES,
+    default: 'draft',
+    index: true
+  },
+  // Earliest time the worker sends the next message
+  nextSendAt: Date,
+  // Failed sends in a row; the campaign pauses itself when this gets too high
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Why the worker paused the campaign
+  pauseReason: String,
+  // API key that created the campaign
+  createdBy: String,
+  startedAt: Date,
+  pausedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+campaignSchema.statics.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// skipped: the number had opted out by the time its turn came
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled'];
+
+const campaignRecipientSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  // Normalized number (digits) or group id
+  to: {
+    type: String,
+    required: true
+  },
+  // Template data for this recipient, e.g. { name: 'Jane', coupon: 'SPRING10' }
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Recipient's timezone for quiet hours: variables.timezone, else guessed from the number
+  timezone: String,
+  status: {
+    type: String,
+    enum: RECIPIENT_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Not tried before this time (quiet hours or a retry)
+  notBefore: Date,
+  lockedAt: Date,
+  // Session the message went out on, for the session-wide daily cap
+  sessionId: String,
+  messageId: String,
+  // Latest delivery status from WhatsApp receipts (sent, delivered, read, failed)
+  messageStatus: String,
+  error: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A number is messaged at most once per campaign
+campaignRecipientSchema.index({ campaignId: 1, to: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaignId: 1, status: 1, createdAt: 1 });
+// Daily caps count messages sent in the last 24 hours per session and per campaign
+campaignRecipientSchema.index({ sessionId: 1, sentAt: 1 });
+campaignRecipientSchema.index({ campaignId: 1, sentAt: 1 });
+
+campaignRecipientSchema.statics.RECIPIENT_STATUSES = RECIPIENT_STATUSES;
+
+module.exports = mongoose.model('CampaignRecipient', campaignRecipientSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+// Where a consent change came from: the contact form, a custom form, an inbound STOP/START
+// keyword, the API or a bulk import
+const CONSENT_SOURCES = ['contact', 'form', 'keyword', 'api', 'import'];
+
+const consentSchema = new mongoose.Schema({
+  // Phone number, digits only
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: CONSENT_STATUSES,
+    required: true,
+    index: true
+  },
+  // Latest change: its source and detail (form id, keyword or note)
+  source: {
+    type: String,
+    enum: CONSENT_SOURCES
+  },
+  sourceDetail: String,
+  optedInAt: Date,
+  optedOutAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+consentSchema.statics.CONSENT_STATUSES = CONSENT_STATUSES;
+consentSchema.statics.CONSENT_SOURCES = CONSENT_SOURCES;
+
+module.exports = mongoose.model('Consent', consentSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const CONSENT_ACTIONS = ['opt_in', 'opt_out', 'clear'];
+
+// Audit trail of consent changes; never updated or expired
+const consentEventSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: CONSENT_ACTIONS,
+    required: true
+  },
+  source: String,
+  // Form id, the keyword the customer sent, or a note
+  detail: String,
+  submissionId: String,
+  // API key (or "admin") that made the change; empty for customers' own actions
+  actor: String,
+  // Set on form opt-ins that were not applied because the number had opted out
+  ignored: Boolean,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+consentEventSchema.index({ number: 1, createdAt: -1 });
+consentEventSchema.index({ createdAt: -1 });
+
+consentEventSchema.statics.CONSENT_ACTIONS = CONSENT_ACTIONS;
+
+module.exports = mongoose.model('ConsentEvent', consentEventSchema);
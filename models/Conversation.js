@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // WhatsApp session the customer is talking to
+  sessionId: String,
+  // Customer number, digits only (e.g. 919876543210)
+  contactNumber: {
+    type: String,
+    required: true,
+    index: true
+  },
+  contactName: String,
+  // Most recent submission from this number
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission'
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One thread per customer per session
+conversationSchema.index({ sessionId: 1, contactNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const conversationMessageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+    index: true
+  },
+  // inbound: customer -> bridge, outbound: admin reply relayed to the customer
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  body: String,
+  type: String,
+  // Attachment sent with an outbound reply (body is its caption)
+  media: {
+    mediaId: String,
+    filename: String,
+    mimetype: String,
+    size: Number
+  },
+  messageId: {
+    type: String,
+    index: true
+  },
+  // Id of the copy forwarded to the admin; quoting it routes the admin's reply back
+  adminForwardMessageId: {
+    type: String,
+    index: true
+  },
+  queued: Boolean,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationMessageSchema.index({ conversationId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ConversationMessage', conversationMessageSchema);
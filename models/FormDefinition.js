@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'phone', 'number', 'url', 'date', 'select', 'checkbox', 'file'];
+
+const fieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/
+  },
+  label: String,
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Validation rules (only those relevant to the field type are applied)
+  minLength: Number,
+  maxLength: Number,
+  min: Number,
+  max: Number,
+  pattern: String,
+  options: [String],
+  // File fields: accepted MIME types ("image/*", "application/pdf"), size limit and file count
+  accept: [String],
+  maxSizeMb: Number,
+  maxFiles: Number
+}, { _id: false });
+
+const formDefinitionSchema = new mongoose.Schema({
+  formId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    match: /^[a-z0-9][a-z0-9_-]{0,63}$/
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  // WhatsApp session used for this form unless the request picks one
+  sessionId: String,
+  fields: {
+    type: [fieldSchema],
+    validate: [(fields) => fields.length > 0, 'At least one field is required']
+  },
+  // Field holding the submitter's WhatsApp number (for the confirmation message)
+  customerPhoneField: {
+    type: String,
+    default: 'phone'
+  },
+  // Checkbox field where the submitter opts in to messages; ticked, it is recorded in the consent registry
+  consentField: String,
+  sendCustomerConfirmation: {
+    type: Boolean,
+    default: true
+  },
+  // Submissions must carry a token from /api/otp/verify for the customer phone:
+  // off, flag (accept, mark unverified, skip the confirmation) or require (reject without one)
+  phoneVerification: {
+    type: String,
+    enum: ['off', 'flag', 'require'],
+    default: 'off'
+  },
+  // Numbers notified of each submission; falls back to the session's admin number
+  destinationNumbers: [String],
+  // Inline message templates (template engine syntax); override the form.customer/form.admin/form.follow_up templates
+  templates: {
+    customer: String,
+    admin: String,
+    followUp: String
+  },
+  // Send the submitter a follow-up this many hours after the confirmation (0 = none)
+  followUpHours: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+formDefinitionSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('FormDefinition', formDefinitionSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// The first response to a request sent with an Idempotency-Key header, replayed to retries
+const idempotencyRecordSchema = new mongoose.Schema({
+  // API key that sent it ("legacy" for API_KEY, "public" when keys are not required)
+  owner: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // SHA-256 of the method, path and body, to reject a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // processing while the first request runs; a crashed request's lock is taken over after a timeout
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+// One record per API key and idempotency key; the unique index also serializes concurrent duplicates
+idempotencyRecordSchema.index({ owner: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
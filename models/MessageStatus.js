@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const messageStatusSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  to: String,
+  sessionId: String,
+  // Raw whatsapp-web.js ack value (-1 error, 0 pending, 1 server, 2 device, 3 read, 4 played)
+  ack: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'delivered', 'read', 'failed'],
+    default: 'pending'
+  },
+  history: [{
+    _id: false,
+    status: String,
+    ack: Number,
+    at: { type: Date, default: Date.now }
+  }],
+  // Record the message belongs to (e.g. a submission's customer/admin message or an OTP)
+  context: {
+    kind: String,
+    refId: String,
+    role: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('MessageStatus', messageStatusSchema);
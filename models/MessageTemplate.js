@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const messageTemplateSchema = new mongoose.Schema({
+  // Template name, e.g. "otp.code" (built-in names override the bundled defaults)
+  name: {
+    type: String,
+    required: true,
+    index: true,
+    match: /^[a-z0-9][a-z0-9._-]{0,63}$/
+  },
+  // Language tag such as "en" or "pt-BR"
+  locale: {
+    type: String,
+    default: 'en',
+    match: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 4096
+  },
+  description: String,
+  // Data used by the preview endpoint when none is supplied
+  sampleData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+// One variant per template per locale
+messageTemplateSchema.index({ name: 1, locale: 1 }, { unique: true });
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
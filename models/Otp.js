@@ -12,37 +12,81 @@ const otpSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  otp: {
+  // The code itself is never stored: HMAC-SHA256 of salt + code, keyed with OTP_PEPPER
+  otpHash: {
+    type: String,
+    required: true
+  },
+  otpSalt: {
     type: String,
     required: true
   },
   createdAt: {
     type: Date,
-    default: Date.now,
-    expires: 300 // OTP expires after 5 minutes (300 seconds)
+    default: Date.now
+  },
+  // Set from the OTP policy for the reason when the code is issued; MongoDB removes the record at expiry
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
   },
   attempts: {
     type: Number,
     default: 0,
-    max: 3 // Maximum 3 verification attempts
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Resends keep the uuid and the attempt count but replace the code
+  resendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
   },
   reason: {
     type: String,
     default: 'verification',
     index: true
+  },
+  appName: String,
+  // Language of the OTP message, reused for the confirmation
+  locale: String,
+  sessionId: String,
+  messageId: String,
+  messageStatus: {
+    type: String,
+    enum: ['pending', 'sent', 'delivered', 'read', 'failed']
   }
 });
 
 // Compound indexes for efficient queries
 otpSchema.index({ uuid: 1, contactNumber: 1 });
 // Index for cooldown check
-otpSchema.index({ contactNumber: 1, createdAt: 1 });
+otpSchema.index({ contactNumber: 1, lastSentAt: 1 });
 
 // Method to check if OTP is expired
 otpSchema.methods.isExpired = function() {
-  const now = new Date();
-  const expiryTime = new Date(this.createdAt.getTime() + 5 * 60 * 1000); // 5 minutes
-  return now > expiryTime;
+  return new Date() > this.expiresAt;
+};
+
+// Wrong guesses left before the code is locked
+otpSchema.methods.attemptsRemaining = function() {
+  return Math.max(this.maxAttempts - this.attempts, 0);
+};
+
+// Filter matching only records that can still be verified
+otpSchema.statics.verifiableFilter = function(now = new Date()) {
+  return {
+    expiresAt: { $gt: now },
+    $expr: { $lt: ['$attempts', '$maxAttempts'] }
+  };
 };
 
 // Method to increment attempts
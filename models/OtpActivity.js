@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One document per OTP sent to a number and per OTP session that ran out of attempts,
+// so the daily send cap and the lockout survive restarts
+const otpActivitySchema = new mongoose.Schema({
+  contactNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  uuid: String,
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Kept as long as the longest window that counts it
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+// Index for the "how many in the window" counts
+otpActivitySchema.index({ contactNumber: 1, type: 1, createdAt: 1 });
+
+module.exports = mongoose.model('OtpActivity', otpActivitySchema);
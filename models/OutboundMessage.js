@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const outboundMessageSchema = new mongoose.Schema({
+  // WhatsApp session to send through (jobs queued before multi-session support have none)
+  sessionId: {
+    type: String,
+    index: true
+  },
+  to: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Message text, or the caption when the job sends an attachment
+  body: {
+    type: String,
+    required: function() { return !this.mediaId; }
+  },
+  // Attachment in the local media store (see services/mediaStore.js)
+  mediaId: String,
+  // Message this one replies to
+  quotedMessageId: String,
+  // Body contains a secret (e.g. an OTP): never logged, and cleared once the job is finished
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Transactional messages (OTPs, confirmations, replies) still reach numbers that have opted out
+  transactional: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'dead', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages that are useless after a point (e.g. OTPs) are dead-lettered once expired
+  expiresAt: Date,
+  // Scheduled messages: the requested send time; nextAttemptAt moves on for quiet hours and retries
+  scheduledFor: Date,
+  // Hold the message while it is night for the recipient (see utils/quietHours.js)
+  respectQuietHours: {
+    type: Boolean,
+    default: false
+  },
+  timezone: String,
+  // API key that scheduled it, so send-only keys only see their own messages
+  scheduledBy: String,
+  cancelledAt: Date,
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  // Record the message belongs to, so the worker can back-fill the message id once sent
+  context: {
+    kind: String,
+    refId: String,
+    role: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for the worker's "next due job" query
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const CONDITION_OPERATORS = ['equals', 'in', 'startsWith', 'matches', 'exists'];
+const ROUTING_STRATEGIES = ['all', 'round_robin'];
+
+// Numbers with country code, or WhatsApp group chat ids
+const TARGET_PATTERN = /^(\+?[1-9]\d{6,14}|[\d-]{10,40}@g\.us)$/;
+
+const conditionSchema = new mongoose.Schema({
+  // Submitted field to test (e.g. "department", "postcode")
+  field: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: CONDITION_OPERATORS,
+    default: 'equals'
+  },
+  // A string, a list for "in", a regular expression for "matches"; unused for "exists"
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const routingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Form the rule applies to: a form definition's formId, "contact" for the contact form or "*" for all
+  formId: {
+    type: String,
+    default: '*',
+    index: true
+  },
+  // Rules are tried in ascending priority; the first whose conditions all match picks the recipients
+  priority: {
+    type: Number,
+    default: 100
+  },
+  // Empty matches every submission (a catch-all)
+  conditions: [conditionSchema],
+  targets: {
+    type: [{ type: String, match: TARGET_PATTERN }],
+    validate: [(targets) => targets.length > 0, 'At least one target is required']
+  },
+  // all: notify every target; round_robin: one target per submission, in turn
+  strategy: {
+    type: String,
+    enum: ROUTING_STRATEGIES,
+    default: 'all'
+  },
+  // Submissions routed so far, for round robin
+  rotation: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+routingRuleSchema.statics.CONDITION_OPERATORS = CONDITION_OPERATORS;
+routingRuleSchema.statics.ROUTING_STRATEGIES = ROUTING_STRATEGIES;
+
+module.exports = mongoose.model('RoutingRule', routingRuleSchema);
@@ -1,13 +1,93 @@
 const mongoose = require('mongoose');
 
 const submissionSchema = new mongoose.Schema({
+  sessionId: String,
+  // Set for submissions made through a stored form definition
+  formId: { type: String, index: true },
+  // All submitted fields, as validated against the form definition
+  fields: mongoose.Schema.Types.Mixed,
   name: String,
   email: String,
   phone: String,
+  // Digits only, used to match inbound WhatsApp replies to the submission
+  phoneNormalized: { type: String, index: true },
   message: String,
   customerMsgId: String,
   adminMsgId: String,
-  createdAt: { type: Date, default: Date.now },
+  // Follow-up message to the customer, scheduled when the form asks for one
+  followUpJobId: String,
+  followUpMsgId: String,
+  // Latest delivery receipt for each message (pending/sent/delivered/read/failed)
+  customerMsgStatus: String,
+  adminMsgStatus: String,
+  // Admin notifications (one per recipient number or group chat id)
+  notifications: [{
+    _id: false,
+    to: String,
+    messageId: String,
+    status: String,
+    queued: Boolean,
+    error: String
+  }],
+  // Routing rule that picked the recipients (unset when the form's defaults were used)
+  routing: {
+    ruleId: String,
+    ruleName: String,
+    strategy: String
+  },
+  // Uploaded files, kept in the local media store and forwarded to the admin/destination numbers
+  attachments: [{
+    _id: false,
+    mediaId: String,
+    field: String,
+    filename: String,
+    mimetype: String,
+    size: Number,
+    sha256: String,
+    // One entry per number the file was forwarded to
+    deliveries: [{
+      _id: false,
+      to: String,
+      messageId: String,
+      queued: Boolean,
+      error: String
+    }]
+  }],
+  deliveryStatus: {
+    type: String,
+    enum: ['both_sent', 'customer_only', 'admin_only', 'queued', 'failed']
+  },
+  // Handling lifecycle, independent of message delivery
+  status: {
+    type: String,
+    enum: ['new', 'in-progress', 'resolved', 'spam'],
+    default: 'new',
+    index: true
+  },
+  assignee: String,
+  notes: [{
+    text: String,
+    author: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    by: String,
+    at: { type: Date, default: Date.now }
+  }],
+  // Why the spam filter flagged the submission (honeypot, too_many_links, blocklisted_word)
+  spamReasons: { type: [String], default: undefined },
+  // Outcome of the phone verification check when the form requires or flags it (unset when off)
+  phoneVerified: Boolean,
+  phoneVerificationError: String,
+  // Hash of phone, email and message, used to detect duplicate submissions
+  fingerprint: { type: String, index: true },
+  // Set when the retention policy strips personal data from the record
+  anonymizedAt: Date,
+  createdAt: { type: Date, default: Date.now, index: true },
+  updatedAt: { type: Date, default: Date.now }
 });
 
 module.exports = mongoose.model('Submission', submissionSchema); 
\ No newline at end of file
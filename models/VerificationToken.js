@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a signed verification token (JWT), so a form submission can redeem it only once
+const verificationTokenSchema = new mongoose.Schema({
+  // The token's "jti" claim; the signed token itself is only returned by /api/otp/verify
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Verified number in E.164 format, and digits only for matching submitted numbers
+  contactNumber: {
+    type: String,
+    required: true
+  },
+  phoneNormalized: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  otpUuid: String,
+  sessionId: String,
+  usedAt: Date,
+  submissionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Kept for a day after expiry so late redemptions get a clear "expired" error
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 24 * 60 * 60
+  }
+});
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
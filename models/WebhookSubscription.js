@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Shared secret used to sign payloads (HMAC-SHA256)
+  secret: {
+    type: String,
+    required: true
+  },
+  // Event names to deliver, or ['*'] for all events
+  events: {
+    type: [String],
+    default: ['*']
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const whatsAppSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  name: String,
+  // Admin notifications for this session go here instead of ADMIN_NUMBER
+  adminNumber: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('WhatsAppSession', whatsAppSessionSchema);
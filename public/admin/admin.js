@@ -0,0 +1,351 @@
+(function () {
+  'use strict';
+
+  const REFRESH_INTERVAL_MS = 10000;
+  const state = { tab: 'overview', submissionPage: 1, otpPage: 1, failedPage: 1 };
+
+  const $ = (selector) => document.querySelector(selector);
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+  }
+
+  function badge(text, tone) {
+    return `<span class="badge ${tone || ''}">${escapeHtml(text)}</span>`;
+  }
+
+  function statusTone(status) {
+    if (['both_sent', 'sent', 'delivered', 'read', 'ready', 'CONNECTED'].includes(status)) return 'ok';
+    if (['failed', 'dead'].includes(status)) return 'bad';
+    return 'warn';
+  }
+
+  function emptyRow(columns, text) {
+    return `<tr><td class="empty" colspan="${columns}">${escapeHtml(text)}</td></tr>`;
+  }
+
+  function showNotice(message, isError) {
+    const notice = $('#notice');
+    notice.textContent = message || '';
+    notice.className = isError ? 'notice error' : 'notice';
+    notice.hidden = !message;
+  }
+
+  // The server rejects state-changing calls without X-Requested-With (CSRF guard)
+  async function api(path, options = {}) {
+    const response = await fetch(`api/${path}`, {
+      ...options,
+      credentials: 'same-origin',
+      headers: { 'X-Requested-With': 'admin-ui', ...(options.headers || {}) }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.success === false) {
+      throw new Error(body.error || `Request failed (${response.status})`);
+    }
+    return body;
+  }
+
+  function renderPager(container, data, onPage) {
+    if (!data.pages || data.pages <= 1) {
+      container.innerHTML = data.total ? `<span>${data.total} total</span>` : '';
+      return;
+    }
+    container.innerHTML =
+      `<button data-page="${data.page - 1}" ${data.page <= 1 ? 'disabled' : ''}>Previous</button>` +
+      `<span>Page ${data.page} of ${data.pages} (${data.total} total)</span>` +
+      `<button data-page="${data.page + 1}" ${data.page >= data.pages ? 'disabled' : ''}>Next</button>`;
+    container.querySelectorAll('button').forEach((button) => {
+      button.addEventListener('click', () => onPage(Number(button.dataset.page)));
+    });
+  }
+
+  // Overview
+
+  function renderStat(label, value) {
+    return `<div class="stat"><div class="value">${escapeHtml(value == null ? '-' : value)}</div><div class="label">${escapeHtml(label)}</div></div>`;
+  }
+
+  function renderSession(session) {
+    const tone = session.isReady ? 'ok' : session.authenticated ? 'warn' : 'bad';
+    const label = session.isReady ? 'Ready' : session.state || (session.authenticated ? 'Connecting' : 'Not paired');
+    const account = session.wid
+      ? `<div>${escapeHtml(session.pushname || '')} ${escapeHtml(session.wid.user || '')}</div>`
+      : '';
+    const qr = session.hasQr && !session.isReady
+      ? `<img alt="QR code for ${escapeHtml(session.sessionId)}" src="api/sessions/${encodeURIComponent(session.sessionId)}/qr?t=${Date.now()}">`
+      : '';
+    const pairingCode = session.pairingCode && !session.isReady
+      ? `<div>Pairing code: <span class="pairing-code">${escapeHtml(session.pairingCode)}</span></div>`
+      : '';
+    const loading = session.loading && !session.isReady
+      ? `<div>Loading ${escapeHtml(session.loading.percent)}% ${escapeHtml(session.loading.message || '')}</div>`
+      : '';
+
+    return `<div class="card">
+      <h3>${escapeHtml(session.name || session.sessionId)}</h3>
+      <div>${badge(label, tone)} <small>${escapeHtml(session.sessionId)}</small></div>
+      ${account}${loading}${pairingCode}${qr}
+      <div class="actions">
+        <button class="primary" data-action="generate-qr" data-session="${escapeHtml(session.sessionId)}" ${session.isReady ? 'disabled' : ''}>Generate QR</button>
+        <button data-action="restart" data-session="${escapeHtml(session.sessionId)}">Restart</button>
+      </div>
+    </div>`;
+  }
+
+  async function loadOverview() {
+    const data = await api('overview');
+    const queue = data.queue || {};
+    const last24h = data.last24h || {};
+
+    $('#stats').innerHTML = [
+      renderStat('Database', data.databaseConnected ? 'Connected' : 'Disconnected'),
+      renderStat('Submissions (24h)', last24h.submissions),
+      renderStat('OTPs sent (24h)', last24h.otpsSent),
+      renderStat('OTPs awaiting verification', data.activeOtps),
+      renderStat('Failed messages (24h)', last24h.failedMessages),
+      renderStat('Queue depth', queue.depth),
+      renderStat('Dead letters', queue.deadLetters)
+    ].join('');
+    $('#sessions').innerHTML = data.sessions.map(renderSession).join('');
+
+    if (!data.databaseConnected) {
+      showNotice('MongoDB is not connected: submissions, OTP activity and the queue are unavailable.');
+    }
+  }
+
+  async function sessionAction(action, sessionId) {
+    const messages = {
+      'generate-qr': 'QR code generation started. The code appears here in a few seconds.',
+      restart: `Session "${sessionId}" is restarting.`
+    };
+    if (action === 'restart' && !window.confirm(`Restart WhatsApp session "${sessionId}"?`)) return;
+    await api(`sessions/${encodeURIComponent(sessionId)}/${action}`, { method: 'POST' });
+    showNotice(messages[action]);
+  }
+
+  // Submissions
+
+  function renderSubmissionDetail(submission, messages) {
+    const fields = submission.fields || {
+      name: submission.name,
+      email: submission.email,
+      phone: submission.phone,
+      message: submission.message
+    };
+    const fieldRows = Object.keys(fields)
+      .map((key) => `<tr><th>${escapeHtml(key)}</th><td class="message">${escapeHtml(fields[key])}</td></tr>`)
+      .join('');
+    const messageRows = messages.length
+      ? messages.map((m) => `<tr><td>${escapeHtml(m.context && m.context.role)}</td><td>${escapeHtml(m.to)}</td><td>${badge(m.status, statusTone(m.status))}</td><td>${formatDate(m.updatedAt)}</td></tr>`).join('')
+      : emptyRow(4, 'No delivery receipts yet');
+
+    const attachmentItems = (submission.attachments || [])
+      .map((a) => `<li><a href="api/media/${encodeURIComponent(a.mediaId)}">${escapeHtml(a.filename)}</a> <small>${escapeHtml(a.field)} · ${escapeHtml(a.mimetype)} · ${escapeHtml(Math.ceil(a.size / 1024))} KB</small></li>`)
+      .join('');
+
+    const noteRows = (submission.notes || [])
+      .map((n) => `<li>${escapeHtml(n.text)} <small>${escapeHtml(n.author || '')} ${formatDate(n.createdAt)}</small></li>`)
+      .join('');
+
+    return `<tr class="detail"><td colspan="8">
+      <table><tbody>${fieldRows}</tbody></table>
+      <h2>Messages</h2>
+      <table>
+        <thead><tr><th>Recipient</th><th>Number</th><th>Status</th><th>Updated</th></tr></thead>
+        <tbody>${messageRows}</tbody>
+      </table>
+      ${attachmentItems ? `<h2>Attachments</h2><ul>${attachmentItems}</ul>` : ''}
+      ${submission.spamReasons && submission.spamReasons.length ? `<p>Flagged as spam: ${escapeHtml(submission.spamReasons.join(', '))}</p>` : ''}
+      ${submission.assignee ? `<p>Assigned to ${escapeHtml(submission.assignee)}</p>` : ''}
+      ${noteRows ? `<h2>Notes</h2><ul>${noteRows}</ul>` : ''}
+    </td></tr>`;
+  }
+
+  async function toggleSubmission(row) {
+    const next = row.nextElementSibling;
+    if (next && next.classList.contains('detail')) {
+      next.remove();
+      return;
+    }
+    const data = await api(`submissions/${encodeURIComponent(row.dataset.id)}`);
+    row.insertAdjacentHTML('afterend', renderSubmissionDetail(data.submission, data.messages));
+  }
+
+  async function loadSubmissions() {
+    const form = $('#submission-search');
+    const params = new URLSearchParams({ page: state.submissionPage });
+    if (form.q.value.trim()) params.set('q', form.q.value.trim());
+    if (form.status.value) params.set('status', form.status.value);
+    if (form.deliveryStatus.value) params.set('deliveryStatus', form.deliveryStatus.value);
+
+    const data = await api(`submissions?${params}`);
+    $('#submission-rows').innerHTML = data.submissions.length
+      ? data.submissions.map((s) => `<tr class="clickable" data-id="${escapeHtml(s._id)}">
+          <td>${formatDate(s.createdAt)}</td>
+          <td>${escapeHtml(s.formId || '')}</td>
+          <td>${escapeHtml(s.name)}</td>
+          <td>${escapeHtml(s.phone)}</td>
+          <td>${escapeHtml(s.email)}</td>
+          <td class="message">${escapeHtml(s.message)}</td>
+          <td>${badge(s.status || 'new', s.status === 'spam' ? 'bad' : s.status === 'resolved' ? 'ok' : '')}</td>
+          <td>${s.deliveryStatus ? badge(s.deliveryStatus, statusTone(s.deliveryStatus)) : ''}</td>
+        </tr>`).join('')
+      : emptyRow(8, 'No submissions found');
+    renderPager($('#submission-pager'), data, (page) => {
+      state.submissionPage = page;
+      refresh();
+    });
+  }
+
+  // OTP activity
+
+  async function loadOtps() {
+    const data = await api(`otps?page=${state.otpPage}`);
+    $('#otp-active-rows').innerHTML = data.active.length
+      ? data.active.map((o) => `<tr>
+          <td>${formatDate(o.createdAt)}</td>
+          <td>${escapeHtml(o.contactNumber)}</td>
+          <td>${escapeHtml(o.reason)}</td>
+          <td>${escapeHtml(o.appName)}</td>
+          <td>${escapeHtml(o.locale)}</td>
+          <td>${escapeHtml(o.attempts)}/${escapeHtml(o.maxAttempts)}</td>
+          <td>${o.messageStatus ? badge(o.messageStatus, statusTone(o.messageStatus)) : ''}</td>
+        </tr>`).join('')
+      : emptyRow(7, 'No OTPs awaiting verification');
+    $('#otp-message-rows').innerHTML = data.messages.length
+      ? data.messages.map((m) => `<tr>
+          <td>${formatDate(m.createdAt)}</td>
+          <td>${escapeHtml(m.to)}</td>
+          <td>${escapeHtml(m.sessionId)}</td>
+          <td>${badge(m.status, statusTone(m.status))}</td>
+          <td>${escapeHtml(m.uuid)}</td>
+        </tr>`).join('')
+      : emptyRow(5, 'No OTP messages yet');
+    renderPager($('#otp-pager'), data, (page) => {
+      state.otpPage = page;
+      refresh();
+    });
+  }
+
+  // Failed sends
+
+  async function loadFailed() {
+    const data = await api(`failed?page=${state.failedPage}`);
+    $('#dead-rows').innerHTML = data.deadJobs.length
+      ? data.deadJobs.map((job) => `<tr>
+          <td>${formatDate(job.createdAt)}</td>
+          <td>${escapeHtml(job.to)}</td>
+          <td>${escapeHtml(job.sessionId)}</td>
+          <td>${escapeHtml(job.attempts)}/${escapeHtml(job.maxAttempts)}</td>
+          <td>${escapeHtml(job.lastError)}</td>
+          <td class="message">${escapeHtml(job.body)}${job.mediaId ? ' 📎' : ''}</td>
+          <td><button data-action="retry" data-id="${escapeHtml(job.id)}">Retry</button></td>
+        </tr>`).join('')
+      : emptyRow(7, 'No dead-lettered messages');
+    $('#failed-message-rows').innerHTML = data.failedMessages.length
+      ? data.failedMessages.map((m) => `<tr>
+          <td>${formatDate(m.updatedAt)}</td>
+          <td>${escapeHtml(m.to)}</td>
+          <td>${escapeHtml(m.sessionId)}</td>
+          <td>${escapeHtml(m.context ? [m.context.kind, m.context.role].filter(Boolean).join(' / ') : '')}</td>
+          <td>${escapeHtml(m.messageId)}</td>
+        </tr>`).join('')
+      : emptyRow(5, 'No failed deliveries reported');
+    renderPager($('#failed-pager'), data, (page) => {
+      state.failedPage = page;
+      refresh();
+    });
+  }
+
+  async function retryJob(id) {
+    await api(`queue/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+    showNotice('Message returned to the queue.');
+  }
+
+  // Queue
+
+  async function loadQueue() {
+    const data = await api('queue');
+    $('#queue-stats').innerHTML = data.sessions.map((s) =>
+      renderStat(`${s.sessionId}: pending / dead`, `${s.depth} / ${s.deadLetters}`)
+    ).join('');
+    $('#queue-rows').innerHTML = data.jobs.length
+      ? data.jobs.map((job) => `<tr>
+          <td>${formatDate(job.createdAt)}</td>
+          <td>${escapeHtml(job.to)}</td>
+          <td>${escapeHtml(job.sessionId)}</td>
+          <td>${badge(job.status, statusTone(job.status))}</td>
+          <td>${escapeHtml(job.attempts)}/${escapeHtml(job.maxAttempts)}</td>
+          <td>${formatDate(job.nextAttemptAt)}</td>
+          <td>${escapeHtml(job.lastError)}</td>
+        </tr>`).join('')
+      : emptyRow(7, 'The queue is empty');
+  }
+
+  const loaders = {
+    overview: loadOverview,
+    submissions: loadSubmissions,
+    otps: loadOtps,
+    failed: loadFailed,
+    queue: loadQueue
+  };
+
+  async function refresh() {
+    try {
+      await loaders[state.tab]();
+    } catch (error) {
+      showNotice(error.message, true);
+    }
+  }
+
+  function selectTab(tab) {
+    state.tab = tab;
+    showNotice('');
+    document.querySelectorAll('.tab').forEach((button) => button.classList.toggle('active', button.dataset.tab === tab));
+    document.querySelectorAll('.panel').forEach((panel) => { panel.hidden = panel.id !== tab; });
+    refresh();
+  }
+
+  document.querySelectorAll('.tab').forEach((button) => {
+    button.addEventListener('click', () => selectTab(button.dataset.tab));
+  });
+
+  $('#submission-search').addEventListener('submit', (event) => {
+    event.preventDefault();
+    state.submissionPage = 1;
+    refresh();
+  });
+
+  $('#submission-rows').addEventListener('click', (event) => {
+    const row = event.target.closest('tr.clickable');
+    if (row) toggleSubmission(row).catch((error) => showNotice(error.message, true));
+  });
+
+  document.body.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const action = button.dataset.action;
+    const run = action === 'retry' ? retryJob(button.dataset.id) : sessionAction(action, button.dataset.session);
+    button.disabled = true;
+    run
+      .then(refresh)
+      .catch((error) => showNotice(error.message, true))
+      .finally(() => { button.disabled = false; });
+  });
+
+  // Keep session state and the QR code current; other tabs refresh on demand
+  setInterval(() => {
+    if (state.tab === 'overview' && !document.hidden) refresh();
+  }, REFRESH_INTERVAL_MS);
+
+  refresh();
+})();
@@ -0,0 +1,311 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const QRCode = require('qrcode');
+const Submission = require('../models/Submission');
+const Otp = require('../models/Otp');
+const OutboundMessage = require('../models/OutboundMessage');
+const MessageStatus = require('../models/MessageStatus');
+const whatsappClient = require('../services/whatsappClient');
+const messageQueue = require('../services/messageQueue');
+const submissionService = require('../services/submissionService');
+const { requireAdmin } = require('../utils/adminAuth');
+const { sendStoredMedia } = require('../utils/mediaUpload');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+const PAGE_SIZE_MAX = 100;
+
+router.use(requireAdmin);
+
+// Static dashboard (public/admin); its asset paths are relative, so /admin needs the trailing slash
+router.get('/', (req, res, next) => {
+  if (!req.originalUrl.split('?')[0].endsWith('/')) return res.redirect(301, req.baseUrl + '/');
+  next();
+});
+router.use(express.static(path.join(__dirname, '..', 'public', 'admin')));
+
+// Everything below reads MongoDB; fail fast instead of letting queries buffer
+router.use('/api', (req, res, next) => {
+  if (req.path === '/overview' || req.path.startsWith('/sessions') || mongoose.connection.readyState === 1) return next();
+  res.status(503).json({ success: false, error: 'Database is not connected' });
+});
+
+function pagination(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), PAGE_SIZE_MAX);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+}
+
+// Queue jobs carrying an OTP keep their body until sent; never show it
+function serializeJob(job) {
+  return {
+    id: job._id,
+    sessionId: job.sessionId || whatsappClient.DEFAULT_SESSION_ID,
+    to: job.to,
+    body: job.sensitive ? '[REDACTED]' : job.body,
+    mediaId: job.mediaId,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.nextAttemptAt,
+    expiresAt: job.expiresAt,
+    lastError: job.lastError,
+    context: job.context,
+    createdAt: job.createdAt
+  };
+}
+
+function serializeSession(status) {
+  const pairing = whatsappClient.getPairingState(status.sessionId);
+  return {
+    sessionId: status.sessionId,
+    name: status.name,
+    isReady: status.isReady,
+    state: status.state,
+    authenticated: !!status.info,
+    wid: status.info ? status.info.wid : null,
+    pushname: status.info ? status.info.pushname : null,
+    hasQr: !!(pairing && pairing.qr),
+    pairingCode: pairing ? pairing.pairingCode : null,
+    loading: pairing ? pairing.loading : null
+  };
+}
+
+// GET /admin/api/overview - Sessions, queue and today's counts
+router.get('/api/overview', async (req, res) => {
+  try {
+    const sessions = whatsappClient.listSessions().map(serializeSession);
+    // Session status is in memory, so show it even while the database is down
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({ success: true, databaseConnected: false, sessions, queue: null, last24h: null, activeOtps: null });
+    }
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [queue, submissions24h, activeOtps, otpMessages24h, failedMessages24h] = await Promise.all([
+      messageQueue.getQueueStats(),
+      Submission.countDocuments({ createdAt: { $gte: since } }),
+      Otp.countDocuments(),
+      MessageStatus.countDocuments({ 'context.kind': 'otp', createdAt: { $gte: since } }),
+      MessageStatus.countDocuments({ status: 'failed', updatedAt: { $gte: since } })
+    ]);
+
+    res.json({
+      success: true,
+      databaseConnected: true,
+      sessions,
+      queue,
+      last24h: { submissions: submissions24h, otpsSent: otpMessages24h, failedMessages: failedMessages24h },
+      activeOtps
+    });
+  } catch (error) {
+    logger.error({ event: 'AdminOverviewError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load overview' });
+  }
+});
+
+// GET /admin/api/sessions/:sessionId/qr - Latest QR code as PNG
+router.get('/api/sessions/:sessionId/qr', async (req, res) => {
+  try {
+    const pairing = whatsappClient.getPairingState(req.params.sessionId);
+    if (!pairing || !pairing.qr) {
+      return res.status(404).json({ success: false, error: 'No QR code available' });
+    }
+    res.type('png').set('Cache-Control', 'no-store').send(await QRCode.toBuffer(pairing.qr, { width: 320, margin: 2 }));
+  } catch (error) {
+    logger.error({ event: 'AdminQRError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to render QR code' });
+  }
+});
+
+// POST /admin/api/sessions/:sessionId/generate-qr - Start pairing for a session
+router.post('/api/sessions/:sessionId/generate-qr', async (req, res) => {
+  try {
+    await whatsappClient.generateQRCode(req.params.sessionId);
+    logger.info({ event: 'AdminQRGenerationRequested', sessionId: req.params.sessionId });
+    res.json({ success: true, message: 'QR code generation initiated.' });
+  } catch (error) {
+    logger.error({ event: 'AdminQRGenerationError', error: error.message });
+    const statusCode = error.message.includes('not found') ? 404 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 404 ? error.message : 'Failed to generate QR code' });
+  }
+});
+
+// POST /admin/api/sessions/:sessionId/restart - Restart a session's client
+router.post('/api/sessions/:sessionId/restart', async (req, res) => {
+  try {
+    await whatsappClient.restartClient(req.params.sessionId);
+    logger.info({ event: 'AdminClientRestarted', sessionId: req.params.sessionId });
+    res.json({ success: true, message: 'WhatsApp client restarted.' });
+  } catch (error) {
+    logger.error({ event: 'AdminClientRestartError', error: error.message });
+    const statusCode = error.message.includes('not found') ? 404 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 404 ? error.message : 'Failed to restart WhatsApp client' });
+  }
+});
+
+// GET /admin/api/submissions - Search (?q=), filter and paginate (?page=&limit=) submissions
+router.get('/api/submissions', async (req, res) => {
+  try {
+    const result = await submissionService.listSubmissions(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error({ event: 'AdminSubmissionListError', error: error.message });
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 400 ? error.message : 'Failed to list submissions' });
+  }
+});
+
+// GET /admin/api/submissions/:id - One submission with the delivery status of its messages
+router.get('/api/submissions/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    const messages = await MessageStatus.find({ 'context.kind': 'submission', 'context.refId': submission._id.toString() });
+    res.json({ success: true, submission, messages });
+  } catch (error) {
+    logger.error({ event: 'AdminSubmissionGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get submission' });
+  }
+});
+
+// GET /admin/api/media/:mediaId - Download a submission attachment
+router.get('/api/media/:mediaId', sendStoredMedia);
+
+// GET /admin/api/otps - OTPs awaiting verification and recent OTP messages
+router.get('/api/otps', async (req, res) => {
+  try {
+    const { limit, page, skip } = pagination(req.query);
+    const [active, total, messages] = await Promise.all([
+      Otp.find(Otp.verifiableFilter()).sort({ createdAt: -1 }).limit(PAGE_SIZE_MAX),
+      MessageStatus.countDocuments({ 'context.kind': 'otp' }),
+      MessageStatus.find({ 'context.kind': 'otp' }).sort({ createdAt: -1 }).skip(skip).limit(limit)
+    ]);
+
+    res.json({
+      success: true,
+      active: active.map((otp) => ({
+        uuid: otp.uuid,
+        contactNumber: otp.contactNumber,
+        reason: otp.reason,
+        appName: otp.appName,
+        locale: otp.locale,
+        sessionId: otp.sessionId,
+        attempts: otp.attempts,
+        maxAttempts: otp.maxAttempts,
+        messageStatus: otp.messageStatus,
+        createdAt: otp.createdAt,
+        expiresAt: otp.expiresAt
+      })),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      messages: messages.map((m) => ({
+        uuid: m.context.refId,
+        to: m.to,
+        sessionId: m.sessionId,
+        status: m.status,
+        createdAt: m.createdAt,
+        updatedAt: m.updatedAt
+      }))
+    });
+  } catch (error) {
+    logger.error({ event: 'AdminOtpListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list OTP activity' });
+  }
+});
+
+// GET /admin/api/failed - Dead-lettered queue jobs and messages WhatsApp reported as failed
+router.get('/api/failed', async (req, res) => {
+  try {
+    const { limit, page, skip } = pagination(req.query);
+    const [total, deadJobs, failedMessages] = await Promise.all([
+      OutboundMessage.countDocuments({ status: 'dead' }),
+      OutboundMessage.find({ status: 'dead' }).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      MessageStatus.find({ status: 'failed' }).sort({ updatedAt: -1 }).limit(limit)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      deadJobs: deadJobs.map(serializeJob),
+      failedMessages: failedMessages.map((m) => ({
+        messageId: m.messageId,
+        to: m.to,
+        sessionId: m.sessionId,
+        context: m.context,
+        updatedAt: m.updatedAt
+      }))
+    });
+  } catch (error) {
+    logger.error({ event: 'AdminFailedListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list failed sends' });
+  }
+});
+
+// GET /admin/api/queue - Queue stats per session and the jobs waiting to be sent
+router.get('/api/queue', async (req, res) => {
+  try {
+    const sessions = whatsappClient.listSessions();
+    const [stats, jobs] = await Promise.all([
+      Promise.all(sessions.map(async ({ sessionId }) => ({ sessionId, ...(await messageQueue.getQueueStats(sessionId)) }))),
+      OutboundMessage.find({ status: { $in: ['pending', 'processing'] } }).sort({ nextAttemptAt: 1 }).limit(PAGE_SIZE_MAX)
+    ]);
+    res.json({ success: true, sessions: stats, jobs: jobs.map(serializeJob) });
+  } catch (error) {
+    logger.error({ event: 'AdminQueueError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get queue state' });
+  }
+});
+
+// POST /admin/api/queue/:id/retry - Put a dead-lettered job back in the queue
+router.post('/api/queue/:id/retry', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    const job = await OutboundMessage.findOne({ _id: req.params.id, status: 'dead' });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    // Expired or already-redacted messages (e.g. OTPs) cannot be resent
+    if ((job.expiresAt && job.expiresAt < new Date()) || job.sensitive) {
+      return res.status(409).json({ success: false, error: 'This message has expired and cannot be retried' });
+    }
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date();
+    job.lastError = undefined;
+    await job.save();
+    messageQueue.drainQueue(job.sessionId || whatsappClient.DEFAULT_SESSION_ID).catch(() => {});
+
+    logger.info({ event: 'AdminJobRetried', jobId: job._id });
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (error) {
+    logger.error({ event: 'AdminJobRetryError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to retry job' });
+  }
+});
+
+module.exports = router;
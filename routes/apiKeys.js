@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Fields a client may set on a key
+const EDITABLE_FIELDS = ['name', 'scopes', 'allowedOrigins', 'rateLimitPerMinute', 'quota', 'defaultSessionId', 'active', 'expiresAt'];
+
+// Managing keys is an admin operation
+router.use(requireApiKey('admin'));
+
+// Validate the :id param before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
+  }
+  next();
+});
+
+function pickEditable(body) {
+  const update = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) update[key] = body[key];
+  }
+  return update;
+}
+
+// Never expose secret hashes
+function serialize(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    keyPrefix: `f2c_${apiKey.prefix}_`,
+    scopes: apiKey.scopes,
+    allowedOrigins: apiKey.allowedOrigins,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    quota: apiKey.quota,
+    defaultSessionId: apiKey.defaultSessionId,
+    active: apiKey.active,
+    revokedAt: apiKey.revokedAt,
+    expiresAt: apiKey.expiresAt,
+    previousSecretExpiresAt: apiKey.previousSecretExpiresAt > new Date() ? apiKey.previousSecretExpiresAt : undefined,
+    requestCount: apiKey.requestCount,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey.createdAt,
+    updatedAt: apiKey.updatedAt
+  };
+}
+
+function handleError(res, error, event, fallback) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  logger.error({ event, error: error.message });
+  res.status(500).json({ success: false, error: fallback });
+}
+
+// GET /api/keys - List keys and the available scopes
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.active !== undefined ? { active: req.query.active === 'true' } : {};
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, availableScopes: ApiKey.SCOPES, keys: keys.map(serialize) });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyListError', 'Failed to list API keys');
+  }
+});
+
+// POST /api/keys - Create a key; the full key is only returned here
+router.post('/', async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    const { apiKey, key } = await apiKeyService.createApiKey(pickEditable(req.body));
+    res.status(201).json({ success: true, apiKey: { ...serialize(apiKey), key } });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyCreateError', 'Failed to create API key');
+  }
+});
+
+// GET /api/keys/:id - Get a key
+router.get('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, apiKey: serialize(apiKey) });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyGetError', 'Failed to get API key');
+  }
+});
+
+// PATCH /api/keys/:id - Update name, scopes, origins, limits, default session or active flag
+router.patch('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { ...pickEditable(req.body), updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    logger.info({ event: 'ApiKeyUpdated', id: apiKey._id });
+    res.json({ success: true, apiKey: serialize(apiKey) });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyUpdateError', 'Failed to update API key');
+  }
+});
+
+// POST /api/keys/:id/rotate - Issue a new secret ({ "gracePeriodSeconds": 3600 } keeps the old one working meanwhile)
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const gracePeriodSeconds = Math.max(parseInt((req.body || {}).gracePeriodSeconds, 10) || 0, 0);
+    const { apiKey, key } = await apiKeyService.rotateApiKey(req.params.id, gracePeriodSeconds);
+    res.json({ success: true, apiKey: { ...serialize(apiKey), key } });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyRotateError', 'Failed to rotate API key');
+  }
+});
+
+// POST /api/keys/:id/revoke - Permanently disable a key
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(req.params.id);
+    res.json({ success: true, apiKey: serialize(apiKey) });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyRevokeError', 'Failed to revoke API key');
+  }
+});
+
+// GET /api/keys/:id/usage - Request counters (?days=30)
+router.get('/:id/usage', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 90);
+    res.json({ success: true, id: apiKey._id, usage: await apiKeyService.getUsage(apiKey, days) });
+  } catch (error) {
+    handleError(res, error, 'ApiKeyUsageError', 'Failed to get API key usage');
+  }
+});
+
+module.exports = router;
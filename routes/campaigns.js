@@ -0,0 +1,376 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const winston = require('winston');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const campaignService = require('../services/campaignService');
+const mediaStore = require('../services/mediaStore');
+const { selectSession } = require('../utils/sessionSelector');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { resolveMediaInput } = require('../utils/mediaUpload');
+const { csvCell } = require('../utils/csv');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const CAMPAIGN_UPLOAD_MAX_MB = parseInt(process.env.CAMPAIGN_UPLOAD_MAX_MB, 10) || 5;
+const PAGE_SIZE_MAX = 100;
+
+// Fields a client may set on a campaign
+const EDITABLE_FIELDS = ['name', 'sessionId', 'template', 'templateName', 'locale', 'intervalSeconds', 'jitterSeconds', 'dailyCap', 'respectQuietHours'];
+
+// Columns of the per-recipient CSV export
+const CSV_COLUMNS = [
+  ['to', (r) => r.to],
+  ['status', (r) => r.status],
+  ['messageStatus', (r) => r.messageStatus],
+  ['messageId', (r) => r.messageId],
+  ['attempts', (r) => r.attempts],
+  ['sentAt', (r) => r.sentAt && r.sentAt.toISOString()],
+  ['error', (r) => r.error],
+  ['variables', (r) => (r.variables ? JSON.stringify(r.variables) : '')]
+];
+
+// Recipient lists as a multipart "file" field (CSV or JSON)
+const listUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: CAMPAIGN_UPLOAD_MAX_MB * 1024 * 1024, files: 1 }
+});
+
+router.use(requireApiKey('campaigns:manage'));
+
+// Campaigns live in MongoDB; fail fast instead of letting queries buffer
+router.use((req, res, next) => {
+  if (mongoose.connection.readyState === 1) return next();
+  res.status(503).json({ success: false, error: 'Database is not connected' });
+});
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'Campaign not found' });
+  }
+  next();
+});
+
+function parseListUpload(req, res, next) {
+  listUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    logger.warn({ event: 'CampaignUploadRejected', code: error.code, error: error.message });
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `File too large (max ${CAMPAIGN_UPLOAD_MAX_MB} MB)` });
+    }
+    res.status(400).json({ success: false, error: `Invalid upload: ${error.message}` });
+  });
+}
+
+function pickEditable(body) {
+  const update = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) update[key] = body[key];
+  }
+  return update;
+}
+
+// Recipient list from a multipart file, or from `recipients` / `csv` in the body; null when none was sent
+function readRecipientInput(req) {
+  const body = req.body || {};
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname || '');
+    if (!isJson) return { csv: text };
+    try {
+      const parsed = JSON.parse(text);
+      return { recipients: Array.isArray(parsed) ? parsed : parsed.recipients };
+    } catch (_) {
+      throw new Error('Invalid recipient list: the file is not valid JSON');
+    }
+  }
+  if (body.recipients !== undefined || body.csv !== undefined) {
+    return { recipients: body.recipients, csv: body.csv };
+  }
+  return null;
+}
+
+// Parse and store an uploaded list; resolves to { added, duplicates, rejected }
+async function importRecipients(campaignId, input, phoneField) {
+  const { recipients, rejected } = campaignService.parseRecipientList(input, { phoneField });
+  const { added, duplicates } = await campaignService.addRecipients(campaignId, recipients);
+  return { added, duplicates, rejected };
+}
+
+function errorStatus(error) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') return 400;
+  return error.message.includes('Invalid') ? 400 : 500;
+}
+
+// GET /api/campaigns - List campaigns, newest first (?status=)
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !Campaign.CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${Campaign.CAMPAIGN_STATUSES.join(', ')}` });
+    }
+    const campaigns = await Campaign.find(status ? { status } : {}).sort({ createdAt: -1 });
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    logger.error({ event: 'CampaignListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list campaigns' });
+  }
+});
+
+// POST /api/campaigns - Create a draft campaign, optionally with its recipient list
+router.post('/', parseListUpload, selectSession, async (req, res) => {
+  let attachment;
+  try {
+    const body = req.body || {};
+    if (!body.name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+    const invalid = campaignService.templateError(body);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    const input = readRecipientInput(req);
+
+    attachment = body.media ? await resolveMediaInput(body.media) : undefined;
+    const campaign = await campaignService.createCampaign({
+      ...pickEditable(body),
+      sessionId: req.sessionId,
+      mediaId: attachment ? attachment.mediaId : undefined,
+      createdBy: req.apiKey ? String(req.apiKey._id || req.apiKey.id) : undefined
+    });
+
+    let imported;
+    if (input) {
+      try {
+        imported = await importRecipients(campaign._id, input, body.phoneField);
+      } catch (error) {
+        // Keep the draft; the list can be uploaded again
+        return res.status(errorStatus(error)).json({ success: false, error: error.message, campaign });
+      }
+    }
+    res.status(201).json({ success: true, campaign, imported });
+  } catch (error) {
+    // Base64 media stored for this request only is useless once creation has failed
+    if (attachment && req.body.media.data) await mediaStore.deleteMedia(attachment.mediaId).catch(() => {});
+    const statusCode = errorStatus(error);
+    if (statusCode === 500) logger.error({ event: 'CampaignCreateError', error: error.message });
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to create campaign' : error.message });
+  }
+});
+
+// GET /api/campaigns/:id - Get a campaign with recipient counts
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    const recipients = await campaignService.countByStatus(campaign._id);
+    res.json({ success: true, campaign, recipients });
+  } catch (error) {
+    logger.error({ event: 'CampaignGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get campaign' });
+  }
+});
+
+// PUT /api/campaigns/:id - Update the settings of a campaign that is not over
+router.put('/:id', selectSession, async (req, res) => {
+  try {
+    const update = pickEditable(req.body || {});
+    // Only a session the key may use (checked by selectSession)
+    delete update.sessionId;
+    if (req.sessionRequested) update.sessionId = req.sessionId;
+    const existing = await Campaign.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    const invalid = campaignService.templateError({
+      template: update.template !== undefined ? update.template : existing.template,
+      templateName: update.templateName !== undefined ? update.templateName : existing.templateName
+    });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const campaign = await campaignService.updateCampaign(req.params.id, update);
+    if (!campaign) {
+      return res.status(409).json({ success: false, error: `Campaign is already ${existing.status}` });
+    }
+    logger.info({ event: 'CampaignUpdated', campaignId: campaign._id, fields: Object.keys(update) });
+    res.json({ success: true, campaign });
+  } catch (error) {
+    const statusCode = errorStatus(error);
+    if (statusCode === 500) logger.error({ event: 'CampaignUpdateError', error: error.message });
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to update campaign' : error.message });
+  }
+});
+
+// DELETE /api/campaigns/:id - Delete a draft, completed or cancelled campaign and its results
+router.delete('/:id', async (req, res) => {
+  try {
+    const campaign = await campaignService.deleteCampaign(req.params.id);
+    if (!campaign) {
+      const existing = await Campaign.findById(req.params.id);
+      return existing
+        ? res.status(409).json({ success: false, error: `Campaign is ${existing.status}; cancel it first` })
+        : res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    res.json({ success: true, message: 'Campaign deleted' });
+  } catch (error) {
+    logger.error({ event: 'CampaignDeleteError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete campaign' });
+  }
+});
+
+// POST /api/campaigns/:id/recipients - Add recipients (CSV/JSON file, `recipients` or `csv`)
+router.post('/:id/recipients', parseListUpload, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    if (!campaignService.EDITABLE_STATUSES.includes(campaign.status)) {
+      return res.status(409).json({ success: false, error: `Campaign is already ${campaign.status}` });
+    }
+    const input = readRecipientInput(req);
+    if (!input) {
+      return res.status(400).json({ success: false, error: 'Send a CSV/JSON file, recipients (an array) or csv (text)' });
+    }
+
+    const imported = await importRecipients(campaign._id, input, (req.body || {}).phoneField);
+    res.json({ success: true, imported });
+  } catch (error) {
+    const statusCode = errorStatus(error);
+    if (statusCode === 500) logger.error({ event: 'CampaignRecipientImportError', error: error.message });
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to add recipients' : error.message });
+  }
+});
+
+// GET /api/campaigns/:id/recipients - Per-recipient results (?status=&page=&limit=, ?format=csv for all)
+router.get('/:id/recipients', async (req, res) => {
+  const { status, format } = req.query;
+  if (status && !CampaignRecipient.RECIPIENT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${CampaignRecipient.RECIPIENT_STATUSES.join(', ')}` });
+  }
+  if (format && !['json', 'csv'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be "csv" or "json"' });
+  }
+
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    if (format !== 'csv') {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), PAGE_SIZE_MAX);
+      const { recipients, total } = await campaignService.listRecipients(campaign._id, { status }, { page, limit });
+      return res.json({ success: true, recipients, total, page, limit });
+    }
+  } catch (error) {
+    logger.error({ event: 'CampaignRecipientListError', error: error.message });
+    return res.status(500).json({ success: false, error: 'Failed to list recipients' });
+  }
+
+  res.set('Content-Disposition', `attachment; filename="campaign-${req.params.id}-recipients.csv"`);
+  res.type('text/csv; charset=utf-8');
+  let count = 0;
+  try {
+    res.write(`${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`);
+    for await (const recipient of campaignService.recipientsCursor(req.params.id, { status })) {
+      res.write(`${CSV_COLUMNS.map(([, get]) => csvCell(get(recipient))).join(',')}\r\n`);
+      count++;
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone by now; cut the response short so the client sees an incomplete file
+    logger.error({ event: 'CampaignRecipientExportError', count, error: error.message });
+    res.destroy(error);
+  }
+});
+
+// POST /api/campaigns/:id/preview - Render the message for the first recipients, or for { variables }
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    const { variables } = req.body || {};
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null)) {
+      return res.status(400).json({ success: false, error: 'variables must be an object' });
+    }
+    const previews = await campaignService.previewCampaign(campaign, { variables });
+    res.json({ success: true, previews });
+  } catch (error) {
+    logger.error({ event: 'CampaignPreviewError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to preview campaign' });
+  }
+});
+
+// GET /api/campaigns/:id/report - Summary: counts, delivery receipts, top errors, progress
+router.get('/:id/report', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    const report = await campaignService.getCampaignReport(campaign);
+    res.json({ success: true, campaign: { id: campaign._id, name: campaign.name }, report });
+  } catch (error) {
+    logger.error({ event: 'CampaignReportError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to build campaign report' });
+  }
+});
+
+// POST /api/campaigns/:id/start|pause|resume|cancel
+router.post('/:id/:action', async (req, res) => {
+  const { action } = req.params;
+  const transition = campaignService.CAMPAIGN_ACTIONS[action];
+  if (!transition) {
+    return res.status(404).json({ success: false, error: `Unknown campaign action "${action}"` });
+  }
+
+  try {
+    const existing = await Campaign.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+    if (!transition.from.includes(existing.status)) {
+      return res.status(409).json({ success: false, error: `Cannot ${action} a ${existing.status} campaign` });
+    }
+    // A template that does not render would fail every recipient
+    if (action === 'start' || action === 'resume') {
+      const [preview] = await campaignService.previewCampaign(existing, { limit: 1 });
+      if (preview && preview.error) {
+        return res.status(400).json({ success: false, error: `Invalid template: ${preview.error}` });
+      }
+    }
+
+    const campaign = await campaignService.changeStatus(existing._id, action);
+    if (!campaign) {
+      return res.status(409).json({ success: false, error: 'Campaign status changed concurrently; fetch it and try again' });
+    }
+    res.json({ success: true, campaign });
+  } catch (error) {
+    const statusCode = errorStatus(error);
+    if (statusCode === 500) logger.error({ event: 'CampaignStatusChangeError', action, error: error.message });
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? `Failed to ${action} campaign` : error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Consent = require('../models/Consent');
+const ConsentEvent = require('../models/ConsentEvent');
+const consentService = require('../services/consentService');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const PAGE_SIZE_MAX = 100;
+const BULK_MAX_NUMBERS = 1000;
+const NOTE_MAX_LENGTH = 500;
+// Registry statuses a client may set -> the action recorded in the audit trail
+const STATUS_ACTIONS = { opted_in: 'opt_in', opted_out: 'opt_out' };
+
+// Campaign managers can look numbers up; changing the registry takes an admin key
+const requireAdmin = requireApiKey('admin');
+router.use(requireApiKey('campaigns:manage'));
+
+// The registry lives in MongoDB; fail fast instead of letting queries buffer
+router.use((req, res, next) => {
+  if (mongoose.connection.readyState === 1) return next();
+  res.status(503).json({ success: false, error: 'Database is not connected' });
+});
+
+router.param('number', (req, res, next, number) => {
+  if (!consentService.normalizeNumber(number)) {
+    return res.status(400).json({ success: false, error: 'number must be a phone number with country code' });
+  }
+  next();
+});
+
+function actorOf(req) {
+  return req.apiKey ? String(req.apiKey._id || req.apiKey.id) : undefined;
+}
+
+function pagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), PAGE_SIZE_MAX);
+  return { page, limit };
+}
+
+// Returns an error message for an invalid { status, note } body, or null
+function changeError(body) {
+  if (!STATUS_ACTIONS[body.status]) {
+    return `status must be one of: ${Object.keys(STATUS_ACTIONS).join(', ')}`;
+  }
+  if (body.note !== undefined && (typeof body.note !== 'string' || body.note.length > NOTE_MAX_LENGTH)) {
+    return `note must be a string of at most ${NOTE_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+// GET /api/consents - Numbers in the registry, most recently changed first (?status=&source=&page=&limit=)
+router.get('/', async (req, res) => {
+  const { status, source } = req.query;
+  if (status && !Consent.CONSENT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${Consent.CONSENT_STATUSES.join(', ')}` });
+  }
+  if (source && !Consent.CONSENT_SOURCES.includes(source)) {
+    return res.status(400).json({ success: false, error: `source must be one of: ${Consent.CONSENT_SOURCES.join(', ')}` });
+  }
+
+  try {
+    const { page, limit } = pagination(req.query);
+    const { consents, total } = await consentService.listConsents({ status, source }, { page, limit });
+    res.json({ success: true, consents, total, page, limit });
+  } catch (error) {
+    logger.error({ event: 'ConsentListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list consents' });
+  }
+});
+
+// GET /api/consents/events - Audit trail, newest first (?number=&action=&page=&limit=)
+router.get('/events', async (req, res) => {
+  const { number, action } = req.query;
+  if (number !== undefined && !consentService.normalizeNumber(number)) {
+    return res.status(400).json({ success: false, error: 'number must be a phone number with country code' });
+  }
+  if (action && !ConsentEvent.CONSENT_ACTIONS.includes(action)) {
+    return res.status(400).json({ success: false, error: `action must be one of: ${ConsentEvent.CONSENT_ACTIONS.join(', ')}` });
+  }
+
+  try {
+    const { page, limit } = pagination(req.query);
+    const { events, total } = await consentService.listConsentEvents({ number, action }, { page, limit });
+    res.json({ success: true, events, total, page, limit });
+  } catch (error) {
+    logger.error({ event: 'ConsentEventListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list consent events' });
+  }
+});
+
+// POST /api/consents/bulk - Set many numbers at once, e.g. an imported suppression list
+router.post('/bulk', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!Array.isArray(body.numbers) || body.numbers.length === 0 || body.numbers.length > BULK_MAX_NUMBERS) {
+      return res.status(400).json({ success: false, error: `numbers must be an array of 1-${BULK_MAX_NUMBERS} phone numbers` });
+    }
+    const invalid = changeError(body);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    let changed = 0, unchanged = 0;
+    const rejected = [];
+    for (const number of body.numbers) {
+      if (!consentService.normalizeNumber(number)) {
+        rejected.push({ number, error: 'Invalid phone number' });
+        continue;
+      }
+      const result = await consentService.recordConsent(number, STATUS_ACTIONS[body.status], {
+        source: 'import',
+        detail: body.note,
+        actor: actorOf(req)
+      });
+      if (result.changed) changed++;
+      else unchanged++;
+    }
+
+    logger.info({ event: 'ConsentsImported', status: body.status, changed, unchanged, rejected: rejected.length });
+    res.json({ success: true, changed, unchanged, rejected });
+  } catch (error) {
+    logger.error({ event: 'ConsentImportError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to import consents' });
+  }
+});
+
+// GET /api/consents/:number - A number's consent and its audit trail
+router.get('/:number', async (req, res) => {
+  try {
+    const { page, limit } = pagination(req.query);
+    const [consent, { events, total }] = await Promise.all([
+      consentService.getConsent(req.params.number),
+      consentService.listConsentEvents({ number: req.params.number }, { page, limit })
+    ]);
+    if (!consent && total === 0) {
+      return res.status(404).json({ success: false, error: 'Number not found in the consent registry' });
+    }
+    res.json({
+      success: true,
+      number: consentService.normalizeNumber(req.params.number),
+      consent,
+      optedOut: !!consent && consent.status === 'opted_out',
+      events,
+      total
+    });
+  } catch (error) {
+    logger.error({ event: 'ConsentGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get consent' });
+  }
+});
+
+// PUT /api/consents/:number - Opt a number in or out by hand ({ status, note })
+router.put('/:number', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = changeError(body);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const { consent, changed } = await consentService.recordConsent(req.params.number, STATUS_ACTIONS[body.status], {
+      source: 'api',
+      detail: body.note,
+      actor: actorOf(req)
+    });
+    res.json({ success: true, consent, changed });
+  } catch (error) {
+    logger.error({ event: 'ConsentUpdateError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update consent' });
+  }
+});
+
+// DELETE /api/consents/:number - Forget a number's consent; the audit trail keeps a record of it
+router.delete('/:number', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const removed = await consentService.clearConsent(req.params.number, {
+      source: 'api',
+      detail: typeof body.note === 'string' ? body.note.slice(0, NOTE_MAX_LENGTH) : undefined,
+      actor: actorOf(req)
+    });
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Number not found in the consent registry' });
+    }
+    res.json({ success: true, message: 'Consent cleared' });
+  } catch (error) {
+    logger.error({ event: 'ConsentClearError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to clear consent' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { handleContactForm } = require('../controllers/messageController');
+const { selectSession } = require('../utils/sessionSelector');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { contactSpamGuard } = require('../utils/spamProtection');
+const { parseUploads } = require('../utils/mediaUpload');
+const { idempotent } = require('../utils/idempotency');
 
-// API key/token middleware
-router.use((req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
-  if (process.env.API_KEY && apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid API key' });
-  }
-  next();
-});
+// Sending contact form messages
+router.use(requireApiKey('contact:send'));
 
-router.post('/', handleContactForm);
+// JSON, or multipart/form-data with files (forwarded to the admin)
+router.post('/', parseUploads, idempotent, contactSpamGuard, selectSession, handleContactForm);
 
 module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Conversation = require('../models/Conversation');
+const ConversationMessage = require('../models/ConversationMessage');
+const { replyToConversation } = require('../services/inboundHandler');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { resolveMediaInput } = require('../utils/mediaUpload');
+const { idempotent } = require('../utils/idempotency');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Threads contain customer messages; admin keys only
+router.use(requireApiKey('admin'));
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+  next();
+});
+
+// GET /api/conversations - Most recently active threads first
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const filter = {};
+    if (req.query.contactNumber) filter.contactNumber = req.query.contactNumber.replace(/\D/g, '');
+    if (req.query.submissionId && mongoose.Types.ObjectId.isValid(req.query.submissionId)) {
+      filter.submissionId = req.query.submissionId;
+    }
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter).sort({ lastMessageAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Conversation.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, page, limit, total, conversations });
+  } catch (error) {
+    logger.error({ event: 'ConversationListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list conversations' });
+  }
+});
+
+// GET /api/conversations/:id - Thread with its messages in chronological order
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const messages = await ConversationMessage.find({ conversationId: conversation._id }).sort({ createdAt: 1 });
+    res.json({ success: true, conversation, messages });
+  } catch (error) {
+    logger.error({ event: 'ConversationGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get conversation' });
+  }
+});
+
+// POST /api/conversations/:id/reply - Reply to the customer from an API client; with `media`
+// the message is sent as the attachment's caption
+router.post('/:id/reply', idempotent, async (req, res) => {
+  try {
+    const { message, media } = req.body || {};
+    if (message !== undefined && typeof message !== 'string') {
+      return res.status(400).json({ success: false, error: 'message must be a string' });
+    }
+    if (!media && (!message || !message.trim())) {
+      return res.status(400).json({ success: false, error: 'message is required' });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    const attachment = media ? await resolveMediaInput(media) : undefined;
+    const result = await replyToConversation(conversation, message || '', { media: attachment });
+    res.status(result.queued ? 202 : 200).json({
+      success: true,
+      queued: !!result.queued,
+      messageId: result.messageId,
+      threadMessageId: result.threadMessageId,
+      mediaId: attachment ? attachment.mediaId : undefined
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid media')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.message.includes('opted out')) {
+      return res.status(403).json({ success: false, error: error.message });
+    }
+    logger.error({ event: 'ConversationReplyError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to send reply' });
+  }
+});
+
+module.exports = router;
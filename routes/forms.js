@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listForms,
+  getForm,
+  createForm,
+  updateForm,
+  deleteForm,
+  loadSubmitForm,
+  submitForm
+} = require('../controllers/formController');
+const { selectSession } = require('../utils/sessionSelector');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { parseUploads } = require('../utils/mediaUpload');
+const { idempotent } = require('../utils/idempotency');
+const { formSpamGuard } = require('../utils/spamProtection');
+
+const adminOnly = requireApiKey('admin');
+
+// Form definitions
+router.get('/', adminOnly, listForms);
+router.post('/', adminOnly, createForm);
+router.get('/:formId', adminOnly, getForm);
+router.put('/:formId', adminOnly, updateForm);
+router.delete('/:formId', adminOnly, deleteForm);
+
+// Submissions (JSON, or multipart/form-data when the form has file fields)
+router.post('/:formId/submit', requireApiKey('contact:send'), parseUploads, idempotent, loadSubmitForm, formSpamGuard, selectSession, submitForm);
+
+module.exports = router;
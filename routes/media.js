@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const mediaStore = require('../services/mediaStore');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { parseUploads, storeUploads, resolveMediaInput, sendStoredMedia } = require('../utils/mediaUpload');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Files are sent on behalf of the business and may be customer uploads; admin keys only
+router.use(requireApiKey('admin'));
+
+// POST /api/media - Add files to the local media store (multipart, or JSON { data, mimetype, filename })
+router.post('/', parseUploads, async (req, res) => {
+  try {
+    let media;
+    if (req.files && req.files.length > 0) {
+      media = await storeUploads(req.files);
+    } else {
+      media = [await resolveMediaInput(req.body || {})];
+    }
+
+    res.status(201).json({ success: true, media });
+  } catch (error) {
+    if (error.message.includes('Invalid media')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error({ event: 'MediaUploadError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to store media' });
+  }
+});
+
+// GET /api/media/:mediaId - Download a stored file
+router.get('/:mediaId', sendStoredMedia);
+
+// DELETE /api/media/:mediaId - Remove a stored file
+router.delete('/:mediaId', async (req, res) => {
+  try {
+    const deleted = await mediaStore.deleteMedia(req.params.mediaId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    res.json({ success: true, message: 'Media deleted' });
+  } catch (error) {
+    logger.error({ event: 'MediaDeleteError', mediaId: req.params.mediaId, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete media' });
+  }
+});
+
+module.exports = router;
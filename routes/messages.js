@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const { getMessageStatus } = require('../services/receiptTracker');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Any key that can send messages can look up their status
+router.use(requireApiKey(['contact:send', 'otp:send', 'messages:send']));
+
+// Message ids reach browsers, so only admin keys (and an open API) see who a message went to and why
+function canSeeRecipient(req) {
+  return !req.apiKey || req.apiKey.scopes.includes('admin');
+}
+
+// GET /api/messages/:messageId - Delivery/read status of a message sent by the bridge
+router.get('/:messageId', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const record = await getMessageStatus(messageId);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    const detailed = canSeeRecipient(req);
+    res.json({
+      success: true,
+      messageId: record.messageId,
+      to: detailed ? record.to : undefined,
+      status: record.status,
+      delivered: record.status === 'delivered' || record.status === 'read',
+      read: record.status === 'read',
+      context: detailed ? record.context : undefined,
+      history: record.history,
+      updatedAt: record.updatedAt
+    });
+  } catch (error) {
+    logger.error({ event: 'MessageStatusError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get message status' });
+  }
+});
+
+module.exports = router;
@@ -4,12 +4,22 @@ const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
 const Otp = require('../models/Otp');
 const whatsappClient = require('../services/whatsappClient');
+const messageQueue = require('../services/messageQueue');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const { issueVerificationToken, introspectVerificationToken } = require('../services/verificationTokenService');
+const { renderTemplate } = require('../services/templateService');
+const { selectSession } = require('../utils/sessionSelector');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { idempotent } = require('../utils/idempotency');
+const { resolveLocale } = require('../utils/locale');
+const { generateOtp, createOtpHash, verifyOtp, formatOtp } = require('../utils/otpCode');
+const { checkSendAllowed, recordSend, recordFailure } = require('../services/otpLimits');
+const { getOtpPolicy, resendCooldownSeconds } = require('../utils/otpPolicy');
 const { rateLimit } = require('express-rate-limit');
 const { MongoClient, ObjectId } = require('mongodb');
 
-// Constants
-const OTP_COOLDOWN_MS = 2 * 60 * 1000; // 2 minutes in milliseconds
-const MAX_OTP_ATTEMPTS = 5; // Max verification attempts per OTP
+// Constants (TTL, attempts, cooldown and code length come from the OTP policy, see utils/otpPolicy.js)
+const OTP_ALLOW_GET_VERIFY = process.env.OTP_ALLOW_GET_VERIFY !== 'false';
 const OTP_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
 const OTP_RATE_LIMIT_MAX = 5; // Max 5 OTP requests per window per IP
 
@@ -36,22 +46,46 @@ const logger = winston.createLogger({
   ],
 });
 
-// API key/token middleware
-router.use((req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
-  if (process.env.API_KEY && apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid API key' });
-  }
-  next();
-});
+if (!process.env.OTP_PEPPER) {
+  logger.warn({ event: 'OTPPepperMissing', message: 'OTP_PEPPER is not set; stored OTP hashes are only protected by their salt.' });
+}
 
-// Generate random 6-digit OTP
-function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// Render the code into the otp.code template (or the caller's message with {otp} or {code}) and send it,
+// queueing it until it expires if the client is reconnecting
+async function deliverOtp(otpRecord, otp, { message, companyName, ttlSeconds }) {
+  const formattedOtp = formatOtp(otp);
+  // {otp} is the grouped code (123 456); {code} is the code exactly as generated
+  const otpMessage = message
+    ? message.replace('{otp}', formattedOtp).replace('{code}', otp)
+    : await renderTemplate('otp.code', {
+      appName: otpRecord.appName,
+      companyName: companyName || 'Our Company',
+      reason: otpRecord.reason,
+      otp: formattedOtp,
+      code: otp,
+      ttlMinutes: Math.ceil(ttlSeconds / 60)
+    }, { locale: otpRecord.locale });
+
+  return messageQueue.sendOrEnqueue(otpRecord.contactNumber, otpMessage, {
+    sessionId: otpRecord.sessionId,
+    sensitive: true,
+    transactional: true,
+    expiresAt: otpRecord.expiresAt,
+    context: { kind: 'otp', refId: otpRecord.uuid }
+  });
+}
+
+// Resends left for a record and how long until the next one is allowed
+function resendInfo(policy, otpRecord) {
+  const resendsRemaining = Math.max(policy.maxResends - otpRecord.resendCount, 0);
+  return {
+    resendsRemaining,
+    nextResendIn: resendsRemaining > 0 ? resendCooldownSeconds(policy, otpRecord.resendCount) : null
+  };
 }
 
 // POST /api/otp/send - Generate and send OTP via WhatsApp
-router.post('/send', otpRateLimiter, async (req, res) => {
+router.post('/send', requireApiKey('otp:send'), idempotent, otpRateLimiter, selectSession, async (req, res) => {
   try {
     const { contactNumber, message } = req.body;
 
@@ -77,15 +111,20 @@ router.post('/send', otpRateLimiter, async (req, res) => {
     session.startTransaction();
     
     try {
+      const reason = req.body.reason || 'verification';
+      const policy = getOtpPolicy(reason);
+      const cooldownMs = policy.cooldownSeconds * 1000;
+
       // Find any recent OTP for this number within cooldown period
-      const recentOtp = await Otp.findOne({
+      const recentOtp = cooldownMs > 0 && await Otp.findOne({
         contactNumber: cleanedNumber.startsWith('+') ? cleanedNumber : `+${cleanedNumber}`,
-        createdAt: { $gt: new Date(Date.now() - OTP_COOLDOWN_MS) }
+        lastSentAt: { $gt: new Date(Date.now() - cooldownMs) }
       }).session(session);
 
       if (recentOtp) {
-        const timeLeft = Math.ceil((recentOtp.createdAt.getTime() + OTP_COOLDOWN_MS - Date.now()) / 1000);
+        const timeLeft = Math.ceil((recentOtp.lastSentAt.getTime() + cooldownMs - Date.now()) / 1000);
         await session.abortTransaction();
+        session.endSession();
         return res.status(429).json({
           success: false,
           error: `Please wait ${timeLeft} seconds before requesting a new OTP`,
@@ -93,27 +132,43 @@ router.post('/send', otpRateLimiter, async (req, res) => {
         });
       }
 
+      // Locked-out numbers and numbers over the daily cap get no new code
+      const limit = await checkSendAllowed(cleanedNumber, session);
+      if (!limit.allowed) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(429).json({
+          success: false,
+          error: limit.error,
+          code: limit.code,
+          retryAfter: limit.retryAfter
+        });
+      }
+
       // Delete any existing OTPs for this number (using transaction)
       await Otp.deleteMany({ contactNumber: cleanedNumber.startsWith('+') ? cleanedNumber : `+${cleanedNumber}` }).session(session);
 
       // Generate new OTP
       const uuid = uuidv4();
-      const otp = generateOTP();
-      const reason = req.body.reason || 'verification';
+      const otp = generateOtp(policy.length);
       const appName = req.body.appName || 'Our Service';
-      const companyName = req.body.companyName || 'Our Company';
+      const locale = resolveLocale(req.body.locale, cleanedNumber);
 
       const otpRecord = new Otp({
         uuid,
+        sessionId: req.sessionId,
         contactNumber: cleanedNumber.startsWith('+') ? cleanedNumber : `+${cleanedNumber}`,
-        otp,
+        ...createOtpHash(otp),
         reason,
         appName,
+        locale,
         attempts: 0,
-        expiresAt: new Date(Date.now() + 5 * 60 * 1000) // 5 minutes expiry
+        maxAttempts: policy.maxAttempts,
+        expiresAt: new Date(Date.now() + policy.ttlSeconds * 1000)
       });
 
       await otpRecord.save({ session });
+      await recordSend({ contactNumber: otpRecord.contactNumber, uuid, reason }, session);
       await session.commitTransaction();
       session.endSession();
       
@@ -125,48 +180,50 @@ router.post('/send', otpRateLimiter, async (req, res) => {
         timestamp: new Date().toISOString()
       });
 
-      // Prepare WhatsApp message with professional formatting
-      const formattedOtp = otp.match(/\d{1,3}/g)?.join(' ') || otp;
-      
-      // Create a professional OTP message with copy button syntax
-      const otpMessage = message
-        ? message.replace('{otp}', formattedOtp)
-        : `🔐 *${appName} Verification Code* 🔐
-
-Your one-time verification code is:
-
-📱 *${formattedOtp}*
-
-_Valid for 5 minutes_
-
-💡 Tap and hold to copy the code
-
-For security reasons, please do not share this code with anyone, including ${companyName} representatives.
-
-Thank you for choosing ${companyName}!`;
-      
-      // Send OTP via WhatsApp
-      const messageId = await whatsappClient.sendMessage(cleanedNumber, otpMessage);
+      const { messageId, queued, jobId } = await deliverOtp(otpRecord, otp, {
+        message,
+        companyName: req.body.companyName,
+        ttlSeconds: policy.ttlSeconds
+      });
 
       logger.info({
-        event: 'OTPSent',
+        event: queued ? 'OTPQueued' : 'OTPSent',
         uuid,
         contactNumber: cleanedNumber,
         messageId,
+        jobId,
         timestamp: new Date().toISOString()
       });
 
-      res.json({
+      webhookDispatcher.emitEvent('otp.sent', {
+        uuid,
+        contactNumber: cleanedNumber,
+        reason,
+        locale,
+        queued: !!queued,
+        messageId: messageId || null
+      });
+
+      res.status(queued ? 202 : 200).json({
         success: true,
         uuid,
         contactNumber: cleanedNumber,
-        message: 'OTP sent successfully via WhatsApp',
+        locale,
+        queued: !!queued,
+        message: queued
+          ? 'OTP queued for delivery via WhatsApp'
+          : 'OTP sent successfully via WhatsApp',
         messageId,
-        expiresIn: 300 // 5 minutes in seconds
+        expiresIn: policy.ttlSeconds,
+        expiresAt: otpRecord.expiresAt,
+        maxAttempts: policy.maxAttempts,
+        ...resendInfo(policy, otpRecord)
       });
 
     } catch (error) {
-      await session.abortTransaction();
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
       session.endSession();
       logger.error({
         event: 'OTPCreationFailed',
@@ -196,24 +253,202 @@ Thank you for choosing ${companyName}!`;
   }
 });
 
-// GET /api/otp/verify - Verify OTP using uuid, contact number, and OTP
-router.get('/verify', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-  
+// POST /api/otp/resend/:uuid - Send a new code for the same OTP; each resend doubles the cooldown
+router.post('/resend/:uuid', requireApiKey('otp:send'), idempotent, otpRateLimiter, async (req, res) => {
   try {
-    const { uuid, contactNumber, otp } = req.query;
+    const { message, companyName } = req.body || {};
+    const otpRecord = await Otp.findOne({ uuid: req.params.uuid });
 
-    // Validate input
-    if (!uuid || !contactNumber || !otp) {
-      return res.status(400).json({
+    if (!otpRecord || otpRecord.isExpired()) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP not found or expired. Please request a new one.'
+      });
+    }
+
+    // The attempt count carries over, so resending cannot be used to get more guesses
+    if (otpRecord.attemptsRemaining() === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'No verification attempts left for this OTP. Please request a new one.'
+      });
+    }
+
+    const policy = getOtpPolicy(otpRecord.reason);
+    if (otpRecord.resendCount >= policy.maxResends) {
+      return res.status(429).json({
         success: false,
-        error: 'UUID, contact number, and OTP are required'
+        error: 'Resend limit reached for this OTP. Please request a new one.',
+        code: 'resend_limit'
       });
     }
 
+    const cooldownMs = resendCooldownSeconds(policy, otpRecord.resendCount) * 1000;
+    const timeLeft = Math.ceil((otpRecord.lastSentAt.getTime() + cooldownMs - Date.now()) / 1000);
+    if (timeLeft > 0) {
+      return res.status(429).json({
+        success: false,
+        error: `Please wait ${timeLeft} seconds before resending the OTP`,
+        retryAfter: timeLeft
+      });
+    }
+
+    const limit = await checkSendAllowed(otpRecord.contactNumber);
+    if (!limit.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: limit.error,
+        code: limit.code,
+        retryAfter: limit.retryAfter
+      });
+    }
+
+    // Conditional on the resend count, so two concurrent resends cannot both go out
+    const otp = generateOtp(policy.length);
+    const now = new Date();
+    const updated = await Otp.findOneAndUpdate(
+      { _id: otpRecord._id, resendCount: otpRecord.resendCount, ...Otp.verifiableFilter(now) },
+      {
+        $set: { ...createOtpHash(otp), lastSentAt: now, expiresAt: new Date(now.getTime() + policy.ttlSeconds * 1000) },
+        $inc: { resendCount: 1 },
+        $unset: { messageId: '', messageStatus: '' }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'OTP was changed concurrently. Please try again.'
+      });
+    }
+
+    await recordSend({ contactNumber: updated.contactNumber, uuid: updated.uuid, reason: updated.reason });
+    // A copy of the old code still waiting in the queue would only confuse the customer
+    await messageQueue.cancelQueuedMessages({ kind: 'otp', refId: updated.uuid }, 'Replaced by a resent OTP');
+
+    const { messageId, queued, jobId } = await deliverOtp(updated, otp, {
+      message,
+      companyName,
+      ttlSeconds: policy.ttlSeconds
+    });
+
+    logger.info({
+      event: queued ? 'OTPResendQueued' : 'OTPResent',
+      uuid: updated.uuid,
+      contactNumber: updated.contactNumber,
+      resendCount: updated.resendCount,
+      messageId,
+      jobId,
+      timestamp: new Date().toISOString()
+    });
+
+    webhookDispatcher.emitEvent('otp.sent', {
+      uuid: updated.uuid,
+      contactNumber: updated.contactNumber,
+      reason: updated.reason,
+      locale: updated.locale,
+      queued: !!queued,
+      messageId: messageId || null,
+      resendCount: updated.resendCount
+    });
+
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      uuid: updated.uuid,
+      contactNumber: updated.contactNumber,
+      locale: updated.locale,
+      queued: !!queued,
+      message: queued
+        ? 'OTP queued for delivery via WhatsApp'
+        : 'OTP resent successfully via WhatsApp',
+      messageId,
+      expiresIn: policy.ttlSeconds,
+      expiresAt: updated.expiresAt,
+      attemptsRemaining: updated.attemptsRemaining(),
+      resendCount: updated.resendCount,
+      ...resendInfo(policy, updated)
+    });
+
+  } catch (error) {
+    logger.error({
+      event: 'OTPResendError',
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend OTP'
+    });
+  }
+});
+
+// DELETE /api/otp/:uuid - Cancel an OTP so its code can no longer be verified
+router.delete('/:uuid', requireApiKey('otp:send'), async (req, res) => {
+  try {
+    const otpRecord = await Otp.findOneAndDelete({ uuid: req.params.uuid });
+
+    if (!otpRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'OTP not found'
+      });
+    }
+
+    await messageQueue.cancelQueuedMessages({ kind: 'otp', refId: otpRecord.uuid }, 'OTP cancelled');
+
+    logger.info({
+      event: 'OTPCancelled',
+      uuid: otpRecord.uuid,
+      contactNumber: otpRecord.contactNumber,
+      timestamp: new Date().toISOString()
+    });
+
+    webhookDispatcher.emitEvent('otp.cancelled', {
+      uuid: otpRecord.uuid,
+      contactNumber: otpRecord.contactNumber,
+      reason: otpRecord.reason
+    });
+
+    res.json({
+      success: true,
+      uuid: otpRecord.uuid,
+      message: 'OTP cancelled'
+    });
+
+  } catch (error) {
+    logger.error({
+      event: 'OTPCancelError',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel OTP'
+    });
+  }
+});
+
+// Shared by POST /verify (JSON body) and the deprecated GET /verify (query string)
+async function handleVerify(req, res, { uuid, contactNumber, otp }) {
+  // Validate input
+  if (!uuid || !contactNumber || !otp) {
+    return res.status(400).json({
+      success: false,
+      error: 'UUID, contact number, and OTP are required'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+
     // Clean and format phone number - ensure it has + prefix
-    const cleanedNumber = contactNumber.replace(/\s/g, '');
+    const cleanedNumber = String(contactNumber).replace(/\s/g, '');
     const formattedNumber = cleanedNumber.startsWith('+') ? cleanedNumber : `+${cleanedNumber}`;
 
     // Log OTP verification attempt
@@ -227,10 +462,9 @@ router.get('/verify', async (req, res) => {
     // Find and lock the OTP record for update
     const otpRecord = await Otp.findOneAndUpdate(
       {
-        uuid,
+        uuid: String(uuid),
         contactNumber: formattedNumber,
-        attempts: { $lt: MAX_OTP_ATTEMPTS },
-        createdAt: { $gt: new Date(Date.now() - 5 * 60 * 1000) } // 5 min expiry
+        ...Otp.verifiableFilter()
       },
       { $inc: { attempts: 1 } },
       { new: true, session }
@@ -248,15 +482,26 @@ router.get('/verify', async (req, res) => {
         timestamp: new Date().toISOString()
       });
 
+      webhookDispatcher.emitEvent('otp.failed', {
+        uuid,
+        contactNumber: formattedNumber,
+        reason: 'invalid_or_expired'
+      });
+
       return res.status(400).json({
         success: false,
         error: 'Invalid or expired OTP. Please request a new one.'
       });
     }
 
-    // Check if OTP matches
-    if (otpRecord.otp !== otp) {
-      await session.abortTransaction();
+    // Check if OTP matches (constant-time comparison of the hashes)
+    if (!verifyOtp(otp, otpRecord)) {
+      // Commit, not abort: the failed attempt has to count
+      const attemptsRemaining = otpRecord.attemptsRemaining();
+      if (attemptsRemaining === 0) {
+        await recordFailure({ contactNumber: otpRecord.contactNumber, uuid, reason: otpRecord.reason }, session);
+      }
+      await session.commitTransaction();
       session.endSession();
       
       logger.warn({
@@ -268,10 +513,31 @@ router.get('/verify', async (req, res) => {
         timestamp: new Date().toISOString()
       });
 
+      webhookDispatcher.emitEvent(attemptsRemaining > 0 ? 'otp.failed' : 'otp.exhausted', {
+        uuid,
+        contactNumber: formattedNumber,
+        reason: 'incorrect',
+        verificationReason: otpRecord.reason,
+        attempts: otpRecord.attempts,
+        attemptsRemaining
+      });
+
+      // That failed session may have been the one that locks the number out
+      if (attemptsRemaining === 0) {
+        checkSendAllowed(otpRecord.contactNumber).then((limit) => {
+          if (limit.code === 'locked') {
+            webhookDispatcher.emitEvent('otp.locked', {
+              contactNumber: otpRecord.contactNumber,
+              retryAfter: limit.retryAfter
+            });
+          }
+        }).catch(() => {});
+      }
+
       return res.status(400).json({
         success: false,
         error: 'Incorrect OTP. Please try again.',
-        attemptsRemaining: MAX_OTP_ATTEMPTS - otpRecord.attempts
+        attemptsRemaining
       });
     }
 
@@ -279,15 +545,29 @@ router.get('/verify', async (req, res) => {
     const verificationReason = otpRecord.reason || 'verification';
     const appName = otpRecord.appName || 'our service';
     
-    // OTP is valid - delete it and commit the transaction
+    // OTP is valid - delete it, issue a verification token for form submissions and commit the transaction
     await Otp.deleteOne({ _id: otpRecord._id }).session(session);
+    const verification = await issueVerificationToken({
+      contactNumber: otpRecord.contactNumber,
+      reason: verificationReason,
+      appName: otpRecord.appName,
+      otpUuid: uuid,
+      sessionId: otpRecord.sessionId
+    }, session);
     await session.commitTransaction();
     session.endSession();
 
+    webhookDispatcher.emitEvent('otp.verified', {
+      uuid,
+      contactNumber: formattedNumber,
+      reason: verificationReason,
+      appName
+    });
+
     // Send confirmation message
     try {
-      const confirmationMessage = `✅ *Verification Successful* ✅\n\nYour ${verificationReason} has been successfully verified.\n\nThank you for using ${appName}!`;
-      await whatsappClient.sendMessage(otpRecord.contactNumber, confirmationMessage);
+      const confirmationMessage = await renderTemplate('otp.confirmation', { reason: verificationReason, appName }, { locale: otpRecord.locale });
+      await whatsappClient.sendMessage(otpRecord.contactNumber, confirmationMessage, { sessionId: otpRecord.sessionId, transactional: true });
       
       logger.info({
         event: 'VerificationConfirmationSent',
@@ -311,6 +591,8 @@ router.get('/verify', async (req, res) => {
       message: 'OTP verified successfully',
       verifiedFor: verificationReason,
       contactNumber: formattedNumber,
+      verificationToken: verification.token,
+      verificationTokenExpiresAt: verification.expiresAt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -332,10 +614,26 @@ router.get('/verify', async (req, res) => {
       error: 'Failed to verify OTP. Please try again.'
     });
   }
+}
+
+// POST /api/otp/verify - Verify OTP using uuid, contact number, and OTP from the JSON body
+router.post('/verify', requireApiKey('otp:verify'), (req, res) => handleVerify(req, res, req.body || {}));
+
+// GET /api/otp/verify - Deprecated: the code ends up in access logs; disable with OTP_ALLOW_GET_VERIFY=false
+router.get('/verify', requireApiKey('otp:verify'), (req, res) => {
+  if (!OTP_ALLOW_GET_VERIFY) {
+    return res.status(405).set('Allow', 'POST').json({
+      success: false,
+      error: 'GET /api/otp/verify is disabled. Use POST /api/otp/verify with a JSON body.'
+    });
+  }
+  res.set('Deprecation', 'true');
+  res.set('Link', '</api/otp/verify>; rel="successor-version"');
+  return handleVerify(req, res, req.query);
 });
 
 // GET /api/otp/status/:uuid - Check OTP status (optional utility endpoint)
-router.get('/status/:uuid', async (req, res) => {
+router.get('/status/:uuid', requireApiKey('otp:verify'), async (req, res) => {
   try {
     const { uuid } = req.params;
 
@@ -357,11 +655,13 @@ router.get('/status/:uuid', async (req, res) => {
       success: true,
       uuid,
       contactNumber: otpRecord.contactNumber,
+      reason: otpRecord.reason,
       isExpired,
       attempts: otpRecord.attempts,
-      maxAttempts: 3,
+      maxAttempts: otpRecord.maxAttempts,
+      attemptsRemaining: otpRecord.attemptsRemaining(),
       createdAt: otpRecord.createdAt,
-      expiresAt: new Date(otpRecord.createdAt.getTime() + 5 * 60 * 1000)
+      expiresAt: otpRecord.expiresAt
     });
 
   } catch (error) {
@@ -378,4 +678,40 @@ router.get('/status/:uuid', async (req, res) => {
   }
 });
 
+// POST /api/otp/introspect - Check a verification token issued by /verify
+router.post('/introspect', requireApiKey('otp:verify'), async (req, res) => {
+  try {
+    const token = req.body && req.body.token;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'token is required'
+      });
+    }
+
+    const result = await introspectVerificationToken(token);
+    if (!result.active) {
+      logger.warn({
+        event: 'VerificationTokenIntrospected',
+        active: false,
+        reason: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error({
+      event: 'VerificationTokenIntrospectionError',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to introspect token'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const RoutingRule = require('../models/RoutingRule');
+const FormDefinition = require('../models/FormDefinition');
+const whatsappClient = require('../services/whatsappClient');
+const { conditionError, resolveRecipients } = require('../services/routingService');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Fields a client may set on a routing rule
+const EDITABLE_FIELDS = ['name', 'formId', 'priority', 'conditions', 'targets', 'strategy', 'active'];
+
+// Routing decides who sees customer data; admin keys only
+router.use(requireApiKey('admin'));
+
+// Validate the :id param before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'Routing rule not found' });
+  }
+  next();
+});
+
+function pickEditable(body) {
+  const update = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) update[key] = body[key];
+  }
+  return update;
+}
+
+function handleWriteError(res, error, event) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error({ event, error: error.message });
+  res.status(500).json({ success: false, error: 'Failed to save routing rule' });
+}
+
+// GET /api/routing-rules - List rules in the order they are tried (?formId= to filter)
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.formId ? { formId: String(req.query.formId) } : {};
+    const rules = await RoutingRule.find(filter).sort({ formId: 1, priority: 1, createdAt: 1 });
+    res.json({
+      success: true,
+      rules,
+      operators: RoutingRule.CONDITION_OPERATORS,
+      strategies: RoutingRule.ROUTING_STRATEGIES
+    });
+  } catch (error) {
+    logger.error({ event: 'RoutingRuleListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list routing rules' });
+  }
+});
+
+// POST /api/routing-rules - Create a rule
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.name || !Array.isArray(body.targets) || body.targets.length === 0) {
+      return res.status(400).json({ success: false, error: 'name and targets are required' });
+    }
+    const invalid = conditionError(body.conditions);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const rule = await RoutingRule.create(pickEditable(body));
+    logger.info({ event: 'RoutingRuleCreated', id: rule._id, name: rule.name, formId: rule.formId });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    handleWriteError(res, error, 'RoutingRuleCreateError');
+  }
+});
+
+// POST /api/routing-rules/preview - Who a submission would go to, without sending or advancing round robin
+// Body: { formId, values }
+router.post('/preview', async (req, res) => {
+  try {
+    const { formId, values, sessionId } = req.body || {};
+    if (!formId || !values || typeof values !== 'object') {
+      return res.status(400).json({ success: false, error: 'formId and values are required' });
+    }
+
+    // Same fallback as a real submission: the form's destination numbers, else the admin number
+    const form = formId === 'contact' ? null : await FormDefinition.findOne({ formId: String(formId) });
+    const fallback = form && form.destinationNumbers && form.destinationNumbers.length > 0
+      ? form.destinationNumbers
+      : [whatsappClient.getAdminNumber(sessionId || (form && form.sessionId) || whatsappClient.DEFAULT_SESSION_ID)];
+    const routing = await resolveRecipients(String(formId), values, fallback, { dryRun: true });
+    res.json({ success: true, recipients: routing.recipients, rule: routing.rule });
+  } catch (error) {
+    logger.error({ event: 'RoutingPreviewError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to preview routing' });
+  }
+});
+
+// GET /api/routing-rules/:id - Get a rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await RoutingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error({ event: 'RoutingRuleGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get routing rule' });
+  }
+});
+
+// PUT /api/routing-rules/:id - Update a rule
+router.put('/:id', async (req, res) => {
+  try {
+    const update = pickEditable(req.body || {});
+    const invalid = conditionError(update.conditions);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const rule = await RoutingRule.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...update, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+    logger.info({ event: 'RoutingRuleUpdated', id: rule._id, name: rule.name });
+    res.json({ success: true, rule });
+  } catch (error) {
+    handleWriteError(res, error, 'RoutingRuleUpdateError');
+  }
+});
+
+// DELETE /api/routing-rules/:id - Delete a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await RoutingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+    logger.info({ event: 'RoutingRuleDeleted', id: rule._id, name: rule.name });
+    res.json({ success: true, message: 'Routing rule deleted' });
+  } catch (error) {
+    logger.error({ event: 'RoutingRuleDeleteError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete routing rule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const winston = require('winston');
+const scheduler = require('../services/scheduler');
+const mediaStore = require('../services/mediaStore');
+const { selectSession } = require('../utils/sessionSelector');
+const { hasScope, requireApiKey } = require('../utils/apiKeyAuth');
+const { idempotent } = require('../utils/idempotency');
+const { resolveMediaInput } = require('../utils/mediaUpload');
+const { normalizeRecipient } = require('../utils/recipient');
+const { isValidTimezone } = require('../utils/quietHours');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const MESSAGE_MAX_LENGTH = 4096;
+const PAGE_SIZE_MAX = 100;
+const STATUSES = ['pending', 'processing', 'sent', 'dead', 'cancelled'];
+
+router.use(requireApiKey('messages:send'));
+
+// Send-only keys manage the messages they scheduled; admin keys (and an open API) see all of them
+function scheduledByFilter(req) {
+  if (!req.apiKey || req.apiKey.scopes.includes('admin')) return undefined;
+  return String(req.apiKey._id);
+}
+
+function serialize(job) {
+  return {
+    id: job._id,
+    sessionId: job.sessionId,
+    to: job.to,
+    body: job.sensitive ? '[REDACTED]' : job.body,
+    mediaId: job.mediaId,
+    status: job.status,
+    scheduledFor: job.scheduledFor,
+    // Differs from scheduledFor when quiet hours or a retry moved the message
+    nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : undefined,
+    respectQuietHours: job.respectQuietHours,
+    transactional: job.transactional,
+    timezone: job.timezone,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    messageId: job.messageId,
+    sentAt: job.sentAt,
+    cancelledAt: job.cancelledAt,
+    context: job.context,
+    createdAt: job.createdAt
+  };
+}
+
+// sendAt (ISO 8601) or delayMinutes -> Date; undefined when neither is given
+function parseSendAt(body) {
+  if (body.sendAt !== undefined) return new Date(body.sendAt);
+  if (body.delayMinutes !== undefined) {
+    const delay = Number(body.delayMinutes);
+    return Number.isFinite(delay) && delay >= 0 ? new Date(Date.now() + delay * 60 * 1000) : new Date(NaN);
+  }
+  return undefined;
+}
+
+function errorStatus(error) {
+  return error.message.includes('Invalid') ? 400 :
+         error.message.includes('opted out') ? 403 :
+         error.message.includes('unavailable') ? 503 : 500;
+}
+
+// POST /api/scheduled-messages - Schedule a message for later
+router.post('/', idempotent, selectSession, async (req, res) => {
+  let attachment;
+  try {
+    const body = req.body || {};
+    const { to, message, media, timezone, respectQuietHours, transactional } = body;
+
+    const recipient = normalizeRecipient(to);
+    if (!recipient) {
+      return res.status(400).json({ success: false, error: 'to must be a phone number with country code or a group id (...@g.us)' });
+    }
+    if (message !== undefined && typeof message !== 'string') {
+      return res.status(400).json({ success: false, error: 'message must be a string' });
+    }
+    if (!media && (!message || !message.trim())) {
+      return res.status(400).json({ success: false, error: 'message or media is required' });
+    }
+    if (message && message.length > MESSAGE_MAX_LENGTH) {
+      return res.status(400).json({ success: false, error: `message must be at most ${MESSAGE_MAX_LENGTH} characters` });
+    }
+    const sendAt = parseSendAt(body);
+    if (!sendAt) {
+      return res.status(400).json({ success: false, error: 'sendAt or delayMinutes is required' });
+    }
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, error: 'timezone must be an IANA timezone such as Europe/London' });
+    }
+    if (transactional !== undefined && typeof transactional !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'transactional must be a boolean' });
+    }
+    // Bypasses the opt-out registry, so it needs its own scope
+    if (transactional && !hasScope(req, 'messages:transactional')) {
+      return res.status(403).json({ success: false, error: 'Forbidden: transactional messages need the messages:transactional scope' });
+    }
+
+    attachment = media ? await resolveMediaInput(media) : undefined;
+    const job = await scheduler.scheduleMessage(recipient, message || '', {
+      sessionId: req.sessionId,
+      mediaId: attachment ? attachment.mediaId : undefined,
+      sendAt,
+      timezone,
+      respectQuietHours: respectQuietHours !== false,
+      transactional: transactional === true,
+      scheduledBy: req.apiKey ? String(req.apiKey._id || req.apiKey.id) : undefined,
+      context: { kind: 'scheduled' }
+    });
+
+    res.status(201).json({ success: true, message: serialize(job) });
+  } catch (error) {
+    // Base64 media stored for this request only is useless once scheduling has failed
+    if (attachment && req.body.media.data) await mediaStore.deleteMedia(attachment.mediaId).catch(() => {});
+    const statusCode = errorStatus(error);
+    if (statusCode === 500) logger.error({ event: 'ScheduleMessageError', error: error.message });
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to schedule message' : error.message });
+  }
+});
+
+// GET /api/scheduled-messages - List scheduled messages, soonest first (?status=&to=&page=&limit=)
+router.get('/', async (req, res) => {
+  try {
+    const { status, to } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), PAGE_SIZE_MAX);
+
+    const { messages, total } = await scheduler.listScheduledMessages(
+      { status, to: to ? normalizeRecipient(String(to)) || String(to) : undefined, scheduledBy: scheduledByFilter(req) },
+      { page, limit }
+    );
+    res.json({ success: true, messages: messages.map(serialize), total, page, limit });
+  } catch (error) {
+    logger.error({ event: 'ScheduledMessageListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list scheduled messages' });
+  }
+});
+
+// GET /api/scheduled-messages/:id - Get a scheduled message
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await scheduler.findScheduledMessage(req.params.id, scheduledByFilter(req));
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+    res.json({ success: true, message: serialize(job) });
+  } catch (error) {
+    logger.error({ event: 'ScheduledMessageGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get scheduled message' });
+  }
+});
+
+// PATCH /api/scheduled-messages/:id - Reschedule: { sendAt } or { delayMinutes }
+router.patch('/:id', async (req, res) => {
+  try {
+    const sendAt = parseSendAt(req.body || {});
+    if (!sendAt) {
+      return res.status(400).json({ success: false, error: 'sendAt or delayMinutes is required' });
+    }
+
+    const job = await scheduler.rescheduleMessage(req.params.id, sendAt, scheduledByFilter(req));
+    if (!job) {
+      const existing = await scheduler.findScheduledMessage(req.params.id, scheduledByFilter(req));
+      return existing
+        ? res.status(409).json({ success: false, error: `Scheduled message is already ${existing.status}` })
+        : res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+    res.json({ success: true, message: serialize(job) });
+  } catch (error) {
+    const statusCode = errorStatus(error);
+    if (statusCode === 500) logger.error({ event: 'RescheduleMessageError', error: error.message });
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to reschedule message' : error.message });
+  }
+});
+
+// DELETE /api/scheduled-messages/:id - Cancel a message that has not been sent yet
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await scheduler.cancelScheduledMessage(req.params.id, scheduledByFilter(req));
+    if (!job) {
+      const existing = await scheduler.findScheduledMessage(req.params.id, scheduledByFilter(req));
+      return existing
+        ? res.status(409).json({ success: false, error: `Scheduled message is already ${existing.status}` })
+        : res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+    res.json({ success: true, message: serialize(job) });
+  } catch (error) {
+    logger.error({ event: 'CancelScheduledMessageError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to cancel scheduled message' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Submission = require('../models/Submission');
+const MessageStatus = require('../models/MessageStatus');
+const submissionService = require('../services/submissionService');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+const { csvCell } = require('../utils/csv');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Columns of the CSV export; form-specific fields follow as one JSON column
+const CSV_COLUMNS = [
+  ['id', (s) => s._id],
+  ['createdAt', (s) => s.createdAt && s.createdAt.toISOString()],
+  ['updatedAt', (s) => s.updatedAt && s.updatedAt.toISOString()],
+  ['formId', (s) => s.formId],
+  ['sessionId', (s) => s.sessionId],
+  ['status', (s) => s.status || 'new'],
+  ['assignee', (s) => s.assignee],
+  ['deliveryStatus', (s) => s.deliveryStatus],
+  ['name', (s) => s.name],
+  ['email', (s) => s.email],
+  ['phone', (s) => s.phone],
+  ['message', (s) => s.message],
+  ['fields', (s) => (s.fields ? JSON.stringify(s.fields) : '')],
+  ['attachments', (s) => (s.attachments || []).map((a) => `${a.filename} (/api/media/${a.mediaId})`).join(' | ')],
+  ['notes', (s) => (s.notes || []).map((n) => n.text).join(' | ')]
+];
+
+// Submissions hold customer data; admin keys only
+router.use(requireApiKey('admin'));
+
+// Everything here reads MongoDB; fail fast instead of letting queries buffer
+router.use((req, res, next) => {
+  if (mongoose.connection.readyState === 1) return next();
+  res.status(503).json({ success: false, error: 'Database is not connected' });
+});
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'Submission not found' });
+  }
+  next();
+});
+
+function statusCodeFor(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('Invalid')) return 400;
+  if (error.message.includes('concurrently')) return 409;
+  return 500;
+}
+
+function actorFor(req) {
+  return (req.body && req.body.author) || (req.apiKey ? req.apiKey.name : undefined);
+}
+
+// GET /api/submissions - Filter, sort and paginate submissions
+router.get('/', async (req, res) => {
+  try {
+    const result = await submissionService.listSubmissions(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error({ event: 'SubmissionListError', error: error.message });
+    const statusCode = statusCodeFor(error);
+    res.status(statusCode).json({ success: false, error: statusCode === 400 ? error.message : 'Failed to list submissions' });
+  }
+});
+
+// GET /api/submissions/export?format=csv|json - Every submission matching the same filters
+router.get('/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, error: 'format must be "csv" or "json"' });
+  }
+
+  let cursor;
+  try {
+    cursor = submissionService.exportCursor(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const filename = `submissions-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+
+  let count = 0;
+  try {
+    res.write(format === 'csv' ? `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n` : '[');
+    for await (const submission of cursor) {
+      if (format === 'csv') {
+        res.write(`${CSV_COLUMNS.map(([, get]) => csvCell(get(submission))).join(',')}\r\n`);
+      } else {
+        res.write(`${count > 0 ? ',' : ''}\n${JSON.stringify(submission)}`);
+      }
+      count++;
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+    logger.info({ event: 'SubmissionsExported', format, count });
+  } catch (error) {
+    // Headers are gone by now; cut the response short so the client sees an incomplete file
+    logger.error({ event: 'SubmissionExportError', format, count, error: error.message });
+    res.destroy(error);
+  }
+});
+
+// POST /api/submissions/retention/run - Apply the retention policy now
+router.post('/retention/run', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const days = body.days !== undefined ? parseInt(body.days, 10) : submissionService.SUBMISSION_RETENTION_DAYS;
+    const mode = body.mode || submissionService.SUBMISSION_RETENTION_MODE;
+    if (!days || days <= 0) {
+      return res.status(400).json({ success: false, error: 'Retention is disabled. Set SUBMISSION_RETENTION_DAYS or pass days.' });
+    }
+    if (!['anonymize', 'delete'].includes(mode)) {
+      return res.status(400).json({ success: false, error: 'mode must be "anonymize" or "delete"' });
+    }
+
+    const result = await submissionService.applyRetention({ days, mode });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error({ event: 'SubmissionRetentionRunError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to apply retention policy' });
+  }
+});
+
+// GET /api/submissions/:id - One submission with the delivery status of its messages
+router.get('/:id', async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    const messages = await MessageStatus.find({ 'context.kind': 'submission', 'context.refId': submission._id.toString() });
+    res.json({ success: true, submission, messages });
+  } catch (error) {
+    logger.error({ event: 'SubmissionGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get submission' });
+  }
+});
+
+// PATCH /api/submissions/:id - Change status or assignee, optionally with a note
+router.patch('/:id', async (req, res) => {
+  try {
+    const { status, assignee, note } = req.body || {};
+    if (status === undefined && assignee === undefined && note === undefined) {
+      return res.status(400).json({ success: false, error: 'Provide status, assignee or note' });
+    }
+    const submission = await submissionService.updateSubmission(req.params.id, { status, assignee, note }, actorFor(req));
+    res.json({ success: true, submission });
+  } catch (error) {
+    logger.error({ event: 'SubmissionUpdateError', id: req.params.id, error: error.message });
+    const statusCode = statusCodeFor(error);
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to update submission' : error.message });
+  }
+});
+
+// POST /api/submissions/:id/notes - Add a note without changing anything else
+router.post('/:id/notes', async (req, res) => {
+  try {
+    const text = req.body && req.body.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'text is required' });
+    }
+    const submission = await submissionService.updateSubmission(req.params.id, { note: text }, actorFor(req));
+    res.status(201).json({ success: true, submission });
+  } catch (error) {
+    logger.error({ event: 'SubmissionNoteError', id: req.params.id, error: error.message });
+    const statusCode = statusCodeFor(error);
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to add note' : error.message });
+  }
+});
+
+module.exports = router;
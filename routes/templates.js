@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const MessageTemplate = require('../models/MessageTemplate');
+const templateEngine = require('../utils/templateEngine');
+const { resolveTemplate } = require('../services/templateService');
+const { normalizeLocale } = require('../utils/locale');
+const { BUILT_IN_TEMPLATES, sampleDataFor } = require('../utils/messageTemplates');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Fields a client may set on a template
+const EDITABLE_FIELDS = ['name', 'locale', 'body', 'description', 'sampleData', 'active'];
+
+// Managing templates is an admin operation
+router.use(requireApiKey('admin'));
+
+// Validate the :id param before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+  next();
+});
+
+function pickEditable(body) {
+  const update = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) update[key] = body[key];
+  }
+  // Store "pt_br" as "pt-BR" so lookups match; anything else is left for schema validation
+  if (update.locale) update.locale = normalizeLocale(update.locale) || update.locale;
+  return update;
+}
+
+function handleWriteError(res, error, event) {
+  if (error.message.includes('Template syntax error') || error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ success: false, error: 'A template with this name and locale already exists' });
+  }
+  logger.error({ event, error: error.message });
+  res.status(500).json({ success: false, error: 'Failed to save template' });
+}
+
+// GET /api/templates - Stored templates, the built-in defaults and available helpers
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.name) filter.name = req.query.name;
+    if (req.query.locale) filter.locale = req.query.locale;
+
+    const templates = await MessageTemplate.find(filter).sort({ name: 1, locale: 1 });
+    res.json({
+      success: true,
+      templates,
+      defaults: Object.entries(BUILT_IN_TEMPLATES).flatMap(([locale, bundle]) =>
+        Object.entries(bundle).map(([name, body]) => ({ name, locale, body }))),
+      helpers: templateEngine.HELPERS
+    });
+  } catch (error) {
+    logger.error({ event: 'TemplateListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list templates' });
+  }
+});
+
+// POST /api/templates - Create a template (or a locale variant of one)
+router.post('/', async (req, res) => {
+  try {
+    const { name, body } = req.body;
+    if (!name || !body) {
+      return res.status(400).json({ success: false, error: 'name and body are required' });
+    }
+    templateEngine.validate(body);
+
+    const template = await MessageTemplate.create(pickEditable(req.body));
+    logger.info({ event: 'TemplateCreated', id: template._id, name: template.name, locale: template.locale });
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    handleWriteError(res, error, 'TemplateCreateError');
+  }
+});
+
+// POST /api/templates/preview - Render a stored template, a built-in one or an unsaved body
+// Body: { id } | { name, locale } | { body }, plus optional `data` (defaults to the sample data)
+router.post('/preview', async (req, res) => {
+  try {
+    const { id, name, locale, body, data } = req.body;
+    let source, sampleData, resolved = null;
+
+    if (body) {
+      source = body;
+      sampleData = name ? sampleDataFor(name) : {};
+    } else if (id) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+      const template = await MessageTemplate.findById(id);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+      }
+      source = template.body;
+      sampleData = Object.keys(template.sampleData || {}).length > 0 ? template.sampleData : sampleDataFor(template.name);
+      resolved = { source: 'stored', name: template.name, locale: template.locale };
+    } else if (name) {
+      const template = await resolveTemplate(name, normalizeLocale(locale));
+      source = template.body;
+      sampleData = Object.keys(template.sampleData || {}).length > 0 ? template.sampleData : sampleDataFor(name);
+      resolved = { source: template.source, name, locale: template.locale };
+    } else {
+      return res.status(400).json({ success: false, error: 'Provide a template id, name or body to preview' });
+    }
+
+    res.json({
+      success: true,
+      template: resolved,
+      rendered: templateEngine.render(source, data || sampleData)
+    });
+  } catch (error) {
+    if (error.message.includes('Template syntax error')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error({ event: 'TemplatePreviewError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to render template preview' });
+  }
+});
+
+// GET /api/templates/:id - Get a stored template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    logger.error({ event: 'TemplateGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get template' });
+  }
+});
+
+// PUT /api/templates/:id - Update a stored template
+router.put('/:id', async (req, res) => {
+  try {
+    const update = pickEditable(req.body);
+    if (update.body !== undefined) {
+      templateEngine.validate(update.body);
+    }
+
+    const template = await MessageTemplate.findByIdAndUpdate(
+      req.params.id,
+      { $set: { ...update, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    logger.info({ event: 'TemplateUpdated', id: template._id, name: template.name, locale: template.locale });
+    res.json({ success: true, template });
+  } catch (error) {
+    handleWriteError(res, error, 'TemplateUpdateError');
+  }
+});
+
+// DELETE /api/templates/:id - Delete a stored template (built-in defaults apply again)
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await MessageTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    logger.info({ event: 'TemplateDeleted', id: template._id, name: template.name, locale: template.locale });
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    logger.error({ event: 'TemplateDeleteError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const winston = require('winston');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS, generateSecret, dispatchDueDeliveries } = require('../services/webhookDispatcher');
+const { requireApiKey } = require('../utils/apiKeyAuth');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Managing webhooks is an admin operation
+router.use(requireApiKey('admin'));
+
+// Validate the :id param before hitting the database
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+  next();
+});
+
+// Returns an error message, or null if the subscription fields are valid
+function validateSubscription({ url, events }, partial = false) {
+  if (!partial || url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') throw new Error();
+    } catch (_) {
+      return 'A valid http(s) url is required';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter((e) => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// Never echo the signing secret back except on creation
+function serialize(subscription) {
+  return {
+    id: subscription._id,
+    name: subscription.name,
+    url: subscription.url,
+    events: subscription.events,
+    active: subscription.active,
+    createdAt: subscription.createdAt,
+    updatedAt: subscription.updatedAt
+  };
+}
+
+// GET /api/webhooks - List subscriptions and the available events
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      availableEvents: WEBHOOK_EVENTS,
+      webhooks: subscriptions.map(serialize)
+    });
+  } catch (error) {
+    logger.error({ event: 'WebhookListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list webhooks' });
+  }
+});
+
+// POST /api/webhooks - Create a subscription
+router.post('/', async (req, res) => {
+  try {
+    const { name, url, events, secret } = req.body;
+
+    const validationError = validateSubscription({ url, events });
+    if (!name || validationError) {
+      return res.status(400).json({ success: false, error: validationError || 'name is required' });
+    }
+
+    const subscription = await WebhookSubscription.create({
+      name,
+      url,
+      events: events || ['*'],
+      secret: secret || generateSecret()
+    });
+
+    logger.info({ event: 'WebhookCreated', id: subscription._id, url, events: subscription.events });
+    res.status(201).json({
+      success: true,
+      webhook: { ...serialize(subscription), secret: subscription.secret }
+    });
+  } catch (error) {
+    logger.error({ event: 'WebhookCreateError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create webhook' });
+  }
+});
+
+// GET /api/webhooks/:id - Get a subscription
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    res.json({ success: true, webhook: serialize(subscription) });
+  } catch (error) {
+    logger.error({ event: 'WebhookGetError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get webhook' });
+  }
+});
+
+// PATCH /api/webhooks/:id - Update url, events, name, active flag or rotate the secret
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, url, events, active, rotateSecret } = req.body;
+
+    const validationError = validateSubscription({ url, events }, true);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    if (name !== undefined) subscription.name = name;
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = events;
+    if (active !== undefined) subscription.active = !!active;
+    if (rotateSecret) subscription.secret = generateSecret();
+    subscription.updatedAt = new Date();
+    await subscription.save();
+
+    logger.info({ event: 'WebhookUpdated', id: subscription._id, rotatedSecret: !!rotateSecret });
+    const webhook = serialize(subscription);
+    if (rotateSecret) webhook.secret = subscription.secret;
+    res.json({ success: true, webhook });
+  } catch (error) {
+    logger.error({ event: 'WebhookUpdateError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update webhook' });
+  }
+});
+
+// DELETE /api/webhooks/:id - Remove a subscription
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    logger.info({ event: 'WebhookDeleted', id: subscription._id });
+    res.json({ success: true, message: 'Webhook deleted' });
+  } catch (error) {
+    logger.error({ event: 'WebhookDeleteError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete webhook' });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Delivery log (most recent first)
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const filter = { subscriptionId: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({
+      success: true,
+      deliveries: deliveries.map((d) => ({
+        id: d._id,
+        event: d.event,
+        status: d.status,
+        attempts: d.attempts,
+        responseStatus: d.responseStatus,
+        lastError: d.lastError,
+        nextAttemptAt: d.status === 'pending' ? d.nextAttemptAt : undefined,
+        deliveredAt: d.deliveredAt,
+        createdAt: d.createdAt,
+        payload: d.payload
+      }))
+    });
+  } catch (error) {
+    logger.error({ event: 'WebhookDeliveriesError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get webhook deliveries' });
+  }
+});
+
+// POST /api/webhooks/:id/test - Send a ping event to this subscription only
+router.post('/:id/test', async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const _id = new mongoose.Types.ObjectId();
+    await WebhookDelivery.create({
+      _id,
+      subscriptionId: subscription._id,
+      event: 'ping',
+      payload: { id: _id.toString(), event: 'ping', createdAt: new Date().toISOString(), data: { message: 'Test delivery from Form2Chat' } }
+    });
+    dispatchDueDeliveries();
+
+    res.status(202).json({ success: true, deliveryId: _id, message: 'Test delivery queued' });
+  } catch (error) {
+    logger.error({ event: 'WebhookTestError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to send test delivery' });
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - Retry a failed delivery
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    const delivery = await WebhookDelivery.findByIdAndUpdate(
+      deliveryId,
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    dispatchDueDeliveries();
+
+    res.status(202).json({ success: true, deliveryId: delivery._id, message: 'Redelivery queued' });
+  } catch (error) {
+    logger.error({ event: 'WebhookRedeliverError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to redeliver webhook' });
+  }
+});
+
+module.exports = router;
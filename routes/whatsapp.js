@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const whatsappClient = require('../services/whatsappClient');
+const messageQueue = require('../services/messageQueue');
+const { selectSession } = require('../utils/sessionSelector');
 const winston = require('winston');
+const QRCode = require('qrcode');
+const { hasScope, requireApiKey } = require('../utils/apiKeyAuth');
+const mediaStore = require('../services/mediaStore');
+const { resolveMediaInput } = require('../utils/mediaUpload');
+const { normalizeRecipient } = require('../utils/recipient');
+const { idempotent } = require('../utils/idempotency');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -14,23 +22,84 @@ const logger = winston.createLogger({
   ],
 });
 
-// API key/token middleware
-router.use((req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
-  if (process.env.API_KEY && apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid API key' });
+// Constants
+const MESSAGE_MAX_LENGTH = 4096;
+const QUOTED_ID_PATTERN = /^(true|false)_\S{1,200}$/;
+
+// POST /api/whatsapp/messages - Send a message (text, media or both) to a number or group.
+// Registered before the whatsapp:admin guard below, so send-only keys can use it.
+router.post('/messages', requireApiKey('messages:send'), idempotent, selectSession, async (req, res) => {
+  let attachment;
+  try {
+    const { to, message, media, quotedMessageId, transactional } = req.body || {};
+
+    const recipient = normalizeRecipient(to);
+    if (!recipient) {
+      return res.status(400).json({ success: false, error: 'to must be a phone number with country code or a group id (...@g.us)' });
+    }
+    if (message !== undefined && typeof message !== 'string') {
+      return res.status(400).json({ success: false, error: 'message must be a string' });
+    }
+    if (!media && (!message || !message.trim())) {
+      return res.status(400).json({ success: false, error: 'message or media is required' });
+    }
+    if (message && message.length > MESSAGE_MAX_LENGTH) {
+      return res.status(400).json({ success: false, error: `message must be at most ${MESSAGE_MAX_LENGTH} characters` });
+    }
+    if (quotedMessageId !== undefined && (typeof quotedMessageId !== 'string' || !QUOTED_ID_PATTERN.test(quotedMessageId))) {
+      return res.status(400).json({ success: false, error: 'quotedMessageId must be a WhatsApp message id' });
+    }
+    if (transactional !== undefined && typeof transactional !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'transactional must be a boolean' });
+    }
+    // Bypasses the opt-out registry, so it needs its own scope
+    if (transactional && !hasScope(req, 'messages:transactional')) {
+      return res.status(403).json({ success: false, error: 'Forbidden: transactional messages need the messages:transactional scope' });
+    }
+
+    attachment = media ? await resolveMediaInput(media) : undefined;
+    const result = await messageQueue.sendOrEnqueue(recipient, message || '', {
+      sessionId: req.sessionId,
+      mediaId: attachment ? attachment.mediaId : undefined,
+      quotedMessageId,
+      transactional,
+      context: { kind: 'api' }
+    });
+    logger.info({ event: 'ApiMessageSent', sessionId: req.sessionId, to: recipient, messageId: result.messageId, jobId: result.jobId });
+
+    res.status(result.queued ? 202 : 200).json({
+      success: true,
+      messageId: result.messageId || null,
+      jobId: result.jobId || null,
+      queued: !!result.queued,
+      status: result.queued ? 'queued' : 'sent',
+      mediaId: attachment ? attachment.mediaId : undefined
+    });
+  } catch (error) {
+    // Base64 media stored for this request only is useless once the send has failed
+    if (attachment && req.body.media.data) await mediaStore.deleteMedia(attachment.mediaId).catch(() => {});
+    logger.error({ event: 'ApiMessageError', sessionId: req.sessionId, error: error.message });
+    const statusCode = error.message.includes('Invalid') ? 400 :
+                       error.message.includes('opted out') ? 403 :
+                       error.message.includes('not ready') || error.message.includes('unavailable') ? 503 :
+                       error.message.includes('timeout') ? 504 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to send message' : error.message });
   }
-  next();
 });
 
+// Session management; the QR image and event stream also accept ?api_key= (img tags and EventSource cannot set headers)
+router.use(requireApiKey('whatsapp:admin', { queryKeyPaths: ['/qr', '/events'] }));
+
 // Get WhatsApp client status
-router.get('/status', (req, res) => {
+router.get('/status', selectSession, async (req, res) => {
   try {
-    const status = whatsappClient.getClientStatus();
-    logger.info({ event: 'StatusRequested', status });
+    const status = whatsappClient.getClientStatus(req.sessionId);
+    const queue = await messageQueue.getQueueStats(req.sessionId);
+    logger.info({ event: 'StatusRequested', sessionId: req.sessionId, status, queue });
     res.json({
       success: true,
       status: {
+        sessionId: status.sessionId,
         isReady: status.isReady,
         state: status.state,
         authenticated: !!status.info,
@@ -39,7 +108,8 @@ router.get('/status', (req, res) => {
           pushname: status.info.pushname,
           platform: status.info.platform
         } : null
-      }
+      },
+      queue
     });
   } catch (error) {
     logger.error({ event: 'StatusError', error: error.message });
@@ -48,14 +118,14 @@ router.get('/status', (req, res) => {
 });
 
 // Generate QR code for authentication
-router.post('/generate-qr', async (req, res) => {
+router.post('/generate-qr', selectSession, async (req, res) => {
   try {
-    logger.info({ event: 'QRGenerationRequested' });
-    await whatsappClient.generateQRCode();
+    logger.info({ event: 'QRGenerationRequested', sessionId: req.sessionId });
+    await whatsappClient.generateQRCode(req.sessionId);
     res.json({ 
       success: true, 
-      message: 'QR code generation initiated. Check console for QR code.',
-      note: 'Scan the QR code displayed in the server console with your WhatsApp mobile app.'
+      message: 'QR code generation initiated.',
+      note: 'Fetch the QR code from GET /api/whatsapp/qr (or watch GET /api/whatsapp/events) and scan it with your WhatsApp mobile app.'
     });
   } catch (error) {
     logger.error({ event: 'QRGenerationError', error: error.message });
@@ -63,11 +133,141 @@ router.post('/generate-qr', async (req, res) => {
   }
 });
 
+// Get the latest QR code as PNG (default), SVG or the raw string
+router.get('/qr', selectSession, async (req, res) => {
+  try {
+    const pairing = whatsappClient.getPairingState(req.sessionId);
+    if (!pairing) {
+      return res.status(404).json({ success: false, error: 'WhatsApp client is not initialized' });
+    }
+    if (pairing.authenticated) {
+      return res.status(409).json({ success: false, error: 'WhatsApp client is already authenticated' });
+    }
+    if (!pairing.qr) {
+      return res.status(404).json({
+        success: false,
+        error: 'No QR code available yet. Try again shortly or call POST /api/whatsapp/generate-qr.'
+      });
+    }
+
+    const format = (req.query.format || 'png').toLowerCase();
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'png') {
+      const png = await QRCode.toBuffer(pairing.qr, { width: 320, margin: 2 });
+      return res.type('png').send(png);
+    }
+    if (format === 'svg') {
+      const svg = await QRCode.toString(pairing.qr, { type: 'svg', margin: 2 });
+      return res.type('image/svg+xml').send(svg);
+    }
+    if (format === 'raw') {
+      return res.json({ success: true, sessionId: pairing.sessionId, qr: pairing.qr, updatedAt: pairing.qrUpdatedAt });
+    }
+
+    res.status(400).json({ success: false, error: 'Invalid format. Use png, svg or raw.' });
+  } catch (error) {
+    logger.error({ event: 'QRFetchError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to get QR code' });
+  }
+});
+
+// Server-Sent Events stream of pairing progress (qr, code, authenticated, loading, ready, disconnected).
+// EventSource cannot set headers, so pass the key as ?api_key=...
+router.get('/events', selectSession, async (req, res) => {
+  const { sessionId } = req;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify({ sessionId, ...data })}\n\n`);
+  };
+
+  const sendQr = async (qr) => {
+    try {
+      send('qr', { qr, dataUrl: await QRCode.toDataURL(qr, { width: 320, margin: 2 }) });
+    } catch (error) {
+      logger.error({ event: 'QRRenderError', error: error.message });
+    }
+  };
+
+  // Only forward events for the selected session
+  const forSession = (handler) => (...args) => {
+    if (args[args.length - 1] === sessionId) handler(...args);
+  };
+
+  const listeners = {
+    qr: forSession((qr) => sendQr(qr)),
+    code: forSession((code) => send('code', { code })),
+    authenticated: forSession(() => send('authenticated', {})),
+    loading_screen: forSession((loading) => send('loading', loading)),
+    ready: forSession(() => send('ready', { status: whatsappClient.getClientStatus(sessionId).state })),
+    state: forSession((state) => send('state', { state })),
+    auth_failure: forSession((message) => send('auth_failure', { message })),
+    disconnected: forSession((reason) => send('disconnected', { reason }))
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    whatsappClient.clientEvents.on(event, listener);
+  }
+
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    for (const [event, listener] of Object.entries(listeners)) {
+      whatsappClient.clientEvents.off(event, listener);
+    }
+    logger.info({ event: 'EventStreamClosed', sessionId });
+  });
+
+  logger.info({ event: 'EventStreamOpened', sessionId });
+
+  // Initial snapshot so a freshly opened page can render immediately
+  const status = whatsappClient.getClientStatus(sessionId);
+  send('status', { isReady: status.isReady, state: status.state, authenticated: !!status.info });
+  const pairing = whatsappClient.getPairingState(sessionId);
+  if (pairing && pairing.loading) send('loading', pairing.loading);
+  if (pairing && pairing.pairingCode) send('code', { code: pairing.pairingCode });
+  if (pairing && pairing.qr) await sendQr(pairing.qr);
+});
+
+// Request a pairing code to link by phone number instead of scanning the QR code
+router.post('/pairing-code', selectSession, async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+    if (!phoneNumber) {
+      return res.status(400).json({ success: false, error: 'phoneNumber is required' });
+    }
+
+    logger.info({ event: 'PairingCodeRequested', sessionId: req.sessionId });
+    const code = await whatsappClient.requestPairingCode(req.sessionId, phoneNumber);
+    res.json({
+      success: true,
+      sessionId: req.sessionId,
+      code,
+      note: 'On your phone open WhatsApp > Linked Devices > Link a Device > Link with phone number instead, then enter this code.'
+    });
+  } catch (error) {
+    logger.error({ event: 'PairingCodeError', sessionId: req.sessionId, error: error.message });
+    const statusCode = error.message.includes('Invalid phone number') ? 400 :
+                       error.message.includes('already authenticated') || error.message.includes('not waiting') ? 409 :
+                       error.message.includes('not found') ? 404 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to request pairing code' : error.message });
+  }
+});
+
 // Restart WhatsApp client
-router.post('/restart', async (req, res) => {
+router.post('/restart', selectSession, async (req, res) => {
   try {
-    logger.info({ event: 'ClientRestartRequested' });
-    await whatsappClient.restartClient();
+    logger.info({ event: 'ClientRestartRequested', sessionId: req.sessionId });
+    await whatsappClient.restartClient(req.sessionId);
     res.json({ 
       success: true, 
       message: 'WhatsApp client restart initiated.'
@@ -78,4 +278,57 @@ router.post('/restart', async (req, res) => {
   }
 });
 
+// List all sessions with their status
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = whatsappClient.listSessions().map((status) => ({
+      sessionId: status.sessionId,
+      name: status.name,
+      isReady: status.isReady,
+      state: status.state,
+      authenticated: !!status.info,
+      wid: status.info ? status.info.wid : null
+    }));
+    res.json({ success: true, defaultSessionId: whatsappClient.DEFAULT_SESSION_ID, sessions });
+  } catch (error) {
+    logger.error({ event: 'SessionListError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list sessions' });
+  }
+});
+
+// Create a new named session; it starts immediately and needs pairing
+router.post('/sessions', async (req, res) => {
+  try {
+    const { sessionId, name, adminNumber } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ success: false, error: 'sessionId is required' });
+    }
+
+    const status = await whatsappClient.addSession(sessionId, { name, adminNumber });
+    logger.info({ event: 'SessionCreated', sessionId });
+    res.status(201).json({
+      success: true,
+      session: { sessionId: status.sessionId, name: status.name, state: status.state },
+      message: 'Session created. Generate a QR code to pair it.'
+    });
+  } catch (error) {
+    logger.error({ event: 'SessionCreateError', error: error.message });
+    const statusCode = error.message.includes('Invalid session id') || error.message.includes('already exists') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 400 ? error.message : 'Failed to create session' });
+  }
+});
+
+// Stop and remove a session (?logout=true also unlinks the device)
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    await whatsappClient.removeSession(req.params.sessionId, { logout: req.query.logout === 'true' });
+    res.json({ success: true, message: 'Session removed' });
+  } catch (error) {
+    logger.error({ event: 'SessionRemoveError', error: error.message });
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('cannot be removed') ? 400 : 500;
+    res.status(statusCode).json({ success: false, error: statusCode === 500 ? 'Failed to remove session' : error.message });
+  }
+});
+
 module.exports = router;
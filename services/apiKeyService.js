@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+const KEY_PATTERN = /^f2c_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+const DAY_BUCKET_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const MONTH_BUCKET_TTL_MS = 400 * 24 * 60 * 60 * 1000;
+
+// Once any key exists, requests must authenticate even without a legacy API_KEY
+let keysExist = false;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function formatKey(prefix, secret) {
+  return `f2c_${prefix}_${secret}`;
+}
+
+// The single key from the API_KEY environment variable; it has every scope
+function isLegacyKey(rawKey) {
+  return !!process.env.API_KEY && !!rawKey && safeEqual(rawKey, process.env.API_KEY);
+}
+
+// Without MONGODB_URI there is nowhere to store keys, so only API_KEY can restrict access
+function isKeyStoreConfigured() {
+  return !!process.env.MONGODB_URI;
+}
+
+function isKeyStoreAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Whether API access is restricted at all (no API_KEY and no stored keys keeps the API open).
+// While a configured key store is unreachable (booting, outage) stored keys may exist, so it is.
+async function isAuthRequired() {
+  if (process.env.API_KEY || keysExist) return true;
+  if (!isKeyStoreConfigured()) return false;
+  if (!isKeyStoreAvailable()) return true;
+  keysExist = (await ApiKey.estimatedDocumentCount()) > 0;
+  return keysExist;
+}
+
+// Resolve a raw key to an active ApiKey document, or null
+async function authenticateKey(rawKey) {
+  const match = KEY_PATTERN.exec(rawKey || '');
+  if (!match || !isKeyStoreAvailable()) return null;
+
+  const [, prefix, secret] = match;
+  const apiKey = await ApiKey.findOne({ prefix });
+  if (!apiKey || !apiKey.active || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+  const hash = hashSecret(secret);
+  if (safeEqual(hash, apiKey.secretHash)) return apiKey;
+  if (apiKey.previousSecretHash && apiKey.previousSecretExpiresAt > new Date() && safeEqual(hash, apiKey.previousSecretHash)) {
+    return apiKey;
+  }
+  return null;
+}
+
+// Returns the saved document and the full key, which is not stored and cannot be shown again
+async function createApiKey(fields) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = generateSecret();
+  const apiKey = await ApiKey.create({ ...fields, prefix, secretHash: hashSecret(secret) });
+  keysExist = true;
+  logger.info({ event: 'ApiKeyCreated', id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes });
+  return { apiKey, key: formatKey(prefix, secret) };
+}
+
+// Issue a new secret; the old one keeps working for gracePeriodSeconds
+async function rotateApiKey(id, gracePeriodSeconds = 0) {
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey || apiKey.revokedAt) {
+    throw new Error('API key not found');
+  }
+
+  const secret = generateSecret();
+  if (gracePeriodSeconds > 0) {
+    apiKey.previousSecretHash = apiKey.secretHash;
+    apiKey.previousSecretExpiresAt = new Date(Date.now() + gracePeriodSeconds * 1000);
+  } else {
+    apiKey.previousSecretHash = undefined;
+    apiKey.previousSecretExpiresAt = undefined;
+  }
+  apiKey.secretHash = hashSecret(secret);
+  apiKey.updatedAt = new Date();
+  await apiKey.save();
+
+  logger.info({ event: 'ApiKeyRotated', id: apiKey._id, gracePeriodSeconds });
+  return { apiKey, key: formatKey(apiKey.prefix, secret) };
+}
+
+async function revokeApiKey(id) {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { $set: { active: false, revokedAt: new Date(), updatedAt: new Date() }, $unset: { previousSecretHash: 1, previousSecretExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!apiKey) {
+    throw new Error('API key not found');
+  }
+  logger.info({ event: 'ApiKeyRevoked', id: apiKey._id });
+  return apiKey;
+}
+
+function usageBuckets(apiKey, now) {
+  const quota = apiKey.quota || {};
+  return [
+    { period: 'day', bucket: now.toISOString().slice(0, 10), limit: quota.daily, expiresAt: new Date(now.getTime() + DAY_BUCKET_TTL_MS) },
+    { period: 'month', bucket: now.toISOString().slice(0, 7), limit: quota.monthly, expiresAt: new Date(now.getTime() + MONTH_BUCKET_TTL_MS) }
+  ];
+}
+
+// Count a request against the key's daily and monthly buckets. A bucket that is already at its
+// quota does not match the filter, so the upsert collides with it and nothing is counted.
+// Resolves to { allowed: true } or { allowed: false, period, limit }.
+async function consumeQuota(apiKey, scope) {
+  const now = new Date();
+  const consumed = [];
+
+  for (const { period, bucket, limit, expiresAt } of usageBuckets(apiKey, now)) {
+    const filter = { keyId: apiKey._id, period, bucket };
+    if (limit > 0) filter.requests = { $lt: limit };
+    const update = { $inc: { requests: 1, [`scopes.${scope}`]: 1 }, $set: { lastUsedAt: now }, $setOnInsert: { expiresAt } };
+
+    // Two requests creating the same bucket can also collide, so retry once before giving up
+    let counted = false;
+    for (let attempt = 0; attempt < 2 && !counted; attempt++) {
+      try {
+        await ApiKeyUsage.updateOne(filter, update, { upsert: true });
+        counted = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (!counted) {
+      // Give back what was already counted for this request
+      await ApiKeyUsage.updateMany(
+        { keyId: apiKey._id, bucket: { $in: consumed } },
+        { $inc: { requests: -1, [`scopes.${scope}`]: -1 } }
+      );
+      return { allowed: false, period, limit };
+    }
+    consumed.push(bucket);
+  }
+
+  ApiKey.updateOne({ _id: apiKey._id }, { $inc: { requestCount: 1 }, $set: { lastUsedAt: now } })
+    .catch((error) => logger.error({ event: 'ApiKeyUsageUpdateFailed', id: apiKey._id, error: error.message }));
+  return { allowed: true };
+}
+
+// Daily usage for the last `days` days plus the current month
+async function getUsage(apiKey, days = 30) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const [daily, month] = await Promise.all([
+    ApiKeyUsage.find({ keyId: apiKey._id, period: 'day', bucket: { $gte: since } }).sort({ bucket: 1 }),
+    ApiKeyUsage.findOne({ keyId: apiKey._id, period: 'month', bucket: new Date().toISOString().slice(0, 7) })
+  ]);
+
+  return {
+    totalRequests: apiKey.requestCount,
+    lastUsedAt: apiKey.lastUsedAt,
+    currentMonth: {
+      month: new Date().toISOString().slice(0, 7),
+      requests: month ? month.requests : 0,
+      quota: apiKey.quota.monthly || null
+    },
+    daily: daily.map((d) => ({ date: d.bucket, requests: d.requests, scopes: d.scopes }))
+  };
+}
+
+module.exports = {
+  isLegacyKey,
+  isKeyStoreConfigured,
+  isKeyStoreAvailable,
+  isAuthRequired,
+  authenticateKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  consumeQuota,
+  getUsage
+};
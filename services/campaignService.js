@@ -0,0 +1,548 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const whatsappClient = require('./whatsappClient');
+const receiptTracker = require('./receiptTracker');
+const webhookDispatcher = require('./webhookDispatcher');
+const consentService = require('./consentService');
+const { loadAttachment } = require('./messageQueue');
+const { renderTemplate } = require('./templateService');
+const { validate: validateTemplate } = require('../utils/templateEngine');
+const { parseCsvObjects } = require('../utils/csv');
+const { normalizeRecipient } = require('../utils/recipient');
+const { isValidTimezone, timezoneForNumber, isQuietTime, nextSendTime } = require('../utils/quietHours');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const CAMPAIGN_INTERVAL_SECONDS = parseInt(process.env.CAMPAIGN_INTERVAL_SECONDS, 10) || 8;
+const CAMPAIGN_JITTER_SECONDS = parseInt(process.env.CAMPAIGN_JITTER_SECONDS, 10) || 4;
+// Campaign messages per session in any 24 hours, across all campaigns (0 = unlimited)
+const CAMPAIGN_DAILY_CAP = process.env.CAMPAIGN_DAILY_CAP !== undefined ? parseInt(process.env.CAMPAIGN_DAILY_CAP, 10) || 0 : 1000;
+const CAMPAIGN_MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS, 10) || 10000; // Per upload
+const CAMPAIGN_MAX_ATTEMPTS = 3;
+const CAMPAIGN_RETRY_DELAY_MS = 5 * 60 * 1000; // 5m, then 10m
+const CAMPAIGN_FAILURE_PAUSE_THRESHOLD = 10; // Failed sends in a row before a campaign pauses itself
+const CAMPAIGN_POLL_INTERVAL_MS = 5000;
+const CAMPAIGN_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed moves: action -> statuses it applies to and the status it leads to
+const CAMPAIGN_ACTIONS = {
+  start: { from: ['draft'], to: 'running' },
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  cancel: { from: ['draft', 'running', 'paused'], to: 'cancelled' }
+};
+
+// Recipients can be added and settings changed until the campaign is over
+const EDITABLE_STATUSES = ['draft', 'running', 'paused'];
+
+let workerTimer = null;
+let ticking = false;
+let lastRecoveryAt = 0;
+// Campaigns sharing a session share its pace: sessionId -> earliest next send
+const sessionNextSendAt = new Map();
+
+function isDatabaseAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Returns an error message for missing or unparsable template settings, or null
+function templateError({ template, templateName }) {
+  if (!template && !templateName) return 'template or templateName is required';
+  if (template) {
+    try {
+      validateTemplate(template);
+    } catch (error) {
+      return `template: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+// One list entry -> { to, variables, timezone }, or an error message. Entries are a phone number or
+// an object whose phone is under phoneField ("phone" or "to" by default); every other key becomes a
+// template variable, and a nested `variables` object is merged in.
+function parseEntry(entry, phoneField) {
+  const fields = typeof entry === 'string' ? { [phoneField]: entry } : entry;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return 'expected a phone number or an object';
+
+  const { variables: nested, ...rest } = fields;
+  const phone = rest[phoneField] !== undefined ? rest[phoneField] : rest.to;
+  const to = normalizeRecipient(phone === undefined || phone === null ? '' : String(phone));
+  if (!to) return `${phoneField} must be a phone number with country code`;
+
+  const variables = { ...rest, ...(nested && typeof nested === 'object' ? nested : {}) };
+  delete variables[phoneField];
+  delete variables.to;
+  if (variables.timezone && !isValidTimezone(variables.timezone)) return 'timezone must be an IANA timezone';
+  return { to, variables, timezone: variables.timezone || timezoneForNumber(to) };
+}
+
+// Uploaded list -> { recipients, rejected }. input: { recipients: [...] } or { csv: '...' } with a
+// header row; rejected rows are reported by 1-based row number and never stop the upload.
+function parseRecipientList(input, { phoneField = 'phone' } = {}) {
+  let entries;
+  if (Array.isArray(input.recipients)) {
+    entries = input.recipients;
+  } else if (typeof input.csv === 'string') {
+    entries = parseCsvObjects(input.csv);
+  } else {
+    throw new Error('Invalid recipient list: send recipients (an array), csv (text) or a CSV/JSON file');
+  }
+  if (entries.length > CAMPAIGN_MAX_RECIPIENTS) {
+    throw new Error(`Invalid recipient list: at most ${CAMPAIGN_MAX_RECIPIENTS} recipients per upload`);
+  }
+
+  const recipients = [];
+  const rejected = [];
+  const seen = new Set();
+  entries.forEach((entry, i) => {
+    const parsed = parseEntry(entry, phoneField);
+    if (typeof parsed === 'string') {
+      rejected.push({ row: i + 1, error: parsed });
+    } else if (seen.has(parsed.to)) {
+      rejected.push({ row: i + 1, to: parsed.to, error: 'duplicate in this upload' });
+    } else {
+      seen.add(parsed.to);
+      recipients.push(parsed);
+    }
+  });
+  return { recipients, rejected };
+}
+
+// Add parsed recipients to a campaign. Numbers already on it are left alone. Resolves to
+// { added, duplicates }.
+async function addRecipients(campaignId, recipients) {
+  if (recipients.length === 0) return { added: 0, duplicates: 0 };
+
+  const result = await CampaignRecipient.bulkWrite(recipients.map(({ to, variables, timezone }) => ({
+    updateOne: {
+      filter: { campaignId, to },
+      update: { $setOnInsert: { campaignId, to, variables, timezone, status: 'pending', createdAt: new Date() } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const added = result.upsertedCount;
+  logger.info({ event: 'CampaignRecipientsAdded', campaignId, added, duplicates: recipients.length - added });
+  return { added, duplicates: recipients.length - added };
+}
+
+async function createCampaign(fields) {
+  const campaign = await Campaign.create({
+    intervalSeconds: CAMPAIGN_INTERVAL_SECONDS,
+    jitterSeconds: CAMPAIGN_JITTER_SECONDS,
+    ...fields
+  });
+  logger.info({ event: 'CampaignCreated', campaignId: campaign._id, name: campaign.name, sessionId: campaign.sessionId });
+  return campaign;
+}
+
+// Apply a start/pause/resume/cancel action. Resolves to the campaign, or null if it does not exist or
+// the action does not apply to its status.
+async function changeStatus(campaignId, action, reason) {
+  const { from, to } = CAMPAIGN_ACTIONS[action];
+  const now = new Date();
+  const set = { status: to, updatedAt: now };
+  const unset = {};
+
+  if (action === 'start' || action === 'resume') {
+    const pending = await CampaignRecipient.exists({ campaignId, status: 'pending' });
+    if (!pending) throw new Error('Invalid campaign: no pending recipients');
+    Object.assign(set, { nextSendAt: now, consecutiveFailures: 0 });
+    Object.assign(unset, { pausedAt: 1, pauseReason: 1 });
+    if (action === 'start') set.startedAt = now;
+  } else if (action === 'pause') {
+    set.pausedAt = now;
+    if (reason) set.pauseReason = reason;
+  } else if (action === 'cancel') {
+    set.cancelledAt = now;
+  }
+
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: campaignId, status: { $in: from } },
+    { $set: set, $unset: unset },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  if (action === 'cancel') {
+    await CampaignRecipient.updateMany({ campaignId, status: 'pending' }, { $set: { status: 'cancelled' } });
+  }
+  logger.info({ event: 'CampaignStatusChanged', campaignId, action, status: campaign.status, reason });
+  if (campaign.status === 'running') kickWorker();
+  return campaign;
+}
+
+// Update editable settings while the campaign is not over; null if it is unknown or finished
+async function updateCampaign(campaignId, update) {
+  return Campaign.findOneAndUpdate(
+    { _id: campaignId, status: { $in: EDITABLE_STATUSES } },
+    { $set: { ...update, updatedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+}
+
+// Delete a campaign that is not running or paused, with its recipient results
+async function deleteCampaign(campaignId) {
+  const campaign = await Campaign.findOneAndDelete({ _id: campaignId, status: { $in: ['draft', 'completed', 'cancelled'] } });
+  if (campaign) {
+    const { deletedCount } = await CampaignRecipient.deleteMany({ campaignId });
+    logger.info({ event: 'CampaignDeleted', campaignId, recipients: deletedCount });
+  }
+  return campaign;
+}
+
+function renderMessage(campaign, recipient) {
+  const variables = recipient.variables || {};
+  return renderTemplate(campaign.templateName, { ...variables, phone: recipient.to }, {
+    locale: variables.locale || campaign.locale,
+    override: campaign.template
+  });
+}
+
+// Render the message for a campaign's first recipients (or for `variables`), without sending
+async function previewCampaign(campaign, { variables, limit = 3 } = {}) {
+  const recipients = variables
+    ? [{ to: variables.phone || '', variables }]
+    : await CampaignRecipient.find({ campaignId: campaign._id, status: 'pending' }).sort({ createdAt: 1 }).limit(limit);
+
+  return Promise.all(recipients.map(async (recipient) => {
+    try {
+      return { to: recipient.to, rendered: await renderMessage(campaign, recipient) };
+    } catch (error) {
+      return { to: recipient.to, error: error.message };
+    }
+  }));
+}
+
+async function countByStatus(campaignId) {
+  const rows = await CampaignRecipient.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(String(campaignId)) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const counts = Object.fromEntries(CampaignRecipient.RECIPIENT_STATUSES.map((status) => [status, 0]));
+  for (const row of rows) counts[row._id] = row.count;
+  counts.total = rows.reduce((sum, row) => sum + row.count, 0);
+  return counts;
+}
+
+// Summary report: recipient counts, delivery receipts, the most common errors, progress and an
+// estimate of the time left at the campaign's pace (quiet hours and daily caps not included)
+async function getCampaignReport(campaign) {
+  const campaignId = new mongoose.Types.ObjectId(String(campaign._id));
+  const [counts, receipts, errors, sentLast24h] = await Promise.all([
+    countByStatus(campaignId),
+    CampaignRecipient.aggregate([
+      { $match: { campaignId, status: 'sent' } },
+      { $group: { _id: '$messageStatus', count: { $sum: 1 } } }
+    ]),
+    CampaignRecipient.aggregate([
+      { $match: { campaignId, status: 'failed' } },
+      { $group: { _id: '$error', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ]),
+    CampaignRecipient.countDocuments({ campaignId, sentAt: { $gt: new Date(Date.now() - DAY_MS) } })
+  ]);
+
+  const delivery = { sent: 0, delivered: 0, read: 0, failed: 0 };
+  for (const row of receipts) {
+    if (row._id && delivery[row._id] !== undefined) delivery[row._id] = row.count;
+  }
+  const remaining = counts.pending + counts.sending;
+  const finished = counts.sent + counts.failed + counts.skipped + counts.cancelled;
+  const active = campaign.status === 'running' || campaign.status === 'paused';
+
+  return {
+    status: campaign.status,
+    pauseReason: campaign.pauseReason,
+    recipients: counts,
+    delivery,
+    topErrors: errors.map((row) => ({ error: row._id, count: row.count })),
+    sentLast24h,
+    progressPercent: counts.total ? Math.round((finished / counts.total) * 1000) / 10 : 0,
+    estimatedSecondsRemaining: active ? Math.round(remaining * (campaign.intervalSeconds + campaign.jitterSeconds / 2)) : 0,
+    startedAt: campaign.startedAt,
+    completedAt: campaign.completedAt,
+    cancelledAt: campaign.cancelledAt
+  };
+}
+
+// Per-recipient results, oldest first. filter: { status }
+async function listRecipients(campaignId, filter = {}, { page = 1, limit = 50 } = {}) {
+  const query = { campaignId };
+  if (filter.status) query.status = filter.status;
+  const [recipients, total] = await Promise.all([
+    CampaignRecipient.find(query).sort({ createdAt: 1, _id: 1 }).skip((page - 1) * limit).limit(limit),
+    CampaignRecipient.countDocuments(query)
+  ]);
+  return { recipients, total };
+}
+
+function recipientsCursor(campaignId, filter = {}) {
+  const query = { campaignId };
+  if (filter.status) query.status = filter.status;
+  return CampaignRecipient.find(query).sort({ createdAt: 1, _id: 1 }).cursor();
+}
+
+// When a daily cap frees up again, or null while the campaign is under both caps
+async function capReleaseTime(campaign, sessionId) {
+  const since = new Date(Date.now() - DAY_MS);
+  const caps = [];
+  if (CAMPAIGN_DAILY_CAP > 0) caps.push([{ sessionId, sentAt: { $gt: since } }, CAMPAIGN_DAILY_CAP]);
+  if (campaign.dailyCap > 0) caps.push([{ campaignId: campaign._id, sentAt: { $gt: since } }, campaign.dailyCap]);
+
+  for (const [filter, cap] of caps) {
+    const count = await CampaignRecipient.countDocuments(filter);
+    if (count >= cap) {
+      // Room for one more once enough of the window's oldest messages turn 24 hours old
+      const oldest = await CampaignRecipient.findOne(filter).sort({ sentAt: 1 }).skip(count - cap);
+      return new Date(oldest.sentAt.getTime() + DAY_MS);
+    }
+  }
+  return null;
+}
+
+function claimRecipient(campaignId, now) {
+  return CampaignRecipient.findOneAndUpdate(
+    { campaignId, status: 'pending', $or: [{ notBefore: null }, { notBefore: { $lte: now } }] },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { createdAt: 1, _id: 1 }, new: true }
+  );
+}
+
+// Nobody due: complete the campaign if nobody is left, otherwise wait for the next deferred recipient
+async function finishOrWait(campaign) {
+  const next = await CampaignRecipient.findOne({ campaignId: campaign._id, status: { $in: ['pending', 'sending'] } })
+    .sort({ status: 1, notBefore: 1 });
+  if (next) {
+    const nextSendAt = next.status === 'pending' && next.notBefore ? next.notBefore : new Date(Date.now() + CAMPAIGN_POLL_INTERVAL_MS);
+    await Campaign.updateOne({ _id: campaign._id, status: 'running' }, { $set: { nextSendAt } });
+    return;
+  }
+
+  const completed = await Campaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'running' },
+    { $set: { status: 'completed', completedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!completed) return;
+  const report = await getCampaignReport(completed);
+  logger.info({ event: 'CampaignCompleted', campaignId: campaign._id, recipients: report.recipients });
+  webhookDispatcher.emitEvent('campaign.completed', {
+    campaignId: completed._id,
+    name: completed.name,
+    recipients: report.recipients,
+    delivery: report.delivery
+  });
+}
+
+function isPermanentError(error) {
+  return error.message.includes('Invalid phone number') || error.message.includes('Invalid message content');
+}
+
+async function recordFailure(campaign, recipient, error, nextSendAt) {
+  recipient.lockedAt = undefined;
+  recipient.error = error.message;
+
+  // Opted out after the check in sendNext
+  if (error.message.includes('opted out')) {
+    return skipRecipient(campaign, recipient);
+  }
+
+  // The client dropped between the readiness check and the send; not the recipient's fault
+  if (error.message.includes('not ready')) {
+    recipient.status = 'pending';
+    recipient.attempts -= 1;
+    await recipient.save();
+    return;
+  }
+
+  const permanent = isPermanentError(error);
+  if (permanent || recipient.attempts >= CAMPAIGN_MAX_ATTEMPTS) {
+    recipient.status = 'failed';
+  } else {
+    recipient.status = 'pending';
+    recipient.notBefore = new Date(Date.now() + CAMPAIGN_RETRY_DELAY_MS * recipient.attempts);
+  }
+  await recipient.save();
+  logger.warn({ event: 'CampaignMessageFailed', campaignId: campaign._id, to: recipient.to, attempts: recipient.attempts, status: recipient.status, error: error.message });
+
+  // A bad number says nothing about the account; a run of other failures may mean it is being blocked
+  const updated = await Campaign.findOneAndUpdate(
+    { _id: campaign._id },
+    { $set: { nextSendAt }, $inc: { consecutiveFailures: permanent ? 0 : 1 } },
+    { new: true }
+  );
+  if (updated && updated.consecutiveFailures >= CAMPAIGN_FAILURE_PAUSE_THRESHOLD) {
+    await changeStatus(campaign._id, 'pause', `${updated.consecutiveFailures} sends failed in a row; last error: ${error.message}`);
+  }
+}
+
+async function skipRecipient(campaign, recipient) {
+  recipient.status = 'skipped';
+  recipient.lockedAt = undefined;
+  recipient.error = consentService.OPTED_OUT_MESSAGE;
+  await recipient.save();
+  logger.info({ event: 'CampaignRecipientSkipped', campaignId: campaign._id, to: recipient.to, reason: 'opted_out' });
+}
+
+// Send to the campaign's next due recipient, keeping to its caps, pace and quiet hours
+async function sendNext(campaign, sessionId) {
+  const now = new Date();
+  const capUntil = await capReleaseTime(campaign, sessionId);
+  if (capUntil) {
+    await Campaign.updateOne({ _id: campaign._id, status: 'running' }, { $set: { nextSendAt: capUntil } });
+    logger.info({ event: 'CampaignDailyCapReached', campaignId: campaign._id, sessionId, resumesAt: capUntil });
+    return;
+  }
+
+  const recipient = await claimRecipient(campaign._id, now);
+  if (!recipient) return finishOrWait(campaign);
+
+  // Opted-out numbers are skipped without using up the campaign's pace
+  if (await consentService.isOptedOut(recipient.to)) {
+    return skipRecipient(campaign, recipient);
+  }
+
+  // Hold everyone in a quiet timezone at once rather than one recipient per tick
+  if (campaign.respectQuietHours && recipient.timezone && isQuietTime(now, recipient.timezone)) {
+    const notBefore = nextSendTime(now, recipient.timezone);
+    await CampaignRecipient.updateOne({ _id: recipient._id }, { $set: { status: 'pending', notBefore }, $unset: { lockedAt: 1 } });
+    await CampaignRecipient.updateMany(
+      { campaignId: campaign._id, status: 'pending', timezone: recipient.timezone, $or: [{ notBefore: null }, { notBefore: { $lt: notBefore } }] },
+      { $set: { notBefore } }
+    );
+    logger.info({ event: 'CampaignRecipientsDeferredForQuietHours', campaignId: campaign._id, timezone: recipient.timezone, notBefore });
+    return;
+  }
+
+  const pace = (campaign.intervalSeconds + Math.random() * campaign.jitterSeconds) * 1000;
+  const nextSendAt = new Date(now.getTime() + pace);
+  sessionNextSendAt.set(sessionId, nextSendAt);
+
+  recipient.attempts += 1;
+  let messageId;
+  try {
+    const body = await renderMessage(campaign, recipient).catch((error) => {
+      throw new Error(`Invalid message content: ${error.message}`);
+    });
+    const media = campaign.mediaId ? await loadAttachment(campaign.mediaId) : undefined;
+    messageId = await whatsappClient.sendMessage(recipient.to, body, { sessionId, maxRetries: 1, media });
+  } catch (error) {
+    return recordFailure(campaign, recipient, error, nextSendAt);
+  }
+
+  recipient.messageId = messageId;
+  recipient.status = 'sent';
+  recipient.sentAt = new Date();
+  recipient.sessionId = sessionId;
+  recipient.lockedAt = undefined;
+  recipient.error = undefined;
+  await recipient.save();
+  await Campaign.updateOne({ _id: campaign._id }, { $set: { nextSendAt, consecutiveFailures: 0 } });
+  logger.info({ event: 'CampaignMessageSent', campaignId: campaign._id, to: recipient.to, messageId });
+
+  try {
+    await receiptTracker.trackMessage(messageId, recipient.to, { kind: 'campaign', refId: recipient._id.toString() }, sessionId);
+  } catch (error) {
+    logger.error({ event: 'CampaignReceiptTrackingFailed', campaignId: campaign._id, messageId, error: error.message });
+  }
+}
+
+// Recipients left in 'sending' by a crash may or may not have been messaged; fail them rather
+// than risk a duplicate
+async function recoverInterruptedSends() {
+  const result = await CampaignRecipient.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - CAMPAIGN_LOCK_TIMEOUT_MS) } },
+    { $set: { status: 'failed', error: 'Interrupted while sending; not retried to avoid a duplicate' }, $unset: { lockedAt: 1 } }
+  );
+  if (result.modifiedCount) {
+    logger.warn({ event: 'CampaignSendsInterrupted', count: result.modifiedCount });
+  }
+}
+
+// One pass over the running campaigns; resolves to the milliseconds until the next one is due
+async function tick() {
+  if (!isDatabaseAvailable()) return CAMPAIGN_POLL_INTERVAL_MS;
+
+  if (Date.now() - lastRecoveryAt > CAMPAIGN_LOCK_TIMEOUT_MS) {
+    lastRecoveryAt = Date.now();
+    await recoverInterruptedSends();
+  }
+
+  let wait = CAMPAIGN_POLL_INTERVAL_MS;
+  const campaigns = await Campaign.find({ status: 'running' }).sort({ startedAt: 1 });
+  for (const campaign of campaigns) {
+    const sessionId = campaign.sessionId || whatsappClient.DEFAULT_SESSION_ID;
+    if (!whatsappClient.getClientStatus(sessionId).isReady) continue;
+
+    const dueAt = Math.max(campaign.nextSendAt ? campaign.nextSendAt.getTime() : 0, (sessionNextSendAt.get(sessionId) || 0));
+    if (dueAt > Date.now()) {
+      wait = Math.min(wait, dueAt - Date.now());
+      continue;
+    }
+    await sendNext(campaign, sessionId);
+    // Re-check soon; the next pass sees the new nextSendAt
+    wait = Math.min(wait, 250);
+  }
+  return wait;
+}
+
+async function runTick() {
+  if (ticking) return;
+  ticking = true;
+  let wait = CAMPAIGN_POLL_INTERVAL_MS;
+  try {
+    wait = await tick();
+  } catch (error) {
+    logger.error({ event: 'CampaignWorkerError', error: error.message });
+  } finally {
+    ticking = false;
+  }
+  workerTimer = setTimeout(runTick, Math.max(wait, 250));
+}
+
+function kickWorker() {
+  if (!workerTimer || ticking) return;
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(runTick, 0);
+}
+
+function startCampaignWorker() {
+  if (workerTimer) return;
+  whatsappClient.clientEvents.on('ready', () => kickWorker());
+  workerTimer = setTimeout(runTick, 0);
+  logger.info({ event: 'CampaignWorkerStarted', dailyCap: CAMPAIGN_DAILY_CAP, intervalSeconds: CAMPAIGN_INTERVAL_SECONDS });
+}
+
+module.exports = {
+  CAMPAIGN_ACTIONS,
+  EDITABLE_STATUSES,
+  templateError,
+  parseRecipientList,
+  addRecipients,
+  createCampaign,
+  changeStatus,
+  updateCampaign,
+  deleteCampaign,
+  previewCampaign,
+  countByStatus,
+  getCampaignReport,
+  listRecipients,
+  recipientsCursor,
+  startCampaignWorker
+};
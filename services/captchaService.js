@@ -0,0 +1,101 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const CAPTCHA_PROVIDER = (process.env.CAPTCHA_PROVIDER || '').toLowerCase();
+const CAPTCHA_SECRET = process.env.CAPTCHA_SECRET;
+const CAPTCHA_TIMEOUT_MS = 10000;
+// Token accepted by the stub provider; anything else fails
+const STUB_PASS_TOKEN = 'stub-pass';
+
+// Body fields a captcha widget may post its token in
+const TOKEN_FIELDS = ['captchaToken', 'g-recaptcha-response', 'h-captcha-response', 'cf-turnstile-response'];
+
+// Providers using the common "siteverify" protocol (form-encoded secret/response/remoteip)
+const SITEVERIFY_URLS = {
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+function siteverifyProvider(url) {
+  return async (token, remoteIp) => {
+    const params = new URLSearchParams({ secret: CAPTCHA_SECRET || '', response: token });
+    if (remoteIp) params.set('remoteip', remoteIp);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params,
+      signal: AbortSignal.timeout(CAPTCHA_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Captcha provider responded with HTTP ${response.status}`);
+    }
+    const result = await response.json();
+    return { success: result.success === true, errors: result['error-codes'] };
+  };
+}
+
+// name -> async (token, remoteIp) => { success, errors? }
+const providers = {
+  recaptcha: siteverifyProvider(SITEVERIFY_URLS.recaptcha),
+  hcaptcha: siteverifyProvider(SITEVERIFY_URLS.hcaptcha),
+  turnstile: siteverifyProvider(SITEVERIFY_URLS.turnstile),
+  // Local provider for development and tests: no network, passes only STUB_PASS_TOKEN
+  stub: async (token) => ({ success: token === STUB_PASS_TOKEN, errors: token === STUB_PASS_TOKEN ? undefined : ['invalid-input-response'] })
+};
+
+function registerCaptchaProvider(name, verify) {
+  if (typeof verify !== 'function') {
+    throw new Error('Captcha provider must be a function');
+  }
+  providers[name.toLowerCase()] = verify;
+}
+
+function isCaptchaEnabled() {
+  return !!CAPTCHA_PROVIDER;
+}
+
+function readCaptchaToken(body = {}) {
+  const field = TOKEN_FIELDS.find((name) => typeof body[name] === 'string' && body[name]);
+  return field ? body[field] : undefined;
+}
+
+// Resolves to { success, provider, errors }; provider or network failures count as unverified
+async function verifyCaptcha(token, remoteIp) {
+  const verify = providers[CAPTCHA_PROVIDER];
+  if (!verify) {
+    throw new Error(`Unknown captcha provider: ${CAPTCHA_PROVIDER}`);
+  }
+  if (!token) {
+    return { success: false, provider: CAPTCHA_PROVIDER, errors: ['missing-input-response'] };
+  }
+
+  try {
+    const result = await verify(token, remoteIp);
+    return { success: !!result.success, provider: CAPTCHA_PROVIDER, errors: result.errors };
+  } catch (error) {
+    logger.error({ event: 'CaptchaVerificationError', provider: CAPTCHA_PROVIDER, error: error.message });
+    return { success: false, provider: CAPTCHA_PROVIDER, errors: ['provider-unavailable'] };
+  }
+}
+
+module.exports = {
+  TOKEN_FIELDS,
+  STUB_PASS_TOKEN,
+  registerCaptchaProvider,
+  isCaptchaEnabled,
+  readCaptchaToken,
+  verifyCaptcha
+};
@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Consent = require('../models/Consent');
+const ConsentEvent = require('../models/ConsentEvent');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const OPTED_OUT_MESSAGE = 'Recipient has opted out of non-transactional messages';
+const DUPLICATE_KEY = 11000;
+// Anyone can post these forms with any number, so their opt-ins never undo an opt-out;
+// only a START keyword from the number itself or an admin can
+const FORM_SOURCES = ['contact', 'form'];
+
+// Whole-message keywords (compared without case, accents or trailing punctuation) in the
+// languages the built-in templates cover, plus French and German
+const STOP_KEYWORDS = [
+  'STOP', 'STOP ALL', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPT OUT', 'OPTOUT',
+  'BAJA', 'DARSE DE BAJA', 'PARAR', 'ALTO', 'CANCELAR',
+  'SAIR', 'DESCADASTRAR', 'DESINSCREVER',
+  'ARRET', 'DESABONNER', 'STOPP', 'ABMELDEN',
+  'रोकें', 'बंद', 'बंद करें', 'अनसब्सक्राइब'
+];
+const START_KEYWORDS = [
+  'START', 'UNSTOP', 'SUBSCRIBE',
+  'ALTA', 'SUSCRIBIR',
+  'VOLTAR', 'INSCREVER',
+  'ANMELDEN',
+  'शुरू', 'सब्सक्राइब'
+];
+
+// Numbers that have opted out or in, and the change, for webhooks: 'changed' (consent, event)
+const consentEvents = new EventEmitter();
+
+function isDatabaseAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[-_]/g, ' ')
+    .replace(/[\s.!?।]+$/u, '')
+    .replace(/^[\s"'¡¿]+/u, '')
+    .replace(/\s+/g, ' ')
+    .toUpperCase();
+}
+
+function keywordSet(defaults, extra) {
+  const extras = (extra || '').split(',').map((keyword) => keyword.trim()).filter(Boolean);
+  return new Set([...defaults, ...extras].map(normalizeKeyword));
+}
+
+const STOP_SET = keywordSet(STOP_KEYWORDS, process.env.CONSENT_STOP_KEYWORDS);
+const START_SET = keywordSet(START_KEYWORDS, process.env.CONSENT_START_KEYWORDS);
+
+// An inbound message that is only an opt-out or opt-in keyword -> 'opt_out' | 'opt_in' | null
+function matchKeyword(text) {
+  const keyword = normalizeKeyword(text);
+  if (!keyword || keyword.length > 40) return null;
+  if (STOP_SET.has(keyword)) return 'opt_out';
+  if (START_SET.has(keyword)) return 'opt_in';
+  return null;
+}
+
+// Any recipient form (+44 7700..., 447700...@c.us) -> digits; null for group chats
+function normalizeNumber(number) {
+  const value = String(number || '').trim();
+  if (!value || value.endsWith('@g.us')) return null;
+  const digits = value.split('@')[0].replace(/\D/g, '');
+  return digits || null;
+}
+
+// Whether a number has opted out. Without MongoDB there is no registry, so nobody has.
+async function isOptedOut(number) {
+  const normalized = normalizeNumber(number);
+  if (!normalized || !isDatabaseAvailable()) return false;
+  return !!(await Consent.exists({ number: normalized, status: 'opted_out' }));
+}
+
+// Record an opt-in or opt-out with its source and an audit entry.
+// options: { source, detail, submissionId, actor }. Resolves to { consent, changed, ignored }.
+async function recordConsent(number, action, options = {}) {
+  const normalized = normalizeNumber(number);
+  if (!normalized) throw new Error('Invalid phone number');
+  if (!isDatabaseAvailable()) throw new Error('Consent registry is unavailable');
+
+  const now = new Date();
+  const status = action === 'opt_out' ? 'opted_out' : 'opted_in';
+  const guarded = status === 'opted_in' && FORM_SOURCES.includes(options.source);
+  let previous, ignored = false;
+  try {
+    previous = await Consent.findOneAndUpdate(
+      guarded ? { number: normalized, status: { $ne: 'opted_out' } } : { number: normalized },
+      {
+        $set: {
+          status,
+          source: options.source,
+          sourceDetail: options.detail,
+          [status === 'opted_out' ? 'optedOutAt' : 'optedInAt']: now,
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The filter skipped an opted-out record, so the upsert collided with it
+    if (!guarded || error.code !== DUPLICATE_KEY) throw error;
+    ignored = true;
+  }
+  const event = await ConsentEvent.create({
+    number: normalized,
+    action,
+    source: options.source,
+    detail: options.detail,
+    submissionId: options.submissionId,
+    actor: options.actor,
+    ignored: ignored || undefined
+  });
+
+  if (ignored) {
+    logger.warn({ event: 'ConsentOptInIgnored', number: normalized, source: options.source, reason: 'opted_out' });
+    return { consent: await Consent.findOne({ number: normalized }), changed: false, ignored };
+  }
+
+  const changed = !previous || previous.status !== status;
+  const consent = await Consent.findOne({ number: normalized });
+  logger.info({ event: 'ConsentRecorded', number: normalized, status, source: options.source, changed });
+  if (changed) consentEvents.emit('changed', consent, event);
+  return { consent, changed, ignored };
+}
+
+// Forget a number's consent (it is then neither opted in nor out); the audit trail keeps an entry.
+// Resolves to the removed record, or null.
+async function clearConsent(number, options = {}) {
+  const normalized = normalizeNumber(number);
+  if (!normalized) throw new Error('Invalid phone number');
+
+  const removed = await Consent.findOneAndDelete({ number: normalized });
+  if (!removed) return null;
+  await ConsentEvent.create({ number: normalized, action: 'clear', source: options.source, detail: options.detail, actor: options.actor });
+  logger.info({ event: 'ConsentCleared', number: normalized });
+  return removed;
+}
+
+// Opt-in ticked on a form; never throws, since the submission itself goes ahead either way
+async function recordFormOptIn(number, { source, formId, submissionId }) {
+  try {
+    const { consent } = await recordConsent(number, 'opt_in', { source, detail: formId, submissionId: String(submissionId) });
+    return consent;
+  } catch (error) {
+    logger.error({ event: 'FormOptInFailed', source, formId, submissionId, error: error.message });
+    return null;
+  }
+}
+
+async function getConsent(number) {
+  const normalized = normalizeNumber(number);
+  return normalized ? Consent.findOne({ number: normalized }) : null;
+}
+
+// Consent records, most recently changed first. filter: { status, source }
+async function listConsents(filter = {}, { page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (filter.status) query.status = filter.status;
+  if (filter.source) query.source = filter.source;
+  const [consents, total] = await Promise.all([
+    Consent.find(query).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Consent.countDocuments(query)
+  ]);
+  return { consents, total };
+}
+
+// Audit trail, newest first. filter: { number, action }
+async function listConsentEvents(filter = {}, { page = 1, limit = 50 } = {}) {
+  const query = {};
+  if (filter.number) query.number = normalizeNumber(filter.number);
+  if (filter.action) query.action = filter.action;
+  const [events, total] = await Promise.all([
+    ConsentEvent.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    ConsentEvent.countDocuments(query)
+  ]);
+  return { events, total };
+}
+
+module.exports = {
+  OPTED_OUT_MESSAGE,
+  consentEvents,
+  matchKeyword,
+  normalizeNumber,
+  isOptedOut,
+  recordConsent,
+  clearConsent,
+  recordFormOptIn,
+  getConsent,
+  listConsents,
+  listConsentEvents
+};
@@ -0,0 +1,248 @@
+const winston = require('winston');
+const Conversation = require('../models/Conversation');
+const ConversationMessage = require('../models/ConversationMessage');
+const Submission = require('../models/Submission');
+const whatsappClient = require('./whatsappClient');
+const messageQueue = require('./messageQueue');
+const webhookDispatcher = require('./webhookDispatcher');
+const consentService = require('./consentService');
+const { renderTemplate } = require('./templateService');
+const { resolveLocale } = require('../utils/locale');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+// Confirm STOP/START keywords with the consent.opted_out / consent.opted_in templates
+const CONSENT_CONFIRMATIONS = process.env.CONSENT_CONFIRMATIONS !== 'false';
+
+let started = false;
+
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+// Resolve the sender's phone number; newer WhatsApp accounts may report an @lid id instead
+async function resolveSenderNumber(msg) {
+  if (msg.from.endsWith('@c.us')) {
+    return digitsOnly(msg.from.split('@')[0]);
+  }
+  try {
+    const contact = await msg.getContact();
+    return digitsOnly(contact.number);
+  } catch (_) {
+    return null;
+  }
+}
+
+function describeBody(msg) {
+  if (msg.body) return msg.body;
+  return msg.hasMedia ? `[${msg.type} attachment]` : `[${msg.type} message]`;
+}
+
+function forwardTemplate(conversation, submission, body) {
+  const name = (submission && submission.name) || conversation.contactName || 'Customer';
+  return `💬 *Reply from ${name}* (+${conversation.contactNumber})\nRef: #${conversation._id.toString().slice(-6)}\n\n${body}\n\n_Quote this message to reply to the customer._`;
+}
+
+// Customer -> bridge: store in the thread and forward to the session's admin
+async function handleCustomerMessage(msg, senderNumber, sessionId) {
+  const submission = await Submission.findOne({
+    phoneNormalized: senderNumber,
+    sessionId: sessionId === whatsappClient.DEFAULT_SESSION_ID ? { $in: [sessionId, null] } : sessionId
+  }).sort({ createdAt: -1 });
+
+  const conversation = await Conversation.findOneAndUpdate(
+    { sessionId, contactNumber: senderNumber },
+    {
+      $set: {
+        lastMessageAt: new Date(),
+        ...(submission ? { submissionId: submission._id, contactName: submission.name } : {})
+      },
+      $inc: { messageCount: 1 },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+
+  const body = describeBody(msg);
+  const threadMessage = await ConversationMessage.create({
+    conversationId: conversation._id,
+    direction: 'inbound',
+    body,
+    type: msg.type,
+    messageId: msg.id._serialized
+  });
+
+  logger.info({ event: 'InboundMessageReceived', sessionId, from: senderNumber, conversationId: conversation._id, submissionId: conversation.submissionId });
+
+  webhookDispatcher.emitEvent('message.received', {
+    sessionId,
+    conversationId: conversation._id,
+    submissionId: conversation.submissionId || null,
+    from: senderNumber,
+    messageId: msg.id._serialized,
+    body
+  });
+
+  // Only threads that started from a form submission are forwarded to the admin
+  const adminNumber = whatsappClient.getAdminNumber(sessionId);
+  if (!conversation.submissionId || !adminNumber) return;
+
+  try {
+    const result = await messageQueue.sendOrEnqueue(adminNumber, forwardTemplate(conversation, submission, body), {
+      sessionId,
+      // An admin notification, whatever the admin number's own consent
+      transactional: true,
+      context: { kind: 'conversation', refId: threadMessage._id.toString(), role: 'forward' }
+    });
+    threadMessage.adminForwardMessageId = result.messageId;
+    threadMessage.queued = !!result.queued;
+    await threadMessage.save();
+    logger.info({ event: result.queued ? 'InboundMessageForwardQueued' : 'InboundMessageForwarded', conversationId: conversation._id, messageId: result.messageId });
+  } catch (error) {
+    logger.error({ event: 'InboundMessageForwardFailed', conversationId: conversation._id, error: error.message });
+  }
+}
+
+// STOP/START keywords update the consent registry; the message still goes to the thread as usual
+async function handleConsentKeyword(msg, senderNumber, sessionId) {
+  const action = consentService.matchKeyword(msg.body);
+  if (!action) return;
+
+  try {
+    const { changed } = await consentService.recordConsent(senderNumber, action, { source: 'keyword', detail: msg.body.trim() });
+    if (!changed || !CONSENT_CONFIRMATIONS) return;
+
+    const template = action === 'opt_out' ? 'consent.opted_out' : 'consent.opted_in';
+    const confirmation = await renderTemplate(template, {}, { locale: resolveLocale(undefined, senderNumber) });
+    // Confirming an opt-out is the one message the customer still has to get
+    await messageQueue.sendOrEnqueue(senderNumber, confirmation, { sessionId, transactional: true, context: { kind: 'consent' } });
+  } catch (error) {
+    logger.error({ event: 'ConsentKeywordFailed', sessionId, from: senderNumber, action, error: error.message });
+  }
+}
+
+// Send a reply to the customer and record it in the thread
+async function replyToConversation(conversation, body, options = {}) {
+  const { media } = options;
+  const threadMessage = await ConversationMessage.create({
+    conversationId: conversation._id,
+    direction: 'outbound',
+    body,
+    type: media ? 'media' : 'chat',
+    media: media ? { mediaId: media.mediaId, filename: media.filename, mimetype: media.mimetype, size: media.size } : undefined
+  });
+
+  const result = await messageQueue.sendOrEnqueue(conversation.contactNumber, body, {
+    sessionId: conversation.sessionId || whatsappClient.DEFAULT_SESSION_ID,
+    mediaId: media ? media.mediaId : undefined,
+    context: { kind: 'conversation', refId: threadMessage._id.toString(), role: 'reply' }
+  });
+
+  threadMessage.messageId = result.messageId;
+  threadMessage.queued = !!result.queued;
+  await threadMessage.save();
+  await Conversation.updateOne({ _id: conversation._id }, { $set: { lastMessageAt: new Date() }, $inc: { messageCount: 1 } });
+
+  logger.info({ event: result.queued ? 'AdminReplyQueued' : 'AdminReplyRelayed', conversationId: conversation._id, to: conversation.contactNumber });
+  return { ...result, threadMessageId: threadMessage._id };
+}
+
+// Find the conversation an admin is replying to from the message they quoted
+async function findQuotedConversation(quotedId, sessionId) {
+  const forwarded = await ConversationMessage.findOne({ adminForwardMessageId: quotedId });
+  if (forwarded) {
+    return Conversation.findById(forwarded.conversationId);
+  }
+
+  // Quoting the original "new contact form submission" notification also works
+  const submission = await Submission.findOne({
+    $or: [{ adminMsgId: quotedId }, { 'notifications.messageId': quotedId }]
+  });
+  if (!submission || !submission.phoneNormalized) return null;
+
+  return Conversation.findOneAndUpdate(
+    { sessionId, contactNumber: submission.phoneNormalized },
+    {
+      $set: { submissionId: submission._id, contactName: submission.name },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Admin -> bridge: relay quoted replies back to the customer
+async function handleAdminMessage(msg, sessionId) {
+  if (!msg.hasQuotedMsg) return;
+
+  const quoted = await msg.getQuotedMessage();
+  if (!quoted) return;
+
+  const conversation = await findQuotedConversation(quoted.id._serialized, sessionId);
+  if (!conversation) return;
+
+  const body = msg.body;
+  if (!body || !body.trim()) {
+    logger.warn({ event: 'AdminReplyIgnored', reason: 'Only text replies can be relayed', conversationId: conversation._id });
+    return;
+  }
+
+  let result;
+  try {
+    result = await replyToConversation(conversation, body);
+  } catch (error) {
+    // E.g. the customer has opted out; the admin sees the reply did not go through
+    msg.react('⚠️').catch(() => {});
+    throw error;
+  }
+
+  // Let the admin know the reply went through
+  msg.react(result.queued ? '⏳' : '✅').catch(() => {});
+}
+
+async function handleIncomingMessage(msg, sessionId = whatsappClient.DEFAULT_SESSION_ID) {
+  try {
+    // Ignore our own messages, status updates and group chats
+    if (msg.fromMe || msg.isStatus || msg.from.endsWith('@g.us') || msg.from === 'status@broadcast') {
+      return;
+    }
+
+    const senderNumber = await resolveSenderNumber(msg);
+    if (!senderNumber) {
+      logger.warn({ event: 'InboundSenderUnresolved', from: msg.from });
+      return;
+    }
+
+    if (senderNumber === digitsOnly(whatsappClient.getAdminNumber(sessionId))) {
+      await handleAdminMessage(msg, sessionId);
+    } else {
+      await handleConsentKeyword(msg, senderNumber, sessionId);
+      await handleCustomerMessage(msg, senderNumber, sessionId);
+    }
+  } catch (error) {
+    logger.error({ event: 'InboundMessageError', sessionId, from: msg.from, error: error.message });
+  }
+}
+
+function startInboundHandler() {
+  if (started) return;
+  started = true;
+
+  whatsappClient.clientEvents.on('message', (msg, sessionId) => handleIncomingMessage(msg, sessionId));
+  logger.info({ event: 'InboundHandlerStarted' });
+}
+
+module.exports = {
+  handleIncomingMessage,
+  replyToConversation,
+  startInboundHandler
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const MEDIA_STORAGE_DIR = path.resolve(process.env.MEDIA_STORAGE_DIR || './uploads');
+const MEDIA_URL_PREFIX = '/api/media/';
+const MEDIA_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Attachments live on local disk as <id> (the file) and <id>.json (its metadata), so queued
+// messages can refer to them by id and nothing outside the store can be sent
+function filePath(mediaId) {
+  return path.join(MEDIA_STORAGE_DIR, mediaId);
+}
+
+function metaPath(mediaId) {
+  return path.join(MEDIA_STORAGE_DIR, `${mediaId}.json`);
+}
+
+// Keep only the base name and drop control characters from client-supplied file names
+function sanitizeFilename(filename) {
+  const base = path.basename(String(filename || '')).replace(/[\u0000-\u001f\u007f"\\]/g, '').trim();
+  return base.slice(0, 200) || 'attachment';
+}
+
+// Store a file; resolves to its metadata { mediaId, filename, mimetype, size, sha256, url }
+async function saveMedia(buffer, { filename, mimetype }) {
+  const mediaId = crypto.randomBytes(16).toString('hex');
+  const meta = {
+    mediaId,
+    filename: sanitizeFilename(filename),
+    mimetype,
+    size: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(MEDIA_STORAGE_DIR, { recursive: true });
+  await fs.writeFile(filePath(mediaId), buffer);
+  await fs.writeFile(metaPath(mediaId), JSON.stringify(meta));
+  logger.info({ event: 'MediaStored', mediaId, mimetype, size: meta.size });
+
+  return { ...meta, url: `${MEDIA_URL_PREFIX}${mediaId}` };
+}
+
+// Metadata for a stored file, or null
+async function getMediaInfo(mediaId) {
+  if (!MEDIA_ID_PATTERN.test(String(mediaId))) return null;
+  try {
+    const meta = JSON.parse(await fs.readFile(metaPath(mediaId), 'utf8'));
+    return { ...meta, url: `${MEDIA_URL_PREFIX}${mediaId}` };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Metadata plus the file contents, or null
+async function loadMedia(mediaId) {
+  const meta = await getMediaInfo(mediaId);
+  if (!meta) return null;
+  try {
+    return { ...meta, buffer: await fs.readFile(filePath(mediaId)) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function deleteMedia(mediaId) {
+  if (!MEDIA_ID_PATTERN.test(String(mediaId))) return false;
+  const results = await Promise.allSettled([fs.unlink(filePath(mediaId)), fs.unlink(metaPath(mediaId))]);
+  const deleted = results.some((r) => r.status === 'fulfilled');
+  if (deleted) logger.info({ event: 'MediaDeleted', mediaId });
+  return deleted;
+}
+
+// "/api/media/<id>" (absolute or relative) -> "<id>"; anything outside the store -> null
+function mediaIdFromUrl(url) {
+  let pathname;
+  try {
+    pathname = new URL(String(url), 'http://localhost').pathname;
+  } catch (_) {
+    return null;
+  }
+  if (!pathname.startsWith(MEDIA_URL_PREFIX)) return null;
+  const mediaId = pathname.slice(MEDIA_URL_PREFIX.length);
+  return MEDIA_ID_PATTERN.test(mediaId) ? mediaId : null;
+}
+
+module.exports = {
+  MEDIA_STORAGE_DIR,
+  sanitizeFilename,
+  saveMedia,
+  getMediaInfo,
+  loadMedia,
+  deleteMedia,
+  mediaIdFromUrl
+};
@@ -0,0 +1,397 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const OutboundMessage = require('../models/OutboundMessage');
+const Submission = require('../models/Submission');
+const ConversationMessage = require('../models/ConversationMessage');
+const whatsappClient = require('./whatsappClient');
+const receiptTracker = require('./receiptTracker');
+const mediaStore = require('./mediaStore');
+const consentService = require('./consentService');
+const { isQuietTime, nextSendTime } = require('../utils/quietHours');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const QUEUE_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 15000;
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 8;
+const QUEUE_BACKOFF_BASE_MS = parseInt(process.env.QUEUE_BACKOFF_BASE_MS, 10) || 30 * 1000; // 30 seconds
+const QUEUE_BACKOFF_MAX_MS = 60 * 60 * 1000; // 1 hour
+const QUEUE_LOCK_TIMEOUT_MS = 5 * 60 * 1000; // Reclaim jobs stuck in 'processing' after 5 minutes
+const REDACTED_BODY = '[REDACTED]';
+
+let workerTimer = null;
+const draining = new Set();
+
+// The queue lives in MongoDB, so it is only usable while the connection is open
+function isQueueAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at 1 hour
+function computeBackoff(attempts) {
+  return Math.min(QUEUE_BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), QUEUE_BACKOFF_MAX_MS);
+}
+
+// Errors that retrying will not fix
+function isPermanentError(error) {
+  return error.message.includes('Invalid phone number') ||
+    error.message.includes('Invalid message content') ||
+    error.message.includes('opted out');
+}
+
+// Stored attachment -> the media argument of whatsappClient.sendMessage
+async function loadAttachment(mediaId) {
+  const media = await mediaStore.loadMedia(mediaId);
+  if (!media) {
+    throw new Error('Invalid message content provided: attachment is no longer in the media store');
+  }
+  return { mimetype: media.mimetype, data: media.buffer.toString('base64'), filename: media.filename, size: media.size };
+}
+
+// options.sendAt holds the job until then (see services/scheduler.js)
+async function enqueueMessage(to, body, options = {}) {
+  const sessionId = options.sessionId || whatsappClient.DEFAULT_SESSION_ID;
+  const job = await OutboundMessage.create({
+    sessionId,
+    to,
+    body,
+    mediaId: options.mediaId,
+    quotedMessageId: options.quotedMessageId,
+    sensitive: !!options.sensitive,
+    transactional: !!options.transactional,
+    maxAttempts: options.maxAttempts || QUEUE_MAX_ATTEMPTS,
+    nextAttemptAt: options.nextAttemptAt || options.sendAt || new Date(),
+    expiresAt: options.expiresAt,
+    scheduledFor: options.sendAt,
+    respectQuietHours: !!options.respectQuietHours,
+    timezone: options.timezone,
+    scheduledBy: options.scheduledBy,
+    context: options.context
+  });
+
+  logger.info({ event: options.sendAt ? 'MessageScheduled' : 'MessageQueued', jobId: job._id, sessionId, to, nextAttemptAt: job.nextAttemptAt, context: options.context });
+
+  // Try right away in case the client is already connected
+  if (job.nextAttemptAt <= new Date()) setImmediate(() => drainQueue(sessionId).catch(() => {}));
+  return job;
+}
+
+// Sends immediately when the client is ready, otherwise (or on failure) falls back to the queue.
+// With options.mediaId the stored attachment is sent and `body` is its caption; options.quotedMessageId
+// sends it as a reply. Unless options.transactional, opted-out numbers are refused, here and again when a
+// queued message goes out.
+// Resolves to { messageId } or { queued: true, jobId }; throws only if neither was possible.
+async function sendOrEnqueue(to, body, options = {}) {
+  let sendError;
+
+  // Refuse up front rather than queue a message that can never be sent
+  if (!options.transactional && await consentService.isOptedOut(to)) {
+    throw new Error(consentService.OPTED_OUT_MESSAGE);
+  }
+
+  if (whatsappClient.getClientStatus(options.sessionId).isReady) {
+    try {
+      const media = options.mediaId ? await loadAttachment(options.mediaId) : undefined;
+      const messageId = await whatsappClient.sendMessage(to, body, {
+        sessionId: options.sessionId,
+        sensitive: options.sensitive,
+        transactional: options.transactional,
+        media,
+        quotedMessageId: options.quotedMessageId
+      });
+      await receiptTracker.trackMessage(messageId, to, options.context, options.sessionId);
+      return { messageId };
+    } catch (error) {
+      sendError = error;
+      // Bad input and opted-out recipients will not get better by retrying later
+      if (isPermanentError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  if (!isQueueAvailable()) {
+    throw sendError || new Error('WhatsApp client is not ready and the message queue is unavailable');
+  }
+
+  const job = await enqueueMessage(to, body, options);
+  return { queued: true, jobId: job._id.toString() };
+}
+
+// Jobs queued before multi-session support belong to the default session
+function sessionFilter(sessionId) {
+  return sessionId === whatsappClient.DEFAULT_SESSION_ID
+    ? { sessionId: { $in: [sessionId, null] } }
+    : { sessionId };
+}
+
+// Atomically claim the next due job for a session (or one abandoned by a crashed worker)
+function claimNextJob(sessionId) {
+  const now = new Date();
+  return OutboundMessage.findOneAndUpdate(
+    {
+      ...sessionFilter(sessionId),
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - QUEUE_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Back-fill the message id on the record that produced the job
+// Recompute a submission's delivery status once none of its messages are still queued
+async function refreshDeliveryStatus(submission) {
+  // A scheduled follow-up is not part of the submission's delivery
+  const pending = await OutboundMessage.countDocuments({
+    'context.kind': 'submission',
+    'context.refId': submission._id.toString(),
+    'context.role': { $ne: 'follow_up' },
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (pending > 0) {
+    submission.deliveryStatus = 'queued';
+    return;
+  }
+
+  const customerSent = !!submission.customerMsgId;
+  const adminSent = !!submission.adminMsgId || (submission.notifications || []).some((n) => n.messageId);
+  submission.deliveryStatus = customerSent && adminSent ? 'both_sent' :
+                              customerSent ? 'customer_only' :
+                              adminSent ? 'admin_only' : 'failed';
+}
+
+// The delivery record of a forwarded attachment that is still waiting in the queue
+function findQueuedAttachmentDelivery(submission, job) {
+  const attachment = (submission.attachments || []).find((a) => a.mediaId === job.mediaId);
+  return attachment ? attachment.deliveries.find((d) => d.to === job.to && d.queued) : null;
+}
+
+async function applySentJob(job) {
+  const { kind, refId, role } = job.context || {};
+  if (!refId) return;
+
+  if (kind === 'conversation') {
+    const field = role === 'forward' ? 'adminForwardMessageId' : 'messageId';
+    await ConversationMessage.updateOne({ _id: refId }, { $set: { [field]: job.messageId, queued: false } });
+    return;
+  }
+  if (kind !== 'submission') return;
+
+  const submission = await Submission.findById(refId);
+  if (!submission) return;
+
+  if (role === 'notification') {
+    const notification = submission.notifications.find((n) => n.to === job.to && n.queued);
+    if (notification) {
+      notification.messageId = job.messageId;
+      notification.queued = false;
+    }
+  } else if (role === 'attachment') {
+    const delivery = findQueuedAttachmentDelivery(submission, job);
+    if (delivery) {
+      delivery.messageId = job.messageId;
+      delivery.queued = false;
+    }
+  } else if (role === 'follow_up') {
+    submission.followUpMsgId = job.messageId;
+  } else {
+    submission[`${role}MsgId`] = job.messageId;
+  }
+  await refreshDeliveryStatus(submission);
+  await submission.save();
+}
+
+async function applyDeadJob(job) {
+  const { kind, refId, role } = job.context || {};
+  if (kind !== 'submission' || !refId) return;
+
+  const submission = await Submission.findById(refId);
+  if (!submission) return;
+
+  if (role === 'notification') {
+    const notification = submission.notifications.find((n) => n.to === job.to && n.queued);
+    if (notification) {
+      notification.queued = false;
+      notification.error = job.lastError;
+    }
+  } else if (role === 'attachment') {
+    const delivery = findQueuedAttachmentDelivery(submission, job);
+    if (delivery) {
+      delivery.queued = false;
+      delivery.error = job.lastError;
+    }
+  }
+  await refreshDeliveryStatus(submission);
+  await submission.save();
+}
+
+async function deadLetter(job, reason) {
+  job.status = 'dead';
+  if (job.sensitive) job.body = REDACTED_BODY;
+  job.lastError = reason;
+  job.lockedAt = undefined;
+  await job.save();
+  logger.error({ event: 'MessageDeadLettered', jobId: job._id, to: job.to, attempts: job.attempts, error: reason });
+
+  try {
+    await applyDeadJob(job);
+  } catch (error) {
+    logger.error({ event: 'QueueContextUpdateFailed', jobId: job._id, error: error.message });
+  }
+}
+
+async function processJob(job, sessionId) {
+  if (job.expiresAt && job.expiresAt < new Date()) {
+    return deadLetter(job, 'Message expired before it could be delivered');
+  }
+
+  // Scheduled messages wait out the recipient's night; this is not an attempt
+  if (job.respectQuietHours && job.timezone && isQuietTime(new Date(), job.timezone)) {
+    job.status = 'pending';
+    job.lockedAt = undefined;
+    job.nextAttemptAt = nextSendTime(new Date(), job.timezone);
+    await job.save();
+    logger.info({ event: 'QueuedMessageDeferredForQuietHours', jobId: job._id, timezone: job.timezone, nextAttemptAt: job.nextAttemptAt });
+    return;
+  }
+
+  job.attempts += 1;
+  try {
+    // Single attempt per claim; the queue's own backoff replaces the inline retries
+    const media = job.mediaId ? await loadAttachment(job.mediaId) : undefined;
+    job.messageId = await whatsappClient.sendMessage(job.to, job.body, {
+      sessionId,
+      maxRetries: 1,
+      sensitive: job.sensitive,
+      transactional: job.transactional,
+      media,
+      quotedMessageId: job.quotedMessageId
+    });
+    job.status = 'sent';
+    if (job.sensitive) job.body = REDACTED_BODY;
+    job.sentAt = new Date();
+    job.lockedAt = undefined;
+    job.lastError = undefined;
+    await job.save();
+    logger.info({ event: 'QueuedMessageSent', jobId: job._id, to: job.to, messageId: job.messageId, attempts: job.attempts });
+
+    await receiptTracker.trackMessage(job.messageId, job.to, job.context, sessionId);
+
+    try {
+      await applySentJob(job);
+    } catch (error) {
+      logger.error({ event: 'QueueContextUpdateFailed', jobId: job._id, error: error.message });
+    }
+  } catch (error) {
+    if (isPermanentError(error) || job.attempts >= job.maxAttempts) {
+      return deadLetter(job, error.message);
+    }
+
+    job.status = 'pending';
+    job.lockedAt = undefined;
+    job.lastError = error.message;
+    job.nextAttemptAt = new Date(Date.now() + computeBackoff(job.attempts));
+    await job.save();
+    logger.warn({ event: 'QueuedMessageRetryScheduled', jobId: job._id, attempts: job.attempts, nextAttemptAt: job.nextAttemptAt, error: error.message });
+  }
+}
+
+// Send a session's due jobs one at a time until its queue is empty or its client drops
+async function drainQueue(sessionId = whatsappClient.DEFAULT_SESSION_ID) {
+  if (draining.has(sessionId) || !isQueueAvailable() || !whatsappClient.getClientStatus(sessionId).isReady) {
+    return;
+  }
+
+  draining.add(sessionId);
+  try {
+    let job;
+    while (whatsappClient.getClientStatus(sessionId).isReady && (job = await claimNextJob(sessionId))) {
+      await processJob(job, sessionId);
+    }
+  } catch (error) {
+    logger.error({ event: 'QueueDrainError', sessionId, error: error.message });
+  } finally {
+    draining.delete(sessionId);
+  }
+}
+
+function drainAllSessions() {
+  for (const { sessionId } of whatsappClient.listSessions()) {
+    drainQueue(sessionId);
+  }
+}
+
+function startQueueWorker() {
+  if (workerTimer) return;
+
+  whatsappClient.clientEvents.on('ready', (sessionId) => drainQueue(sessionId));
+  whatsappClient.clientEvents.on('state', (state, sessionId) => {
+    if (state === 'CONNECTED') drainQueue(sessionId);
+  });
+
+  // Polling picks up jobs whose backoff has elapsed
+  workerTimer = setInterval(() => drainAllSessions(), QUEUE_POLL_INTERVAL_MS);
+  logger.info({ event: 'QueueWorkerStarted', pollIntervalMs: QUEUE_POLL_INTERVAL_MS });
+}
+
+// Drop jobs that have not gone out yet for a record (e.g. an OTP whose code was replaced)
+async function cancelQueuedMessages({ kind, refId }, reason) {
+  if (!isQueueAvailable()) return 0;
+
+  const result = await OutboundMessage.updateMany(
+    { 'context.kind': kind, 'context.refId': refId, status: 'pending' },
+    [{ $set: { status: 'dead', lastError: reason, body: { $cond: ['$sensitive', REDACTED_BODY, '$body'] } } }]
+  );
+  if (result.modifiedCount) {
+    logger.info({ event: 'QueuedMessagesCancelled', kind, refId, count: result.modifiedCount, reason });
+  }
+  return result.modifiedCount;
+}
+
+// Stats for one session, or for all sessions when sessionId is omitted
+async function getQueueStats(sessionId) {
+  if (!isQueueAvailable()) {
+    return null;
+  }
+
+  const scope = sessionId ? sessionFilter(sessionId) : {};
+  // Scheduled messages that are not due yet are counted apart from the backlog
+  const notDue = { status: 'pending', scheduledFor: { $ne: null }, nextAttemptAt: { $gt: new Date() } };
+  const backlog = { ...scope, status: { $in: ['pending', 'processing'] }, $nor: [notDue] };
+  const [depth, scheduled, deadLetters, oldestPending] = await Promise.all([
+    OutboundMessage.countDocuments(backlog),
+    OutboundMessage.countDocuments({ ...scope, ...notDue }),
+    OutboundMessage.countDocuments({ ...scope, status: 'dead' }),
+    OutboundMessage.findOne(backlog).sort({ createdAt: 1 })
+  ]);
+
+  return {
+    depth,
+    scheduled,
+    deadLetters,
+    oldestPendingAgeSeconds: oldestPending ? Math.floor((Date.now() - oldestPending.createdAt.getTime()) / 1000) : null
+  };
+}
+
+module.exports = {
+  isQueueAvailable,
+  loadAttachment,
+  enqueueMessage,
+  sendOrEnqueue,
+  drainQueue,
+  cancelQueuedMessages,
+  startQueueWorker,
+  getQueueStats
+};
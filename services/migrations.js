@@ -0,0 +1,45 @@
+const winston = require('winston');
+const Otp = require('../models/Otp');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const NAMESPACE_NOT_FOUND = 26; // MongoDB error code for a collection that does not exist yet
+
+// Earlier versions expired OTPs with a 5-minute TTL index on createdAt. MongoDB keeps it after the
+// schema moved expiry to expiresAt, where it would still delete OTPs with a longer OTP_TTL_SECONDS.
+async function dropLegacyOtpTtlIndex() {
+  let indexes;
+  try {
+    indexes = await Otp.collection.indexes();
+  } catch (error) {
+    if (error.code === NAMESPACE_NOT_FOUND) return;
+    throw error;
+  }
+
+  const legacy = indexes.filter((index) => index.key.createdAt && index.expireAfterSeconds !== undefined);
+  for (const index of legacy) {
+    await Otp.collection.dropIndex(index.name);
+    logger.info({ event: 'LegacyIndexDropped', collection: Otp.collection.name, index: index.name });
+  }
+}
+
+// Schema changes Mongoose cannot apply by itself; each step is safe to run on every start
+async function runMigrations() {
+  try {
+    await dropLegacyOtpTtlIndex();
+  } catch (error) {
+    logger.error({ event: 'MigrationFailed', migration: 'dropLegacyOtpTtlIndex', error: error.message });
+  }
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,89 @@
+const winston = require('winston');
+const OtpActivity = require('../models/OtpActivity');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OTP_DAILY_SEND_LIMIT = parseInt(process.env.OTP_DAILY_SEND_LIMIT, 10) || 10; // Codes per number per 24 hours, resends included
+const OTP_LOCKOUT_THRESHOLD = parseInt(process.env.OTP_LOCKOUT_THRESHOLD, 10) || 3; // Sessions that ran out of attempts
+const OTP_LOCKOUT_WINDOW_MS = (parseInt(process.env.OTP_LOCKOUT_WINDOW_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// When the `limit`-th most recent activity of a type leaves its window, or null if under the limit
+async function windowFullUntil(contactNumber, type, limit, windowMs, session) {
+  const since = new Date(Date.now() - windowMs);
+  const recent = await OtpActivity.find({ contactNumber, type, createdAt: { $gt: since } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .session(session || null);
+  if (recent.length < limit) return null;
+  return new Date(recent[limit - 1].createdAt.getTime() + windowMs);
+}
+
+// Whether another code may be sent to a number: { allowed: true } or { allowed: false, code, error, retryAfter }
+async function checkSendAllowed(contactNumber, session) {
+  const lockedUntil = await windowFullUntil(contactNumber, 'failed', OTP_LOCKOUT_THRESHOLD, OTP_LOCKOUT_WINDOW_MS, session);
+  if (lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+    logger.warn({ event: 'OTPNumberLocked', contactNumber, lockedUntil });
+    return {
+      allowed: false,
+      code: 'locked',
+      error: `Too many failed verifications for this number. Try again in ${Math.ceil(retryAfter / 60)} minutes`,
+      retryAfter
+    };
+  }
+
+  const capResetsAt = await windowFullUntil(contactNumber, 'sent', OTP_DAILY_SEND_LIMIT, DAY_MS, session);
+  if (capResetsAt) {
+    const retryAfter = Math.ceil((capResetsAt.getTime() - Date.now()) / 1000);
+    logger.warn({ event: 'OTPDailyLimitReached', contactNumber, limit: OTP_DAILY_SEND_LIMIT });
+    return {
+      allowed: false,
+      code: 'daily_limit',
+      error: `Daily OTP limit of ${OTP_DAILY_SEND_LIMIT} reached for this number. Try again in ${Math.ceil(retryAfter / 60)} minutes`,
+      retryAfter
+    };
+  }
+
+  return { allowed: true };
+}
+
+async function recordActivity(type, { contactNumber, uuid, reason }, windowMs, session) {
+  await OtpActivity.create([{
+    contactNumber,
+    type,
+    uuid,
+    reason,
+    expiresAt: new Date(Date.now() + windowMs)
+  }], { session });
+}
+
+// Count a code sent (or re-sent) towards the daily cap
+function recordSend(details, session) {
+  return recordActivity('sent', details, DAY_MS, session);
+}
+
+// Count an OTP session that ran out of attempts towards the lockout
+async function recordFailure(details, session) {
+  await recordActivity('failed', details, OTP_LOCKOUT_WINDOW_MS, session);
+  logger.warn({ event: 'OTPSessionFailed', contactNumber: details.contactNumber, uuid: details.uuid });
+}
+
+module.exports = {
+  OTP_DAILY_SEND_LIMIT,
+  OTP_LOCKOUT_THRESHOLD,
+  OTP_LOCKOUT_WINDOW_MS,
+  checkSendAllowed,
+  recordSend,
+  recordFailure
+};
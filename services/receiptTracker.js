@@ -0,0 +1,159 @@
+const winston = require('winston');
+const MessageStatus = require('../models/MessageStatus');
+const Submission = require('../models/Submission');
+const Otp = require('../models/Otp');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const whatsappClient = require('./whatsappClient');
+const webhookDispatcher = require('./webhookDispatcher');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// whatsapp-web.js MessageAck values
+const ACK_ERROR = -1;
+const ACK_STATUS = {
+  [-1]: 'failed',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'read' // ACK_PLAYED (voice/video) counts as read
+};
+
+// Acks can arrive before sendMessage has returned and the message is tracked;
+// hold them briefly so trackMessage can apply them.
+const EARLY_ACK_TTL_MS = 60 * 1000;
+const earlyAcks = new Map();
+
+let started = false;
+
+function ackToStatus(ack) {
+  return ACK_STATUS[ack] || 'pending';
+}
+
+// Mirror the latest status onto the record that produced the message
+async function mirrorStatus(record) {
+  const { kind, refId, role } = record.context || {};
+  if (!refId) return;
+
+  if (kind === 'submission' && (role === 'customer' || role === 'admin')) {
+    await Submission.updateOne({ _id: refId }, { $set: { [`${role}MsgStatus`]: record.status } });
+  } else if (kind === 'submission' && role === 'notification') {
+    await Submission.updateOne(
+      { _id: refId, 'notifications.messageId': record.messageId },
+      { $set: { 'notifications.$.status': record.status } }
+    );
+  } else if (kind === 'otp') {
+    await Otp.updateOne({ uuid: refId }, { $set: { messageId: record.messageId, messageStatus: record.status } });
+  } else if (kind === 'campaign') {
+    await CampaignRecipient.updateOne({ _id: refId }, { $set: { messageStatus: record.status } });
+  }
+}
+
+async function applyAck(messageId, ack) {
+  const status = ackToStatus(ack);
+  const now = new Date();
+
+  // Only move forward (pending -> sent -> delivered -> read); failures always apply
+  const filter = ack === ACK_ERROR ? { messageId } : { messageId, ack: { $lt: ack } };
+  const record = await MessageStatus.findOneAndUpdate(
+    filter,
+    {
+      $set: { ack, status, updatedAt: now },
+      $push: { history: { status, ack, at: now } }
+    },
+    { new: true }
+  );
+
+  if (record) {
+    logger.info({ event: 'MessageAckUpdated', messageId, status });
+    await mirrorStatus(record);
+    webhookDispatcher.emitEvent('message.ack', {
+      messageId,
+      to: record.to,
+      status,
+      context: record.context
+    });
+  }
+  return record;
+}
+
+async function handleAck(messageId, ack) {
+  try {
+    const exists = await MessageStatus.exists({ messageId });
+    if (!exists) {
+      // Either not tracked yet, or a message sent outside the bridge
+      const previous = earlyAcks.get(messageId);
+      earlyAcks.set(messageId, { ack: previous && previous.ack > ack ? previous.ack : ack, at: Date.now() });
+      return;
+    }
+    await applyAck(messageId, ack);
+  } catch (error) {
+    logger.error({ event: 'MessageAckError', messageId, ack, error: error.message });
+  }
+}
+
+// Register a message sent by the bridge so its receipts are persisted
+async function trackMessage(messageId, to, context, sessionId) {
+  if (!messageId) return null;
+
+  try {
+    const now = new Date();
+    const record = await MessageStatus.findOneAndUpdate(
+      { messageId },
+      {
+        $set: { to, context, sessionId },
+        $setOnInsert: { ack: 0, status: 'pending', history: [{ status: 'pending', ack: 0, at: now }], createdAt: now, updatedAt: now }
+      },
+      { upsert: true, new: true }
+    );
+
+    const early = earlyAcks.get(messageId);
+    if (early) {
+      earlyAcks.delete(messageId);
+      return (await applyAck(messageId, early.ack)) || record;
+    }
+
+    await mirrorStatus(record);
+    return record;
+  } catch (error) {
+    logger.error({ event: 'MessageTrackError', messageId, error: error.message });
+    return null;
+  }
+}
+
+function getMessageStatus(messageId) {
+  return MessageStatus.findOne({ messageId });
+}
+
+function startReceiptTracker() {
+  if (started) return;
+  started = true;
+
+  whatsappClient.clientEvents.on('message_ack', (messageId, ack) => handleAck(messageId, ack));
+
+  // Drop acks for messages that were never tracked
+  setInterval(() => {
+    const cutoff = Date.now() - EARLY_ACK_TTL_MS;
+    for (const [messageId, entry] of earlyAcks) {
+      if (entry.at < cutoff) earlyAcks.delete(messageId);
+    }
+  }, EARLY_ACK_TTL_MS).unref();
+
+  logger.info({ event: 'ReceiptTrackerStarted' });
+}
+
+module.exports = {
+  ackToStatus,
+  trackMessage,
+  getMessageStatus,
+  startReceiptTracker
+};
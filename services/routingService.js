@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const RoutingRule = require('../models/RoutingRule');
+const { compilePattern, patternError } = require('../utils/safeRegex');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+// Longest value a "matches" condition is tested on; conditions compare short values such as a
+// department or postcode, and a cap bounds the time any pattern can take on public input
+const MATCH_INPUT_MAX_LENGTH = 256;
+
+// Whether one condition holds for the submitted values; comparisons ignore case and surrounding spaces
+function conditionMatches(condition, values) {
+  const raw = values[condition.field];
+  const present = raw !== undefined && raw !== null && String(raw).trim() !== '';
+  if (condition.operator === 'exists') return present;
+  if (!present) return false;
+
+  const actual = String(raw).trim().toLowerCase();
+  const expected = (value) => String(value).trim().toLowerCase();
+  switch (condition.operator) {
+    case 'in':
+      return [].concat(condition.value).some((value) => expected(value) === actual);
+    case 'startsWith':
+      return actual.startsWith(expected(condition.value));
+    case 'matches': {
+      const value = String(raw).trim();
+      if (value.length > MATCH_INPUT_MAX_LENGTH) return false;
+      const pattern = compilePattern(String(condition.value), 'i');
+      return !!pattern && pattern.test(value);
+    }
+    default:
+      return expected(condition.value) === actual;
+  }
+}
+
+function ruleMatches(rule, values) {
+  return (rule.conditions || []).every((condition) => conditionMatches(condition, values));
+}
+
+// Returns an error message for the first invalid condition, or null
+function conditionError(conditions) {
+  for (const [i, condition] of (conditions || []).entries()) {
+    if (!condition || !condition.field) return `conditions[${i}].field is required`;
+    const operator = condition.operator || 'equals';
+    if (operator === 'exists') continue;
+    if (condition.value === undefined || condition.value === null || condition.value === '') {
+      return `conditions[${i}].value is required`;
+    }
+    if (operator === 'in' && !Array.isArray(condition.value)) return `conditions[${i}].value must be a list for "in"`;
+    if (operator === 'matches') {
+      const invalid = patternError(String(condition.value));
+      if (invalid) return `conditions[${i}].value ${invalid}`;
+    }
+  }
+  return null;
+}
+
+// The first matching active rule for a form ("contact" for the contact form), or null
+async function findMatchingRule(formId, values) {
+  const rules = await RoutingRule.find({ active: true, formId: { $in: [formId, '*'] } }).sort({ priority: 1, createdAt: 1 });
+  return rules.find((rule) => ruleMatches(rule, values)) || null;
+}
+
+// Who to notify of a submission. Returns { recipients, rule } where rule is { id, name, strategy }
+// or null when no rule matched and `fallback` (the form's destinations or the admin number) is used.
+// options.dryRun picks the next round-robin target without advancing the rotation.
+async function resolveRecipients(formId, values, fallback, options = {}) {
+  const defaults = { recipients: fallback.filter(Boolean), rule: null };
+  // Without MongoDB there are no rules
+  if (mongoose.connection.readyState !== 1) return defaults;
+
+  let rule;
+  try {
+    rule = await findMatchingRule(formId, values);
+  } catch (error) {
+    logger.error({ event: 'RoutingRuleLookupFailed', formId, error: error.message });
+    return defaults;
+  }
+  if (!rule) return defaults;
+
+  let recipients = rule.targets;
+  if (rule.strategy === 'round_robin') {
+    // Atomic, so concurrent submissions go to different targets
+    const previous = options.dryRun ? null : await RoutingRule.findOneAndUpdate({ _id: rule._id }, { $inc: { rotation: 1 } });
+    const turn = previous ? previous.rotation : rule.rotation;
+    recipients = [rule.targets[turn % rule.targets.length]];
+  }
+
+  logger.info({ event: 'SubmissionRouted', formId, ruleId: rule._id, rule: rule.name, recipients: recipients.length });
+  return { recipients, rule: { id: rule._id, name: rule.name, strategy: rule.strategy } };
+}
+
+module.exports = { conditionError, resolveRecipients };
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const OutboundMessage = require('../models/OutboundMessage');
+const messageQueue = require('./messageQueue');
+const consentService = require('./consentService');
+const { timezoneForNumber, nextSendTime } = require('../utils/quietHours');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const SCHEDULE_MAX_DAYS = parseInt(process.env.SCHEDULE_MAX_DAYS, 10) || 365;
+
+// Scheduled messages are queue jobs with a future send time, so they live in MongoDB and survive
+// restarts; the queue worker sends them through the normal send path once they are due.
+
+// When a job should first be tried: the requested time, moved past the recipient's quiet hours
+function firstAttemptAt(sendAt, options) {
+  return options.respectQuietHours ? nextSendTime(sendAt, options.timezone) : sendAt;
+}
+
+function validateSendAt(sendAt) {
+  if (!(sendAt instanceof Date) || Number.isNaN(sendAt.getTime())) {
+    throw new Error('Invalid send time: expected an ISO 8601 date');
+  }
+  if (sendAt.getTime() > Date.now() + SCHEDULE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Invalid send time: at most ${SCHEDULE_MAX_DAYS} days ahead`);
+  }
+}
+
+// Schedule a message (text, or a stored attachment with `body` as its caption) for options.sendAt.
+// Quiet hours apply unless options.respectQuietHours is false; the recipient's timezone comes from
+// options.timezone or their number. Unless options.transactional, opted-out numbers are refused
+// (and checked again when the message goes out). Resolves to the job.
+async function scheduleMessage(to, body, options = {}) {
+  const sendAt = options.sendAt || new Date();
+  validateSendAt(sendAt);
+  if (!messageQueue.isQueueAvailable()) {
+    throw new Error('Message queue is unavailable');
+  }
+  if (!options.transactional && await consentService.isOptedOut(to)) {
+    throw new Error(consentService.OPTED_OUT_MESSAGE);
+  }
+
+  const respectQuietHours = options.respectQuietHours !== false;
+  const timezone = options.timezone || timezoneForNumber(to);
+  return messageQueue.enqueueMessage(to, body, {
+    ...options,
+    sendAt,
+    respectQuietHours,
+    timezone,
+    nextAttemptAt: firstAttemptAt(sendAt, { respectQuietHours, timezone })
+  });
+}
+
+// Schedule a submission's follow-up to the customer; resolves to the job, or null if it could not
+// be scheduled (the submission itself has already gone through)
+async function scheduleFollowUp(to, body, { sessionId, delayHours, submissionId }) {
+  try {
+    return await scheduleMessage(to, body, {
+      sessionId,
+      sendAt: new Date(Date.now() + delayHours * 60 * 60 * 1000),
+      context: { kind: 'submission', refId: submissionId.toString(), role: 'follow_up' }
+    });
+  } catch (error) {
+    logger.error({ event: 'FollowUpScheduleFailed', submissionId, error: error.message });
+    return null;
+  }
+}
+
+// Only messages that have not been picked up yet can be changed; scheduledBy limits it to one key's messages
+function changeableFilter(jobId, scheduledBy) {
+  const filter = { _id: jobId, status: 'pending', scheduledFor: { $ne: null } };
+  if (scheduledBy) filter.scheduledBy = scheduledBy;
+  return filter;
+}
+
+async function findScheduledMessage(jobId, scheduledBy) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  const filter = { _id: jobId, scheduledFor: { $ne: null } };
+  if (scheduledBy) filter.scheduledBy = scheduledBy;
+  return OutboundMessage.findOne(filter);
+}
+
+// Move a scheduled message to a new time. Resolves to the job, or null if it is unknown or already
+// sent, sending or cancelled.
+async function rescheduleMessage(jobId, sendAt, scheduledBy) {
+  validateSendAt(sendAt);
+  const job = await findScheduledMessage(jobId, scheduledBy);
+  if (!job || job.status !== 'pending') return null;
+
+  const updated = await OutboundMessage.findOneAndUpdate(
+    changeableFilter(jobId, scheduledBy),
+    { $set: { scheduledFor: sendAt, nextAttemptAt: firstAttemptAt(sendAt, job), attempts: 0, lastError: null } },
+    { new: true }
+  );
+  if (updated) logger.info({ event: 'ScheduledMessageRescheduled', jobId, nextAttemptAt: updated.nextAttemptAt });
+  return updated;
+}
+
+// Cancel a scheduled message before it is sent. Resolves to the job, or null as for rescheduleMessage.
+async function cancelScheduledMessage(jobId, scheduledBy) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  const cancelled = await OutboundMessage.findOneAndUpdate(
+    changeableFilter(jobId, scheduledBy),
+    [{ $set: { status: 'cancelled', cancelledAt: '$$NOW', body: { $cond: ['$sensitive', '[REDACTED]', '$body'] } } }],
+    { new: true }
+  );
+  if (cancelled) logger.info({ event: 'ScheduledMessageCancelled', jobId });
+  return cancelled;
+}
+
+// Scheduled messages, soonest first. filter: { status, to, scheduledBy, kind, refId }
+async function listScheduledMessages(filter = {}, { page = 1, limit = 50 } = {}) {
+  const query = { scheduledFor: { $ne: null } };
+  if (filter.status) query.status = filter.status;
+  if (filter.to) query.to = filter.to;
+  if (filter.scheduledBy) query.scheduledBy = filter.scheduledBy;
+  if (filter.kind) query['context.kind'] = filter.kind;
+  if (filter.refId) query['context.refId'] = filter.refId;
+
+  const [messages, total] = await Promise.all([
+    OutboundMessage.find(query).sort({ nextAttemptAt: 1 }).skip((page - 1) * limit).limit(limit),
+    OutboundMessage.countDocuments(query)
+  ]);
+  return { messages, total };
+}
+
+module.exports = {
+  scheduleMessage,
+  scheduleFollowUp,
+  rescheduleMessage,
+  cancelScheduledMessage,
+  findScheduledMessage,
+  listScheduledMessages
+};
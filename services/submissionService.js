@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Submission = require('../models/Submission');
+const MessageStatus = require('../models/MessageStatus');
+const OutboundMessage = require('../models/OutboundMessage');
+const webhookDispatcher = require('./webhookDispatcher');
+const mediaStore = require('./mediaStore');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const SUBMISSION_RETENTION_DAYS = parseInt(process.env.SUBMISSION_RETENTION_DAYS, 10) || 0; // 0 keeps records forever
+const SUBMISSION_RETENTION_MODE = process.env.SUBMISSION_RETENTION_MODE === 'delete' ? 'delete' : 'anonymize';
+const RETENTION_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const RETENTION_BATCH_SIZE = 500;
+const PAGE_SIZE_MAX = 100;
+const SEARCH_FIELDS = ['name', 'email', 'phone', 'message', 'formId'];
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'status', 'deliveryStatus', 'formId'];
+const REDACTED_BODY = '[REDACTED]';
+
+const STATUSES = ['new', 'in-progress', 'resolved', 'spam'];
+
+// Allowed lifecycle moves; resolved and spam submissions must be reopened first
+const STATUS_TRANSITIONS = {
+  new: ['in-progress', 'resolved', 'spam'],
+  'in-progress': ['new', 'resolved', 'spam'],
+  resolved: ['in-progress'],
+  spam: ['new']
+};
+
+let retentionTimer = null;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return date;
+}
+
+// "a,b" or ?x=a&x=b -> ['a', 'b']
+function listParam(value) {
+  return [].concat(value).join(',').split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+// Mongo filter from query-string filters shared by the list, export and admin endpoints
+function buildFilter(query = {}) {
+  const filter = {};
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), 'i');
+    filter.$or = SEARCH_FIELDS.map((field) => ({ [field]: pattern }));
+  }
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) filter.createdAt.$lte = parseDate(query.to, 'to');
+  }
+  if (query.phone) {
+    filter.phoneNormalized = String(query.phone).replace(/\D/g, '');
+  }
+  if (query.email) {
+    filter.email = new RegExp(`^${escapeRegex(String(query.email).trim())}$`, 'i');
+  }
+  if (query.status) {
+    const statuses = listParam(query.status);
+    const unknown = statuses.filter((s) => !STATUSES.includes(s));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid status: ${unknown.join(', ')}`);
+    }
+    // Submissions saved before the lifecycle existed have no status and count as new
+    filter.status = { $in: statuses.includes('new') ? [...statuses, null] : statuses };
+  }
+  for (const field of ['formId', 'deliveryStatus', 'sessionId', 'assignee']) {
+    if (query[field]) filter[field] = { $in: listParam(query[field]) };
+  }
+
+  return filter;
+}
+
+// ?sort=-createdAt (default), ?sort=name ...
+function buildSort(value) {
+  const sort = String(value || '-createdAt');
+  const field = sort.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`Invalid sort field: ${field}`);
+  }
+  return { [field]: sort.startsWith('-') ? -1 : 1, _id: -1 };
+}
+
+function pagination(query = {}) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), PAGE_SIZE_MAX);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, page, skip: (page - 1) * limit };
+}
+
+async function listSubmissions(query = {}) {
+  const filter = buildFilter(query);
+  const sort = buildSort(query.sort);
+  const { limit, page, skip } = pagination(query);
+
+  const [total, submissions] = await Promise.all([
+    Submission.countDocuments(filter),
+    Submission.find(filter).sort(sort).skip(skip).limit(limit)
+  ]);
+
+  return { page, limit, total, pages: Math.ceil(total / limit), submissions };
+}
+
+// Cursor over every matching submission, for exports
+function exportCursor(query = {}) {
+  return Submission.find(buildFilter(query)).sort(buildSort(query.sort)).lean().cursor();
+}
+
+// Change status, assignee and/or add a note. `actor` is recorded as the author.
+async function updateSubmission(id, changes, actor) {
+  const submission = await Submission.findById(id);
+  if (!submission) {
+    throw new Error('Submission not found');
+  }
+
+  const update = { $set: { updatedAt: new Date() } };
+  const previousStatus = submission.status || 'new';
+  const statusChanged = changes.status !== undefined && changes.status !== previousStatus;
+
+  if (statusChanged) {
+    if (!STATUSES.includes(changes.status)) {
+      throw new Error(`Invalid status: ${changes.status}`);
+    }
+    if (!STATUS_TRANSITIONS[previousStatus].includes(changes.status)) {
+      throw new Error(`Invalid status transition from "${previousStatus}" to "${changes.status}"`);
+    }
+    update.$set.status = changes.status;
+    update.$push = { statusHistory: { from: previousStatus, to: changes.status, by: actor } };
+  }
+  if (changes.assignee !== undefined) {
+    if (changes.assignee !== null && typeof changes.assignee !== 'string') {
+      throw new Error('Invalid assignee: must be a string or null');
+    }
+    update.$set.assignee = changes.assignee || null;
+  }
+  if (changes.note !== undefined) {
+    if (typeof changes.note !== 'string' || !changes.note.trim()) {
+      throw new Error('Invalid note: must be a non-empty string');
+    }
+    update.$push = { ...(update.$push || {}), notes: { text: changes.note.trim(), author: actor } };
+  }
+
+  // Conditional on the status we validated against, so concurrent transitions cannot both apply
+  const updated = await Submission.findOneAndUpdate(
+    { _id: id, status: previousStatus === 'new' ? { $in: ['new', null] } : previousStatus },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new Error('Submission status changed concurrently; reload and try again');
+  }
+
+  if (statusChanged) {
+    logger.info({ event: 'SubmissionStatusChanged', id, from: previousStatus, to: updated.status, by: actor });
+    // A handled submission needs no follow-up
+    if (updated.status === 'resolved' || updated.status === 'spam') {
+      await OutboundMessage.updateMany(
+        { 'context.kind': 'submission', 'context.refId': String(updated._id), 'context.role': 'follow_up', status: 'pending' },
+        { $set: { status: 'cancelled', cancelledAt: new Date() } }
+      );
+    }
+    webhookDispatcher.emitEvent('submission.status_changed', {
+      sessionId: updated.sessionId,
+      formId: updated.formId,
+      submissionId: updated._id,
+      from: previousStatus,
+      to: updated.status,
+      assignee: updated.assignee,
+      by: actor
+    });
+  }
+
+  return updated;
+}
+
+// Strip or delete the message records that copy a submission's phone number and text
+async function purgeRelatedMessages(ids, mode) {
+  const refIds = ids.map(String);
+  const related = { 'context.kind': 'submission', 'context.refId': { $in: refIds } };
+  const finished = { ...related, status: { $in: ['sent', 'dead', 'cancelled'] } };
+
+  if (mode === 'delete') {
+    await Promise.all([MessageStatus.deleteMany(related), OutboundMessage.deleteMany(finished)]);
+  } else {
+    await Promise.all([
+      MessageStatus.updateMany(related, { $unset: { to: '' } }),
+      OutboundMessage.updateMany(finished, { $set: { body: REDACTED_BODY } })
+    ]);
+  }
+}
+
+// Anonymize or delete submissions older than `days`; returns how many were processed
+async function applyRetention({ days = SUBMISSION_RETENTION_DAYS, mode = SUBMISSION_RETENTION_MODE } = {}) {
+  if (!days || days <= 0 || mongoose.connection.readyState !== 1) {
+    return { processed: 0, mode, days };
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const filter = { createdAt: { $lt: cutoff } };
+  if (mode !== 'delete') filter.anonymizedAt = { $exists: false };
+
+  let processed = 0;
+  for (;;) {
+    const batch = await Submission.find(filter).select('_id attachments.mediaId').limit(RETENTION_BATCH_SIZE).lean();
+    if (batch.length === 0) break;
+    const ids = batch.map((s) => s._id);
+
+    await purgeRelatedMessages(ids, mode);
+    // Uploaded files are personal data too; both modes remove them from the media store
+    for (const submission of batch) {
+      for (const attachment of submission.attachments || []) {
+        await mediaStore.deleteMedia(attachment.mediaId);
+      }
+    }
+    if (mode === 'delete') {
+      await Submission.deleteMany({ _id: { $in: ids } });
+    } else {
+      await Submission.updateMany(
+        { _id: { $in: ids } },
+        {
+          $unset: { name: '', email: '', phone: '', phoneNormalized: '', message: '', fields: '', fingerprint: '' },
+          $set: { notes: [], attachments: [], anonymizedAt: new Date(), updatedAt: new Date() }
+        }
+      );
+    }
+    processed += ids.length;
+  }
+
+  if (processed > 0) {
+    logger.info({ event: 'SubmissionRetentionApplied', mode, days, processed });
+  }
+  return { processed, mode, days };
+}
+
+function startRetentionWorker() {
+  if (retentionTimer || SUBMISSION_RETENTION_DAYS <= 0) return;
+
+  const run = () => applyRetention().catch((error) => {
+    logger.error({ event: 'SubmissionRetentionError', error: error.message });
+  });
+  run();
+  retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+  logger.info({ event: 'SubmissionRetentionStarted', days: SUBMISSION_RETENTION_DAYS, mode: SUBMISSION_RETENTION_MODE });
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  SUBMISSION_RETENTION_DAYS,
+  SUBMISSION_RETENTION_MODE,
+  buildFilter,
+  buildSort,
+  pagination,
+  listSubmissions,
+  exportCursor,
+  updateSubmission,
+  applyRetention,
+  startRetentionWorker
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const MessageTemplate = require('../models/MessageTemplate');
+const templateEngine = require('../utils/templateEngine');
+const { BUILT_IN_TEMPLATES } = require('../utils/messageTemplates');
+const { DEFAULT_LOCALE } = require('../utils/locale');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Locales to try, most specific first: "pt-BR" -> ["pt-BR", "pt", "en"]
+function localeChain(locale) {
+  const chain = [];
+  if (locale) {
+    chain.push(locale);
+    const language = locale.split('-')[0];
+    if (language !== locale) chain.push(language);
+  }
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+}
+
+// Built-in template for the closest locale; English is the last resort since every name exists there
+function builtInTemplate(name, chain) {
+  for (const candidate of [...chain, 'en']) {
+    const bundle = BUILT_IN_TEMPLATES[candidate];
+    if (bundle && bundle[name]) {
+      return { body: bundle[name], source: 'default', locale: candidate };
+    }
+  }
+  return null;
+}
+
+// Find the body for a template name: stored variant for the closest locale, else the built-in default
+async function resolveTemplate(name, locale) {
+  const chain = localeChain(locale);
+
+  // Without a database connection, queries would buffer until they time out
+  if (mongoose.connection.readyState === 1) {
+    const stored = await MessageTemplate.find({ name, locale: { $in: chain }, active: true });
+    for (const candidate of chain) {
+      const match = stored.find((t) => t.locale === candidate);
+      if (match) {
+        return { body: match.body, source: 'stored', locale: match.locale, sampleData: match.sampleData };
+      }
+    }
+  }
+
+  const builtIn = builtInTemplate(name, chain);
+  if (!builtIn) {
+    throw new Error(`Template "${name}" not found`);
+  }
+  return builtIn;
+}
+
+// Render a named template. `options.override` is an inline body (e.g. a form's own template)
+// that takes precedence; a broken stored template falls back to the built-in default.
+async function renderTemplate(name, data, options = {}) {
+  if (options.override) {
+    return templateEngine.render(options.override, data);
+  }
+
+  const template = await resolveTemplate(name, options.locale);
+  try {
+    return templateEngine.render(template.body, data);
+  } catch (error) {
+    const fallback = template.source === 'stored' && builtInTemplate(name, localeChain(options.locale));
+    if (!fallback) throw error;
+    logger.error({ event: 'TemplateRenderFailed', name, locale: template.locale, error: error.message });
+    return templateEngine.render(fallback.body, data);
+  }
+}
+
+module.exports = {
+  localeChain,
+  resolveTemplate,
+  renderTemplate
+};
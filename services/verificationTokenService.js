@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const VerificationToken = require('../models/VerificationToken');
+const { SUPPORTED_ALGORITHMS, signJwt, verifyJwt, publicJwk, jwkThumbprint } = require('../utils/jwt');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const VERIFICATION_TOKEN_TTL_MS = (parseInt(process.env.VERIFICATION_TOKEN_TTL_MINUTES, 10) || 15) * 60 * 1000;
+const VERIFICATION_TOKEN_ALG = (process.env.VERIFICATION_TOKEN_ALG || 'HS256').toUpperCase();
+const VERIFICATION_TOKEN_ISSUER = process.env.VERIFICATION_TOKEN_ISSUER || 'form2chat';
+const VERIFICATION_TOKEN_AUDIENCE = process.env.VERIFICATION_TOKEN_AUDIENCE;
+const MIN_SECRET_LENGTH = 32;
+
+// How a form treats submissions without a valid token
+const VERIFICATION_MODES = ['off', 'flag', 'require'];
+
+let keys = null;
+
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+// PEM from NAME (literal "\n" allowed, for single-line env files) or from the file at NAME_FILE
+function readPem(name) {
+  if (process.env[`${name}_FILE`]) return fs.readFileSync(process.env[`${name}_FILE`], 'utf8');
+  return process.env[name] ? process.env[name].replace(/\\n/g, '\n') : null;
+}
+
+function loadHmacKeys() {
+  let secret = process.env.VERIFICATION_TOKEN_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn({ event: 'VerificationTokenSecretMissing', message: 'VERIFICATION_TOKEN_SECRET is not set; using a random secret, so tokens stop validating after a restart.' });
+  } else if (secret.length < MIN_SECRET_LENGTH) {
+    logger.warn({ event: 'VerificationTokenSecretWeak', message: `VERIFICATION_TOKEN_SECRET should be at least ${MIN_SECRET_LENGTH} characters.` });
+  }
+
+  const kid = process.env.VERIFICATION_TOKEN_KEY_ID;
+  // A shared secret must never be published, so HS256 has no JWKS entries
+  return {
+    signing: { alg: 'HS256', kid, signingKey: secret },
+    verification: [{ alg: 'HS256', kid, verificationKey: secret }],
+    jwks: []
+  };
+}
+
+function loadRsaKeys() {
+  const pem = readPem('VERIFICATION_TOKEN_PRIVATE_KEY');
+  let privateKey;
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem);
+  } else {
+    privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    logger.warn({ event: 'VerificationTokenKeyMissing', message: 'VERIFICATION_TOKEN_PRIVATE_KEY is not set; using a generated key pair, so tokens stop validating after a restart.' });
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  const kid = process.env.VERIFICATION_TOKEN_KEY_ID || jwkThumbprint(publicKey);
+
+  const verification = [{ alg: 'RS256', kid, verificationKey: publicKey }];
+  const jwks = [publicJwk(publicKey, kid)];
+
+  // Keep accepting (and publishing) the previous key while its tokens are still live
+  const previousPem = readPem('VERIFICATION_TOKEN_PREVIOUS_PUBLIC_KEY');
+  if (previousPem) {
+    const previousKey = crypto.createPublicKey(previousPem);
+    const previousKid = jwkThumbprint(previousKey);
+    verification.push({ alg: 'RS256', kid: previousKid, verificationKey: previousKey });
+    jwks.push(publicJwk(previousKey, previousKid));
+  }
+
+  return { signing: { alg: 'RS256', kid, signingKey: privateKey }, verification, jwks };
+}
+
+// Keys are loaded on first use; a bad configuration fails the request that needs them
+function getKeys() {
+  if (!keys) {
+    if (!SUPPORTED_ALGORITHMS.includes(VERIFICATION_TOKEN_ALG)) {
+      throw new Error(`Unsupported VERIFICATION_TOKEN_ALG: ${VERIFICATION_TOKEN_ALG}`);
+    }
+    keys = VERIFICATION_TOKEN_ALG === 'RS256' ? loadRsaKeys() : loadHmacKeys();
+  }
+  return keys;
+}
+
+// Issue a signed token for a number that just passed OTP verification; pass the verification's
+// transaction session so the token only exists if the OTP is consumed
+async function issueVerificationToken({ contactNumber, reason, appName, otpUuid, sessionId }, session) {
+  const { signing } = getKeys();
+  const jti = crypto.randomUUID();
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = new Date((issuedAt * 1000) + VERIFICATION_TOKEN_TTL_MS);
+
+  const token = signJwt({
+    iss: VERIFICATION_TOKEN_ISSUER,
+    ...(VERIFICATION_TOKEN_AUDIENCE ? { aud: VERIFICATION_TOKEN_AUDIENCE } : {}),
+    sub: contactNumber,
+    phone: contactNumber,
+    reason,
+    appName,
+    uuid: otpUuid,
+    jti,
+    iat: issuedAt,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  }, signing);
+
+  await VerificationToken.create([{
+    jti,
+    contactNumber,
+    phoneNormalized: digitsOnly(contactNumber),
+    reason,
+    otpUuid,
+    sessionId,
+    expiresAt
+  }], { session });
+
+  return { token, expiresAt };
+}
+
+// Check the signature and expiry; returns the claims or throws "Invalid token: ..."
+function verifyVerificationToken(token) {
+  return verifyJwt(token, getKeys().verification, {
+    issuer: VERIFICATION_TOKEN_ISSUER,
+    audience: VERIFICATION_TOKEN_AUDIENCE
+  });
+}
+
+// Mark the token used if it is valid for `phone`. Resolves to { verified: true, tokenId, claims } or
+// { verified: false, error } without consuming anything.
+async function redeemVerificationToken(token, phone) {
+  if (!token || typeof token !== 'string') {
+    return { verified: false, error: 'verification token missing' };
+  }
+
+  let claims;
+  try {
+    claims = verifyVerificationToken(token);
+  } catch (error) {
+    const reason = error.message.includes('expired') ? 'verification token expired' : 'verification token invalid';
+    logger.warn({ event: 'VerificationTokenRejected', error: error.message });
+    return { verified: false, error: reason };
+  }
+  if (digitsOnly(claims.phone) !== digitsOnly(phone)) {
+    logger.warn({ event: 'VerificationTokenRejected', error: 'phone mismatch', jti: claims.jti });
+    return { verified: false, error: 'verification token was issued for a different phone number' };
+  }
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('Verification token store is unavailable');
+  }
+
+  // One atomic update, so two submissions racing with the same token cannot both win
+  const record = await VerificationToken.findOneAndUpdate(
+    { jti: claims.jti, usedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (record) {
+    return { verified: true, tokenId: record._id, claims };
+  }
+
+  const used = await VerificationToken.exists({ jti: claims.jti });
+  const error = used ? 'verification token already used' : 'verification token invalid';
+  logger.warn({ event: 'VerificationTokenRejected', error, jti: claims.jti });
+  return { verified: false, error };
+}
+
+// RFC 7662-style view of a token for other services: { active, claims?, used?, error? }
+async function introspectVerificationToken(token) {
+  let claims;
+  try {
+    claims = verifyVerificationToken(token);
+  } catch (error) {
+    return { active: false, error: error.message.replace('Invalid token: ', '') };
+  }
+
+  const result = { active: true, claims };
+  if (mongoose.connection.readyState === 1) {
+    const record = await VerificationToken.findOne({ jti: claims.jti });
+    result.used = !!(record && record.usedAt);
+    if (record && record.submissionId) result.submissionId = record.submissionId;
+  }
+  return result;
+}
+
+// Public keys for offline validation (empty for HS256)
+function getJwks() {
+  return { keys: getKeys().jwks };
+}
+
+// Record which submission used the token
+async function attachSubmission(tokenId, submissionId) {
+  await VerificationToken.updateOne({ _id: tokenId }, { $set: { submissionId } });
+}
+
+// Give a token back when the submission it was redeemed for could not be processed
+async function releaseVerificationToken(tokenId) {
+  await VerificationToken.updateOne({ _id: tokenId, submissionId: null }, { $unset: { usedAt: '' } });
+}
+
+module.exports = {
+  VERIFICATION_MODES,
+  VERIFICATION_TOKEN_TTL_MS,
+  VERIFICATION_TOKEN_ALG,
+  issueVerificationToken,
+  verifyVerificationToken,
+  redeemVerificationToken,
+  introspectVerificationToken,
+  getJwks,
+  attachSubmission,
+  releaseVerificationToken
+};
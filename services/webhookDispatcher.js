@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const whatsappClient = require('./whatsappClient');
+const consentService = require('./consentService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Events a subscription can listen to
+const WEBHOOK_EVENTS = [
+  'submission.received',
+  'submission.status_changed',
+  'otp.sent',
+  'otp.verified',
+  'otp.failed',
+  'otp.exhausted',
+  'otp.cancelled',
+  'otp.locked',
+  'message.ack',
+  'message.received',
+  'campaign.completed',
+  'consent.opted_out',
+  'consent.opted_in',
+  'client.qr',
+  'client.ready',
+  'client.disconnected'
+];
+
+// Constants
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_BACKOFF_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m
+const WEBHOOK_POLL_INTERVAL_MS = 15000;
+const WEBHOOK_CLAIM_MS = 60 * 1000; // A claimed delivery is hidden from other polls for 1 minute
+
+let workerTimer = null;
+let dispatching = false;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Record one delivery per matching subscription; never throws so callers can fire and forget
+async function emitEvent(event, data) {
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const subscriptions = await WebhookSubscription.find({
+      active: true,
+      events: { $in: [event, '*'] }
+    });
+    if (subscriptions.length === 0) return;
+
+    const createdAt = new Date().toISOString();
+    await WebhookDelivery.insertMany(subscriptions.map((subscription) => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        subscriptionId: subscription._id,
+        event,
+        payload: { id: _id.toString(), event, createdAt, data }
+      };
+    }));
+
+    logger.info({ event: 'WebhookEventQueued', webhookEvent: event, subscriptions: subscriptions.length });
+    setImmediate(() => dispatchDueDeliveries());
+  } catch (error) {
+    logger.error({ event: 'WebhookEmitError', webhookEvent: event, error: error.message });
+  }
+}
+
+async function postDelivery(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Form2Chat-Webhooks/1.0',
+        'X-Form2Chat-Event': delivery.event,
+        'X-Form2Chat-Delivery': delivery._id.toString(),
+        'X-Form2Chat-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      signal: controller.signal
+    });
+    return response.status;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+  delivery.attempts += 1;
+
+  if (!subscription || !subscription.active) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Subscription removed or disabled';
+    return delivery.save();
+  }
+
+  try {
+    const status = await postDelivery(subscription, delivery);
+    delivery.responseStatus = status;
+    if (status < 200 || status >= 300) {
+      throw new Error(`Endpoint responded with HTTP ${status}`);
+    }
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+    logger.info({ event: 'WebhookDelivered', deliveryId: delivery._id, webhookEvent: delivery.event, attempts: delivery.attempts });
+  } catch (error) {
+    delivery.lastError = error.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      logger.error({ event: 'WebhookDeliveryFailed', deliveryId: delivery._id, webhookEvent: delivery.event, error: delivery.lastError });
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_BACKOFF_BASE_MS * Math.pow(2, delivery.attempts - 1));
+      logger.warn({ event: 'WebhookRetryScheduled', deliveryId: delivery._id, attempts: delivery.attempts, nextAttemptAt: delivery.nextAttemptAt, error: delivery.lastError });
+    }
+  }
+
+  return delivery.save();
+}
+
+function claimNextDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_CLAIM_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function dispatchDueDeliveries() {
+  if (dispatching || mongoose.connection.readyState !== 1) return;
+
+  dispatching = true;
+  try {
+    let delivery;
+    while ((delivery = await claimNextDelivery())) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error({ event: 'WebhookDispatchError', error: error.message });
+  } finally {
+    dispatching = false;
+  }
+}
+
+function startWebhookWorker() {
+  if (workerTimer) return;
+
+  // Client lifecycle events
+  whatsappClient.clientEvents.on('qr', (qr, sessionId) => emitEvent('client.qr', { sessionId, message: 'WhatsApp authentication required. Scan the QR code to pair.' }));
+  whatsappClient.clientEvents.on('ready', (sessionId) => emitEvent('client.ready', { sessionId, status: whatsappClient.getClientStatus(sessionId).state }));
+  whatsappClient.clientEvents.on('disconnected', (reason, sessionId) => emitEvent('client.disconnected', { sessionId, reason }));
+  consentService.consentEvents.on('changed', (consent, change) => emitEvent(`consent.${consent.status}`, {
+    number: consent.number,
+    source: change.source,
+    detail: change.detail,
+    at: change.createdAt
+  }));
+
+  workerTimer = setInterval(() => dispatchDueDeliveries(), WEBHOOK_POLL_INTERVAL_MS);
+  logger.info({ event: 'WebhookWorkerStarted' });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  emitEvent,
+  dispatchDueDeliveries,
+  startWebhookWorker
+};
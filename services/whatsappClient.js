@@ -1,7 +1,9 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const mongoose = require('mongoose');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const winston = require('winston');
 const qrcode = require('qrcode-terminal');
+const EventEmitter = require('events');
+const WhatsAppSession = require('../models/WhatsAppSession');
+const consentService = require('./consentService');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -14,25 +16,51 @@ const logger = winston.createLogger({
   ],
 });
 
-// WhatsApp client and store variables
-let client = null;
-let store = null;
-let readyReceived = false;
-let ensuringReady = false;
-
-// Function to initialize WhatsApp client (called after MongoDB connects)
-function initializeWhatsAppClient() {
-  if (client) {
-    console.log('⚠️  WhatsApp client already initialized');
-    return client;
+// Sessions keyed by sessionId; each one hosts its own client, auth directory and readiness flag
+const DEFAULT_SESSION_ID = process.env.DEFAULT_SESSION_ID || 'default';
+const SESSION_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+const sessions = new Map();
+
+// Lifecycle events re-emitted for other services (e.g. the outbound queue worker).
+// The sessionId is always passed as the last listener argument.
+const clientEvents = new EventEmitter();
+// Every open Server-Sent Events stream adds listeners
+clientEvents.setMaxListeners(0);
+
+function getSession(sessionId) {
+  return sessions.get(sessionId || DEFAULT_SESSION_ID) || null;
+}
+
+// Function to initialize a WhatsApp client session (called after MongoDB connects)
+function initializeWhatsAppClient(sessionId = DEFAULT_SESSION_ID, config = {}) {
+  if (sessions.has(sessionId)) {
+    console.log(`⚠️  WhatsApp client "${sessionId}" already initialized`);
+    return sessions.get(sessionId).client;
   }
 
-  console.log('🔄 Initializing WhatsApp client with local session store...');
+  console.log(`🔄 Initializing WhatsApp client "${sessionId}" with local session store...`);
+
+  // The default session keeps the original clientId so existing pairings are reused
+  const clientId = sessionId === DEFAULT_SESSION_ID ? 'wa-web-client' : `wa-web-${sessionId}`;
+  const session = {
+    sessionId,
+    clientId,
+    name: config.name || sessionId,
+    adminNumber: config.adminNumber || null,
+    client: null,
+    readyReceived: false,
+    // Latest pairing material, served over the API so pairing works without console access
+    qr: null,
+    qrUpdatedAt: null,
+    pairingCode: null,
+    loading: null
+  };
+  sessions.set(sessionId, session);
   
   // Create WhatsApp client with LocalAuth strategy (more reliable)
-  client = new Client({
+  const client = session.client = new Client({
     authStrategy: new LocalAuth({
-      clientId: 'wa-web-client',
+      clientId,
       dataPath: './.wwebjs_auth/'
     }),
     // Disable web version caching to avoid stale/broken WA Web bundles
@@ -58,8 +86,11 @@ function initializeWhatsAppClient() {
   });
 
   client.on('qr', (qr) => {
-    logger.info({ event: 'QRGenerated', message: 'Scan this QR code with WhatsApp.' });
-    console.log('\n🔐 WHATSAPP AUTHENTICATION REQUIRED');
+    logger.info({ event: 'QRGenerated', sessionId, message: 'Scan this QR code with WhatsApp.' });
+    session.qr = qr;
+    session.qrUpdatedAt = new Date();
+    clientEvents.emit('qr', qr, sessionId);
+    console.log(`\n🔐 WHATSAPP AUTHENTICATION REQUIRED (session: ${sessionId})`);
     console.log('=====================================');
     console.log('Please scan the QR code below with your WhatsApp mobile app:');
     console.log('1. Open WhatsApp on your phone');
@@ -71,10 +102,14 @@ function initializeWhatsAppClient() {
   });
 
   client.on('ready', () => {
-    logger.info({ event: 'WhatsAppReady', message: 'WhatsApp client is ready.' });
-    console.log('✅ WhatsApp client is ready and authenticated!');
+    logger.info({ event: 'WhatsAppReady', sessionId, message: 'WhatsApp client is ready.' });
+    console.log(`✅ WhatsApp client "${sessionId}" is ready and authenticated!`);
     console.log('📱 You can now send messages through the API.\n');
-    readyReceived = true;
+    session.readyReceived = true;
+    session.qr = null;
+    session.pairingCode = null;
+    session.loading = null;
+    clientEvents.emit('ready', sessionId);
     
     // Log client info for debugging
     console.log('🔍 Client Info:', {
@@ -84,9 +119,13 @@ function initializeWhatsAppClient() {
     });
   });
 
-  client.on('authenticated', (session) => {
-    logger.info({ event: 'WhatsAppAuthenticated', message: 'WhatsApp authentication successful.' });
-    console.log('✅ WhatsApp authentication successful!');
+  // The event's argument is not our session record (LocalAuth passes undefined), so it is not taken
+  client.on('authenticated', () => {
+    logger.info({ event: 'WhatsAppAuthenticated', sessionId, message: 'WhatsApp authentication successful.' });
+    console.log(`✅ WhatsApp authentication successful for "${sessionId}"!`);
+    session.qr = null;
+    session.pairingCode = null;
+    clientEvents.emit('authenticated', sessionId);
     console.log('💾 Session will be saved automatically by LocalAuth...');
     console.log('⏳ Please wait ~1 minute for session to be fully written locally.');
     
@@ -94,17 +133,23 @@ function initializeWhatsAppClient() {
     console.log('📁 Session will be saved locally in .wwebjs_auth/ directory');
     
     // Start readiness watchdog in case ready event doesn't fire
+    // A throw here would be an unhandled rejection and end the process, so everything is caught
     setTimeout(async () => {
-      if (!client.info && !readyReceived) {
-        console.log('⚠️  Ready event not received after authentication. Attempting to force ready state...');
-        logger.warn({ 
-          event: 'ReadyEventDelayed', 
-          state: client.state,
-          hasInfo: !!client.info 
-        });
-        
-        // Try to force the client to get info
-        await ensureReady(90000).catch(() => {});
+      try {
+        if (!client.info && !session.readyReceived) {
+          console.log('⚠️  Ready event not received after authentication. Attempting to force ready state...');
+          logger.warn({ 
+            event: 'ReadyEventDelayed', 
+            sessionId,
+            state: client.state,
+            hasInfo: !!client.info 
+          });
+          
+          // Try to force the client to get info
+          await ensureReady(session, 90000);
+        }
+      } catch (error) {
+        logger.error({ event: 'ReadyWatchdogError', sessionId, error: error.message });
       }
     }, 30000); // 30 seconds timeout
   });
@@ -113,20 +158,23 @@ function initializeWhatsAppClient() {
 
   // Add session loading event
   client.on('loading_screen', (percent, message) => {
-    console.log(`🔄 Loading WhatsApp: ${percent}% - ${message}`);
+    console.log(`🔄 Loading WhatsApp "${sessionId}": ${percent}% - ${message}`);
+    session.loading = { percent, message };
+    clientEvents.emit('loading_screen', { percent, message }, sessionId);
   });
 
   // Log state changes for better diagnostics
   client.on('change_state', (state) => {
-    console.log(`🔁 WhatsApp state changed: ${state}`);
-    logger.info({ event: 'ChangeState', state });
+    console.log(`🔁 WhatsApp "${sessionId}" state changed: ${state}`);
+    logger.info({ event: 'ChangeState', sessionId, state });
+    clientEvents.emit('state', state, sessionId);
   });
 
   // Add debug logging for session restore with LocalAuth
   console.log('🔍 Checking for existing local session...');
   const fs = require('fs');
   const path = require('path');
-  const sessionPath = path.join('./.wwebjs_auth/', 'session-wa-web-client');
+  const sessionPath = path.join('./.wwebjs_auth/', `session-${clientId}`);
   
   if (fs.existsSync(sessionPath)) {
     console.log('✅ Found existing local session - will attempt to restore');
@@ -137,37 +185,150 @@ function initializeWhatsAppClient() {
   // After initialization, attempt to ensure ready state in background
   (async () => {
     try {
-      await ensureReady(120000); // wait up to 2 minutes on cold start
+      await ensureReady(session, 120000); // wait up to 2 minutes on cold start
     } catch (e) {
       // Already logged inside ensureReady
     }
   })();
 
+  // Incoming messages (customer replies, admin replies to forwarded messages)
+  client.on('message', (msg) => {
+    clientEvents.emit('message', msg, sessionId);
+  });
+
+  // Delivery/read receipts for messages we sent
+  client.on('message_ack', (msg, ack) => {
+    clientEvents.emit('message_ack', msg.id._serialized, ack, sessionId);
+  });
+
+  // Pairing code (phone-number login) refreshes, see requestPairingCode()
+  client.on('code', (code) => {
+    logger.info({ event: 'PairingCodeGenerated', sessionId });
+    session.pairingCode = code;
+    clientEvents.emit('code', code, sessionId);
+  });
+
   client.on('auth_failure', (msg) => {
-    logger.error({ event: 'AuthFailure', message: msg });
+    logger.error({ event: 'AuthFailure', sessionId, message: msg });
+    clientEvents.emit('auth_failure', msg, sessionId);
     console.log('❌ WhatsApp authentication failed:', msg);
   });
 
   client.on('disconnected', (reason) => {
-    logger.warn({ event: 'WhatsAppDisconnected', reason });
-    console.log('⚠️  WhatsApp disconnected:', reason);
-    readyReceived = false;
+    logger.warn({ event: 'WhatsAppDisconnected', sessionId, reason });
+    console.log(`⚠️  WhatsApp "${sessionId}" disconnected:`, reason);
+    session.readyReceived = false;
+    session.loading = null;
+    clientEvents.emit('disconnected', reason, sessionId);
   });
 
   // Initialize the client
   client.initialize().catch((error) => {
-    logger.error({ event: 'InitializationFailed', error: error.message });
+    logger.error({ event: 'InitializationFailed', sessionId, error: error.message });
   });
   
   return client;
 }
 
-// Export the initialization function to be called after MongoDB connects
-module.exports.initializeWhatsAppClient = initializeWhatsAppClient;
+// Start the default session plus any configured in WHATSAPP_SESSIONS or created via the API
+async function initializeSessions() {
+  initializeWhatsAppClient(DEFAULT_SESSION_ID);
+
+  const envSessions = (process.env.WHATSAPP_SESSIONS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter((id) => id && SESSION_ID_PATTERN.test(id));
+
+  let storedSessions = [];
+  try {
+    storedSessions = await WhatsAppSession.find();
+  } catch (error) {
+    logger.error({ event: 'SessionLoadFailed', error: error.message });
+  }
+
+  for (const sessionId of envSessions) {
+    initializeWhatsAppClient(sessionId);
+  }
+  for (const stored of storedSessions) {
+    const existing = sessions.get(stored.sessionId);
+    if (existing) {
+      existing.name = stored.name || existing.name;
+      existing.adminNumber = stored.adminNumber || existing.adminNumber;
+    } else {
+      initializeWhatsAppClient(stored.sessionId, stored);
+    }
+  }
+}
+
+// Create (and persist) a new named session at runtime
+async function addSession(sessionId, config = {}) {
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    throw new Error('Invalid session id. Use 1-32 letters, digits, dashes or underscores.');
+  }
+  if (sessions.has(sessionId)) {
+    throw new Error(`Session "${sessionId}" already exists`);
+  }
+
+  await WhatsAppSession.findOneAndUpdate(
+    { sessionId },
+    { $set: { name: config.name, adminNumber: config.adminNumber } },
+    { upsert: true }
+  );
+  initializeWhatsAppClient(sessionId, config);
+  return getClientStatus(sessionId);
+}
+
+// Stop a session and forget it; the LocalAuth directory is kept unless logout is requested
+async function removeSession(sessionId, { logout = false } = {}) {
+  if (sessionId === DEFAULT_SESSION_ID) {
+    throw new Error('The default session cannot be removed');
+  }
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Session "${sessionId}" not found`);
+  }
+
+  try {
+    if (logout && session.client.info) {
+      await session.client.logout();
+    } else {
+      await session.client.destroy();
+    }
+  } catch (error) {
+    logger.error({ event: 'SessionDestroyFailed', sessionId, error: error.message });
+  }
+
+  sessions.delete(sessionId);
+  await WhatsAppSession.deleteOne({ sessionId });
+  logger.info({ event: 'SessionRemoved', sessionId, logout });
+}
+
+function listSessions() {
+  return Array.from(sessions.keys()).map((sessionId) => getClientStatus(sessionId));
+}
+
+// Admin notifications go to the session's own admin number, falling back to ADMIN_NUMBER
+function getAdminNumber(sessionId) {
+  const session = getSession(sessionId);
+  return (session && session.adminNumber) || process.env.ADMIN_NUMBER;
+}
 
-async function sendMessage(number, message) {
-  const maxRetries = 3;
+// options: { sessionId, media, quotedMessageId, sensitive, maxRetries, transactional }. Without
+// `transactional`, numbers in the opt-out registry are refused.
+async function sendMessage(number, message, options = {}) {
+  const session = getSession(options.sessionId);
+  if (!session) {
+    throw new Error(`WhatsApp client is not ready. Current state: NOT_INITIALIZED (session: ${options.sessionId})`);
+  }
+  const { client } = session;
+  const maxRetries = options.maxRetries || 3;
   let retryCount = 0;
+
+  // Opted-out numbers only get transactional messages (OTPs, confirmations of their own submissions)
+  if (!options.transactional && await consentService.isOptedOut(number)) {
+    logger.warn({ event: 'MessageBlockedByOptOut', sessionId: session.sessionId, number });
+    throw new Error(consentService.OPTED_OUT_MESSAGE);
+  }
   
   while (retryCount < maxRetries) {
     try {
@@ -191,9 +352,9 @@ async function sendMessage(number, message) {
         throw new Error('Invalid phone number provided');
       }
 
-      // Format phone number - ensure it's properly formatted
+      // Format phone number - ensure it's properly formatted; group ids (...@g.us) are used as-is
       let chatId = number.trim();
-      if (!chatId.includes('@c.us')) {
+      if (!chatId.includes('@c.us') && !chatId.endsWith('@g.us')) {
         // Remove any non-digit characters except +
         chatId = chatId.replace(/[^+\d]/g, '');
         // Remove leading + if present
@@ -203,16 +364,30 @@ async function sendMessage(number, message) {
         chatId = `${chatId}@c.us`;
       }
       
-      logger.info({ event: 'SendingMessage', number, chatId, message, attempt: retryCount + 1 });
+      const { media } = options;
+      logger.info({ event: 'SendingMessage', number, chatId, message: options.sensitive ? '[REDACTED]' : message, media: media ? { filename: media.filename, mimetype: media.mimetype } : undefined, attempt: retryCount + 1 });
       
-      // Validate message content
-      if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      // Validate message content; with an attachment the text is an optional caption
+      if (media) {
+        if (!media.data || !media.mimetype) {
+          throw new Error('Invalid message content provided: attachment has no data');
+        }
+        if (message !== undefined && message !== null && typeof message !== 'string') {
+          throw new Error('Invalid message content provided');
+        }
+      } else if (!message || typeof message !== 'string' || message.trim().length === 0) {
         throw new Error('Invalid message content provided');
       }
+
+      const content = media ? new MessageMedia(media.mimetype, media.data, media.filename, media.size) : message.trim();
+      const sendOptions = {};
+      if (media && message && message.trim()) sendOptions.caption = message.trim();
+      // Reply to an earlier message in the chat
+      if (options.quotedMessageId) sendOptions.quotedMessageId = options.quotedMessageId;
       
       // Try to send message with timeout
       const sentMsg = await Promise.race([
-        client.sendMessage(chatId, message.trim()),
+        client.sendMessage(chatId, content, sendOptions),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Message send timeout after 15 seconds')), 15000)
         )
@@ -229,6 +404,7 @@ async function sendMessage(number, message) {
       retryCount++;
       logger.error({ 
         event: 'SendMessageError', 
+        sessionId: session.sessionId,
         error: error.message, 
         number,
         attempt: retryCount,
@@ -287,25 +463,39 @@ async function sendMessage(number, message) {
   }
 }
 
-function getClientStatus() {
-  if (!client) {
+function getClientStatus(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) {
     return {
+      sessionId: sessionId || DEFAULT_SESSION_ID,
       isReady: false,
       state: 'NOT_INITIALIZED',
       info: null
     };
   }
 
+  const { client } = session;
   const state = client.state || 'UNKNOWN';
   const hasInfo = !!client.info;
   return {
+    sessionId: session.sessionId,
+    name: session.name,
     isReady: hasInfo || state === 'CONNECTED',
     state,
     info: client.info || null
   };
 }
 
-async function generateQRCode() {
+function requireSession(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) {
+    throw new Error(`Session "${sessionId || DEFAULT_SESSION_ID}" not found`);
+  }
+  return session;
+}
+
+async function generateQRCode(sessionId) {
+  const { client } = requireSession(sessionId);
   if (!client.info) {
     console.log('🔄 Generating QR code for WhatsApp authentication...');
     try {
@@ -324,10 +514,58 @@ async function generateQRCode() {
   }
 }
 
-async function restartClient() {
+// Latest QR/pairing state for a session (null when the session does not exist)
+function getPairingState(sessionId) {
+  const session = getSession(sessionId);
+  if (!session) return null;
+
+  return {
+    sessionId: session.sessionId,
+    authenticated: !!session.client.info,
+    qr: session.qr,
+    qrUpdatedAt: session.qrUpdatedAt,
+    pairingCode: session.pairingCode,
+    loading: session.loading
+  };
+}
+
+// Log in with an 8-character code entered on the phone instead of scanning a QR code
+async function requestPairingCode(sessionId, phoneNumber) {
+  const session = requireSession(sessionId);
+  const { client } = session;
+
+  if (client.info) {
+    throw new Error('WhatsApp client is already authenticated');
+  }
+  if (!session.qr || !client.pupPage) {
+    throw new Error('WhatsApp client is not waiting for pairing yet. Try again once a QR code is available.');
+  }
+
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (!/^[1-9]\d{6,14}$/.test(digits)) {
+    throw new Error('Invalid phone number provided');
+  }
+
+  // whatsapp-web.js only exposes the code callback when pairing was configured up front
+  const hasCallback = await client.pupPage.evaluate(() => typeof window.onCodeReceivedEvent === 'function');
+  if (!hasCallback) {
+    await client.pupPage.exposeFunction('onCodeReceivedEvent', (code) => {
+      client.emit('code', code);
+      return code;
+    });
+  }
+
+  const code = await client.requestPairingCode(digits, true);
+  session.pairingCode = code;
+  logger.info({ event: 'PairingCodeRequested', sessionId: session.sessionId });
+  return code;
+}
+
+async function restartClient(sessionId) {
+  const { client } = requireSession(sessionId);
   try {
-    logger.info({ event: 'ClientRestartInitiated' });
-    console.log('🔄 Restarting WhatsApp client...');
+    logger.info({ event: 'ClientRestartInitiated', sessionId });
+    console.log(`🔄 Restarting WhatsApp client "${sessionId || DEFAULT_SESSION_ID}"...`);
     
     // Destroy existing client
     if (client && client.state !== 'UNPAIRED') {
@@ -350,21 +588,31 @@ async function restartClient() {
 }
 
 module.exports = { 
-  client, 
+  DEFAULT_SESSION_ID,
+  getSession,
   sendMessage, 
   getClientStatus, 
   generateQRCode,
+  getPairingState,
+  requestPairingCode,
   restartClient,
-  initializeWhatsAppClient
+  initializeWhatsAppClient,
+  initializeSessions,
+  addSession,
+  removeSession,
+  listSessions,
+  getAdminNumber,
+  clientEvents
 };
 
 // Polls for CONNECTED state; reloads page midway; reinitializes as last resort
-async function ensureReady(maxWaitMs = 60000) {
+async function ensureReady(session, maxWaitMs = 60000) {
+  const { client } = session;
   const start = Date.now();
   let reloaded = false;
   while (Date.now() - start < maxWaitMs) {
     // Exit early if already ready
-    if (readyReceived || client.info) {
+    if (session.readyReceived || client.info) {
       console.log('✅ ensureReady: Client already ready, exiting watchdog.');
       return;
     }
@@ -383,7 +631,7 @@ async function ensureReady(maxWaitMs = 60000) {
     // Midway, try a page reload to kick the session
     const elapsed = Date.now() - start;
     if (!reloaded && elapsed > maxWaitMs / 2) {
-      if (readyReceived || client.info) {
+      if (session.readyReceived || client.info) {
         console.log('✅ ensureReady: Ready during watchdog, skip reload.');
         return;
       }
@@ -405,7 +653,7 @@ async function ensureReady(maxWaitMs = 60000) {
   // As a last resort, reinitialize the client (LocalAuth will reuse session)
   try {
     // Double-check before reinitializing
-    if (readyReceived || client.info || client.state === 'CONNECTED') {
+    if (session.readyReceived || client.info || client.state === 'CONNECTED') {
       console.log('✅ ensureReady: Client became ready before reinit, skipping.');
       return;
     }
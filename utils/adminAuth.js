@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+const ADMIN_USER = process.env.ADMIN_USER || 'admin';
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// HTTP Basic auth for the admin UI (ADMIN_USER / ADMIN_PASSWORD); disabled until a password is set
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_PASSWORD) {
+    return res.status(503).json({ success: false, error: 'Admin UI is disabled. Set ADMIN_PASSWORD to enable it.' });
+  }
+
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  const [user, ...rest] = scheme === 'Basic' && encoded
+    ? Buffer.from(encoded, 'base64').toString().split(':')
+    : [];
+  // Compare both parts so a wrong user name takes as long as a wrong password
+  const userOk = safeEqual(user || '', ADMIN_USER);
+  const passwordOk = safeEqual(rest.join(':'), process.env.ADMIN_PASSWORD);
+
+  if (!userOk || !passwordOk) {
+    res.set('WWW-Authenticate', 'Basic realm="Form2Chat admin", charset="UTF-8"');
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  // Browsers resend Basic credentials automatically, so state-changing calls must also carry a
+  // header that a cross-site form or simple request cannot set
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && req.headers['x-requested-with'] !== 'admin-ui') {
+    return res.status(403).json({ success: false, error: 'Forbidden: missing X-Requested-With header' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin };
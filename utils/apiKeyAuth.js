@@ -0,0 +1,122 @@
+const winston = require('winston');
+const { rateLimit } = require('express-rate-limit');
+const apiKeyService = require('../services/apiKeyService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Stand-in for the API_KEY environment variable, which may do anything
+const LEGACY_KEY = { id: 'legacy', name: 'API_KEY', legacy: true, scopes: ['admin'] };
+
+// One shared limiter; each stored key gets its own per-minute budget
+const keyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => String(req.apiKey._id),
+  skip: (req) => !req.apiKey || req.apiKey.legacy || !req.apiKey.rateLimitPerMinute,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Rate limit exceeded for this API key' }
+});
+
+// X-API-Key or "Authorization: Bearer"; ?api_key= only where the client cannot send headers
+function readKey(req, allowQuery) {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  return allowQuery ? req.query.api_key : undefined;
+}
+
+// The first required scope the key holds; "admin" holds them all
+function grantedScope(apiKey, required) {
+  return required.find((scope) => apiKey.scopes.includes(scope)) ||
+    (apiKey.scopes.includes('admin') ? required[0] : null);
+}
+
+// Whether the request's key holds a scope; an open API (no key) holds every one
+function hasScope(req, scope) {
+  return !req.apiKey || !!grantedScope(req.apiKey, [scope]);
+}
+
+function originAllowed(apiKey, origin) {
+  if (!apiKey.allowedOrigins || apiKey.allowedOrigins.length === 0) return true;
+  return !!origin && apiKey.allowedOrigins.includes(origin);
+}
+
+// Authenticate the caller and require one of `scopes`; sets req.apiKey.
+// options.queryKeyPaths: router-relative paths that also accept the key as ?api_key=
+function requireApiKey(scopes, options = {}) {
+  const required = [].concat(scopes);
+
+  const authenticate = async (req, res, next) => {
+    try {
+      const rawKey = readKey(req, (options.queryKeyPaths || []).includes(req.path));
+
+      if (apiKeyService.isLegacyKey(rawKey)) {
+        req.apiKey = LEGACY_KEY;
+        return next();
+      }
+      if (!(await apiKeyService.isAuthRequired())) {
+        return next();
+      }
+      // Fail closed while stored keys cannot be checked
+      if (apiKeyService.isKeyStoreConfigured() && !apiKeyService.isKeyStoreAvailable()) {
+        return res.status(503).json({ success: false, error: 'API key store is unavailable. Please try again later.' });
+      }
+
+      const apiKey = await apiKeyService.authenticateKey(rawKey);
+      if (!apiKey) {
+        logger.warn({ event: 'ApiKeyRejected', reason: rawKey ? 'invalid' : 'missing', path: req.baseUrl + req.path, ip: req.ip });
+        return res.status(401).json({ success: false, error: 'Unauthorized: Invalid API key' });
+      }
+
+      const scope = grantedScope(apiKey, required);
+      if (!scope) {
+        logger.warn({ event: 'ApiKeyRejected', reason: 'scope', keyId: apiKey._id, required, path: req.baseUrl + req.path });
+        return res.status(403).json({ success: false, error: `Forbidden: API key lacks the required scope (${required.join(' or ')})` });
+      }
+
+      if (!originAllowed(apiKey, req.headers.origin)) {
+        logger.warn({ event: 'ApiKeyRejected', reason: 'origin', keyId: apiKey._id, origin: req.headers.origin });
+        return res.status(403).json({ success: false, error: 'Forbidden: Origin not allowed for this API key' });
+      }
+
+      req.apiKey = apiKey;
+      req.apiKeyScope = scope;
+      next();
+    } catch (error) {
+      logger.error({ event: 'ApiKeyAuthError', error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to authenticate API key' });
+    }
+  };
+
+  const enforceQuota = async (req, res, next) => {
+    if (!req.apiKey || req.apiKey.legacy) return next();
+    try {
+      const result = await apiKeyService.consumeQuota(req.apiKey, req.apiKeyScope);
+      if (!result.allowed) {
+        logger.warn({ event: 'ApiKeyQuotaExceeded', keyId: req.apiKey._id, period: result.period, limit: result.limit });
+        return res.status(429).json({
+          success: false,
+          error: `${result.period === 'day' ? 'Daily' : 'Monthly'} quota of ${result.limit} requests exceeded for this API key`
+        });
+      }
+      next();
+    } catch (error) {
+      logger.error({ event: 'ApiKeyQuotaError', keyId: req.apiKey._id, error: error.message });
+      res.status(500).json({ success: false, error: 'Failed to record API key usage' });
+    }
+  };
+
+  return [authenticate, keyRateLimiter, enforceQuota];
+}
+
+module.exports = { hasScope, requireApiKey };
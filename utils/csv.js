@@ -0,0 +1,60 @@
+// Quote per RFC 4180; a leading = + - @ would run as a formula in spreadsheet apps
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 text -> rows of cells. Handles quoted cells with commas, quotes and line breaks, CRLF or LF
+// line endings and a leading byte order mark; blank lines are skipped.
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((value) => value.trim() !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Invalid CSV: unterminated quoted cell');
+  }
+  row.push(cell);
+  if (row.some((value) => value.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+// CSV with a header row -> one object per line, keyed by the trimmed header names
+function parseCsvObjects(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map((name) => name.trim());
+  return lines.map((cells) => Object.fromEntries(names.map((name, i) => [name, (cells[i] || '').trim()])));
+}
+
+module.exports = { csvCell, parseCsv, parseCsvObjects };
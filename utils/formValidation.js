@@ -0,0 +1,146 @@
+const { mimeMatches } = require('./mediaUpload');
+const { compilePattern } = require('./safeRegex');
+
+// Longest value a field's own pattern is tested on, which bounds the time any pattern can take
+const PATTERN_INPUT_MAX_LENGTH = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[1-9]\d{6,14}$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Validate and coerce one value; returns { value } or { error }
+function validateField(field, raw) {
+  const label = field.label || field.name;
+
+  switch (field.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (Number.isNaN(value)) return { error: `${label} must be a number` };
+      if (field.min !== undefined && value < field.min) return { error: `${label} must be at least ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `${label} must be at most ${field.max}` };
+      return { value };
+    }
+    case 'checkbox':
+      return { value: raw === true || raw === 'true' || raw === 'on' || raw === '1' || raw === 1 };
+    case 'date': {
+      const value = new Date(raw);
+      if (Number.isNaN(value.getTime())) return { error: `${label} must be a valid date` };
+      return { value: value.toISOString() };
+    }
+    default:
+      break;
+  }
+
+  if (typeof raw !== 'string' && typeof raw !== 'number') {
+    return { error: `${label} must be a string` };
+  }
+  const value = String(raw).trim();
+
+  if (field.minLength !== undefined && value.length < field.minLength) {
+    return { error: `${label} must be at least ${field.minLength} characters` };
+  }
+  if (field.maxLength !== undefined && value.length > field.maxLength) {
+    return { error: `${label} must be at most ${field.maxLength} characters` };
+  }
+
+  if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+    return { error: `${label} must be a valid email address` };
+  }
+  if (field.type === 'phone' && !PHONE_PATTERN.test(value.replace(/[\s()-]/g, ''))) {
+    return { error: `${label} must be a valid phone number with country code` };
+  }
+  if (field.type === 'url') {
+    try {
+      new URL(value);
+    } catch (_) {
+      return { error: `${label} must be a valid URL` };
+    }
+  }
+  if (field.type === 'select' && field.options && field.options.length > 0 && !field.options.includes(value)) {
+    return { error: `${label} must be one of: ${field.options.join(', ')}` };
+  }
+  if (field.pattern) {
+    if (value.length > PATTERN_INPUT_MAX_LENGTH) {
+      return { error: `${label} must be at most ${PATTERN_INPUT_MAX_LENGTH} characters` };
+    }
+    const pattern = compilePattern(field.pattern);
+    if (pattern && !pattern.test(value)) {
+      return { error: `${label} has an invalid format` };
+    }
+  }
+
+  return { value };
+}
+
+// Validate the files uploaded for a file field; returns { files } or { error }
+function validateFiles(field, files) {
+  const label = field.label || field.name;
+  const maxFiles = field.maxFiles || 1;
+
+  if (files.length > maxFiles) {
+    return { error: `${label} accepts at most ${maxFiles} file${maxFiles === 1 ? '' : 's'}` };
+  }
+  for (const file of files) {
+    if (field.accept && field.accept.length > 0 && !mimeMatches(file.mimetype, field.accept)) {
+      return { error: `${label} must be one of: ${field.accept.join(', ')}` };
+    }
+    if (field.maxSizeMb && file.size > field.maxSizeMb * 1024 * 1024) {
+      return { error: `${label} must be at most ${field.maxSizeMb} MB` };
+    }
+  }
+  return { files };
+}
+
+// Validate a submission against a form definition. Unknown fields (and files) are dropped.
+// Returns { values, errors, files } where errors maps field name to message and files are
+// the uploads accepted for file fields.
+function validateSubmission(form, body, uploads = []) {
+  const values = {};
+  const errors = {};
+  const files = [];
+
+  for (const field of form.fields) {
+    if (field.type === 'file') {
+      const fieldFiles = uploads.filter((file) => file.fieldname === field.name);
+      if (fieldFiles.length === 0) {
+        if (field.required) errors[field.name] = `${field.label || field.name} is required`;
+        continue;
+      }
+      const result = validateFiles(field, fieldFiles);
+      if (result.error) {
+        errors[field.name] = result.error;
+      } else {
+        files.push(...result.files);
+        // File names, for the message templates
+        values[field.name] = result.files.map((file) => file.originalname).join(', ');
+      }
+      continue;
+    }
+
+    const raw = body[field.name];
+    if (isEmpty(raw)) {
+      if (field.required && field.type !== 'checkbox') {
+        errors[field.name] = `${field.label || field.name} is required`;
+      } else if (field.type === 'checkbox') {
+        if (field.required) errors[field.name] = `${field.label || field.name} must be checked`;
+        else values[field.name] = false;
+      }
+      continue;
+    }
+
+    const result = validateField(field, raw);
+    if (result.error) {
+      errors[field.name] = result.error;
+    } else if (field.type === 'checkbox' && field.required && !result.value) {
+      errors[field.name] = `${field.label || field.name} must be checked`;
+    } else {
+      values[field.name] = result.value;
+    }
+  }
+
+  return { values, errors, files };
+}
+
+module.exports = { validateField, validateFiles, validateSubmission };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+const IDEMPOTENCY_WAIT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS, 10) || 60 * 1000; // How long a duplicate waits for the first request
+const IDEMPOTENCY_LOCK_TIMEOUT_MS = 5 * 60 * 1000; // A request still "processing" after 5 minutes has crashed
+const IDEMPOTENCY_POLL_MS = 250;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// The API key a record belongs to; keys are only unique per caller
+function ownerOf(req) {
+  return req.apiKey ? String(req.apiKey._id || req.apiKey.id) : 'public';
+}
+
+// Method, path and body (plus uploaded files' names, sizes and contents)
+function hashRequest(req) {
+  const hash = crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n`)
+    .update(JSON.stringify(req.body || {}));
+  for (const file of req.files || []) {
+    hash.update(`\n${file.fieldname}:${file.originalname}:${file.size}:`).update(file.buffer);
+  }
+  return hash.digest('hex');
+}
+
+function replay(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  res.status(record.responseStatus).json(record.responseBody);
+}
+
+// Insert the record for a new key, or take over one whose request crashed. Returns the record
+// when this request should run, or the existing one otherwise.
+async function claim(owner, key, req, requestHash) {
+  try {
+    const record = await IdempotencyRecord.create({
+      owner,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return { record, owned: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const stale = await IdempotencyRecord.findOneAndUpdate(
+    { owner, key, requestHash, status: 'processing', lockedAt: { $lt: new Date(Date.now() - IDEMPOTENCY_LOCK_TIMEOUT_MS) } },
+    { $set: { lockedAt: new Date() } },
+    { new: true }
+  );
+  if (stale) {
+    logger.warn({ event: 'IdempotencyLockTakenOver', owner, key });
+    return { record: stale, owned: true };
+  }
+  return { record: await IdempotencyRecord.findOne({ owner, key }), owned: false };
+}
+
+// Wait for the request holding the key to finish; resolves to its record, or null if it gave the
+// key up (failed) or is still running after IDEMPOTENCY_WAIT_MS
+async function waitForCompletion(recordId) {
+  const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, IDEMPOTENCY_POLL_MS));
+    const record = await IdempotencyRecord.findById(recordId);
+    if (!record || record.status === 'completed') return record;
+  }
+  return undefined;
+}
+
+// Honour an Idempotency-Key header: the first response is stored for IDEMPOTENCY_TTL_HOURS and
+// replayed (with Idempotent-Replayed: true) to any request that repeats the key. A duplicate that
+// arrives while the first is still running waits for it instead of sending again. Server errors
+// (5xx, 429) are not stored, so the request can be retried with the same key.
+// Use after authentication and body parsing.
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key must be 1-255 printable characters' });
+  }
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ success: false, error: 'Idempotency store is unavailable. Please try again later.' });
+  }
+
+  const owner = ownerOf(req);
+  const requestHash = hashRequest(req);
+
+  try {
+    let claimed = await claim(owner, key, req, requestHash);
+    while (!claimed.owned) {
+      const existing = claimed.record;
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing && existing.status === 'completed') {
+        logger.info({ event: 'IdempotentReplay', owner, key, path: existing.path });
+        return replay(res, existing);
+      }
+
+      const finished = existing ? await waitForCompletion(existing._id) : null;
+      if (finished === undefined) {
+        return res.status(409).json({ success: false, error: 'A request with this Idempotency-Key is still being processed' });
+      }
+      if (finished) {
+        logger.info({ event: 'IdempotentReplay', owner, key, path: finished.path, waited: true });
+        return replay(res, finished);
+      }
+      // The first request failed and gave the key up (or it expired): run this one instead
+      claimed = await claim(owner, key, req, requestHash);
+    }
+    const { record } = claimed;
+
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        const keep = res.statusCode < 500 && res.statusCode !== 429;
+        const update = keep
+          ? IdempotencyRecord.updateOne({ _id: record._id }, { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } })
+          : IdempotencyRecord.deleteOne({ _id: record._id });
+        update.catch((error) => logger.error({ event: 'IdempotencyStoreFailed', owner, key, error: error.message }));
+      }
+      return json(body);
+    };
+    // A response that was not JSON (e.g. Express's error page) gives the key up. A client that
+    // disconnects does not: the handler is still running and may yet send.
+    res.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      IdempotencyRecord.deleteOne({ _id: record._id }).catch(() => {});
+    });
+
+    next();
+  } catch (error) {
+    logger.error({ event: 'IdempotencyError', owner, key, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to check Idempotency-Key' });
+  }
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Minimal JSON Web Token support (RFC 7519) for HS256 and RS256, built on node:crypto
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256'];
+const CLOCK_SKEW_SECONDS = 30;
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function createSignature(alg, key, input) {
+  if (alg === 'HS256') {
+    return crypto.createHmac('sha256', key).update(input).digest('base64url');
+  }
+  if (alg === 'RS256') {
+    return crypto.sign('sha256', Buffer.from(input), key).toString('base64url');
+  }
+  throw new Error(`Unsupported JWT algorithm: ${alg}`);
+}
+
+function checkSignature(alg, key, input, signature) {
+  if (alg === 'HS256') {
+    const expected = Buffer.from(createSignature(alg, key, input));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+  if (alg === 'RS256') {
+    return crypto.verify('sha256', Buffer.from(input), key, Buffer.from(signature, 'base64url'));
+  }
+  return false;
+}
+
+// key: { alg, kid, signingKey } where signingKey is the HMAC secret or a private KeyObject
+function signJwt(payload, key) {
+  const header = { alg: key.alg, typ: 'JWT', ...(key.kid ? { kid: key.kid } : {}) };
+  const input = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  return `${input}.${createSignature(key.alg, key.signingKey, input)}`;
+}
+
+// Verify signature, exp/nbf and optional issuer/audience against one of `keys`
+// ({ alg, kid, verificationKey }). Returns the payload or throws "Invalid token: ...".
+function verifyJwt(token, keys, options = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Invalid token: malformed');
+  }
+
+  let header, payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (_) {
+    throw new Error('Invalid token: malformed');
+  }
+
+  // The algorithm comes from our key, never from the token, so "none" or HS256-with-a-public-key cannot slip through
+  const key = keys.find((k) => k.alg === header.alg && (!header.kid || !k.kid || k.kid === header.kid));
+  if (!key) {
+    throw new Error('Invalid token: unknown key or algorithm');
+  }
+  if (!checkSignature(key.alg, key.verificationKey, `${parts[0]}.${parts[1]}`, parts[2])) {
+    throw new Error('Invalid token: bad signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS <= now) {
+    throw new Error('Invalid token: expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new Error('Invalid token: not yet valid');
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    throw new Error('Invalid token: wrong issuer');
+  }
+  if (options.audience && ![].concat(payload.aud).includes(options.audience)) {
+    throw new Error('Invalid token: wrong audience');
+  }
+
+  return payload;
+}
+
+// Public JWK for an RSA key (RFC 7517)
+function publicJwk(publicKey, kid) {
+  const { kty, n, e } = publicKey.export({ format: 'jwk' });
+  return { kty, n, e, alg: 'RS256', use: 'sig', kid };
+}
+
+// RFC 7638 thumbprint, used as the default key id
+function jwkThumbprint(publicKey) {
+  const { e, kty, n } = publicKey.export({ format: 'jwk' });
+  return crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+}
+
+module.exports = { SUPPORTED_ALGORITHMS, signJwt, verifyJwt, publicJwk, jwkThumbprint };
@@ -0,0 +1,40 @@
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// Country calling code -> locale, used when a request does not say which language to use
+const CALLING_CODE_LOCALES = {
+  '91': 'hi',     // India
+  '55': 'pt-BR',  // Brazil
+  '351': 'pt',    // Portugal
+  '34': 'es',     // Spain
+  '52': 'es',     // Mexico
+  '54': 'es',     // Argentina
+  '56': 'es',     // Chile
+  '57': 'es',     // Colombia
+  '51': 'es'      // Peru
+};
+
+// Longest codes first so e.g. "351" is not matched as "35"
+const CALLING_CODES = Object.keys(CALLING_CODE_LOCALES).sort((a, b) => b.length - a.length);
+
+// "pt-br" / "pt_BR" -> "pt-BR"; returns null for anything that is not a language tag
+function normalizeLocale(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^([a-zA-Z]{2,3})(?:[-_]([a-zA-Z0-9]{2,8}))?$/);
+  if (!match) return null;
+  const [, language, region] = match;
+  return region ? `${language.toLowerCase()}-${region.length === 2 ? region.toUpperCase() : region}` : language.toLowerCase();
+}
+
+// Guess a locale from an international phone number (+55..., 5511...)
+function localeForNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  const code = CALLING_CODES.find((prefix) => digits.startsWith(prefix));
+  return code ? CALLING_CODE_LOCALES[code] : null;
+}
+
+// Explicitly requested locale, else one guessed from the number, else the default
+function resolveLocale(requested, number) {
+  return normalizeLocale(requested) || localeForNumber(number) || DEFAULT_LOCALE;
+}
+
+module.exports = { DEFAULT_LOCALE, normalizeLocale, localeForNumber, resolveLocale };
@@ -0,0 +1,173 @@
+const express = require('express');
+const multer = require('multer');
+const winston = require('winston');
+const mediaStore = require('../services/mediaStore');
+const messageQueue = require('../services/messageQueue');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+// Constants
+const MEDIA_MAX_MB = parseInt(process.env.MEDIA_MAX_MB, 10) || 16; // WhatsApp's limit for images and video
+const MEDIA_MAX_BYTES = MEDIA_MAX_MB * 1024 * 1024;
+const MEDIA_MAX_FILES = parseInt(process.env.MEDIA_MAX_FILES, 10) || 5;
+const MEDIA_ALLOWED_TYPES = (process.env.MEDIA_ALLOWED_TYPES || 'image/jpeg,image/png,image/webp,application/pdf,text/plain,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document')
+  .split(',')
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Whether a MIME type matches any of "image/png", "image/*" or "*/*"
+function mimeMatches(mimetype, patterns) {
+  const type = String(mimetype || '').toLowerCase().split(';')[0].trim();
+  return patterns.some((pattern) => {
+    const p = String(pattern).toLowerCase().trim();
+    if (p === '*/*') return true;
+    if (p.endsWith('/*')) return type.startsWith(p.slice(0, -1));
+    return type === p;
+  });
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: { fileSize: MEDIA_MAX_BYTES, files: MEDIA_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (mimeMatches(file.mimetype, MEDIA_ALLOWED_TYPES)) return cb(null, true);
+    const error = new Error(`Unsupported file type: ${file.mimetype}`);
+    error.code = 'UNSUPPORTED_TYPE';
+    cb(error);
+  }
+});
+
+// Parse multipart/form-data bodies: fields into req.body, files into req.files. Other bodies pass through.
+function parseUploads(req, res, next) {
+  upload.any()(req, res, (error) => {
+    if (!error) return next();
+
+    logger.warn({ event: 'UploadRejected', code: error.code, field: error.field, error: error.message });
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `File too large: ${error.field} (max ${MEDIA_MAX_MB} MB)` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(413).json({ success: false, error: `Too many files (max ${MEDIA_MAX_FILES})` });
+    }
+    if (error.code === 'UNSUPPORTED_TYPE') {
+      return res.status(415).json({ success: false, error: error.message });
+    }
+    res.status(400).json({ success: false, error: `Invalid upload: ${error.message}` });
+  });
+}
+
+// JSON bodies big enough for a base64 file, for the routes that accept `media`; everything else keeps
+// the default 100 KB limit
+const mediaJsonParser = express.json({ limit: Math.ceil(MEDIA_MAX_BYTES * 4 / 3) + 64 * 1024 });
+
+// Store uploaded files; resolves to attachment metadata in upload order
+async function storeUploads(files, field) {
+  const stored = [];
+  for (const file of files || []) {
+    const meta = await mediaStore.saveMedia(file.buffer, { filename: file.originalname, mimetype: file.mimetype });
+    stored.push({ ...meta, field: field || file.fieldname });
+  }
+  return stored;
+}
+
+// The send APIs' `media` value -> stored media metadata. Accepts { mediaId }, { url } pointing at
+// /api/media/<id>, or { data (base64), mimetype, filename }. Throws "Invalid media: ...".
+async function resolveMediaInput(media) {
+  if (!media || typeof media !== 'object') {
+    throw new Error('Invalid media: expected an object with mediaId, url or data');
+  }
+
+  if (media.mediaId || media.url) {
+    const mediaId = media.mediaId || mediaStore.mediaIdFromUrl(media.url);
+    const meta = mediaId ? await mediaStore.getMediaInfo(mediaId) : null;
+    if (!meta) {
+      throw new Error('Invalid media: not found in the media store (only /api/media URLs are accepted)');
+    }
+    return meta;
+  }
+
+  if (typeof media.data !== 'string' || !media.mimetype) {
+    throw new Error('Invalid media: data (base64) and mimetype are required');
+  }
+  if (!mimeMatches(media.mimetype, MEDIA_ALLOWED_TYPES)) {
+    throw new Error(`Invalid media: unsupported file type ${media.mimetype}`);
+  }
+  const data = media.data.replace(/^data:[^;]+;base64,/, '').replace(/\s/g, '');
+  if (!BASE64_PATTERN.test(data)) {
+    throw new Error('Invalid media: data is not valid base64');
+  }
+  const buffer = Buffer.from(data, 'base64');
+  if (buffer.length === 0 || buffer.length > MEDIA_MAX_BYTES) {
+    throw new Error(`Invalid media: file must be between 1 byte and ${MEDIA_MAX_MB} MB`);
+  }
+
+  return mediaStore.saveMedia(buffer, { filename: media.filename, mimetype: media.mimetype });
+}
+
+// Send each stored attachment to each recipient, captioned with its file name. Fills in
+// attachment.deliveries; a failed delivery is recorded, never thrown.
+async function forwardAttachments(attachments, recipients, { sessionId, submissionId, labels = {} }) {
+  for (const attachment of attachments) {
+    attachment.deliveries = [];
+    const label = labels[attachment.field] || attachment.field;
+    const caption = `📎 ${label}: ${attachment.filename}`;
+
+    for (const to of recipients) {
+      try {
+        const result = await messageQueue.sendOrEnqueue(to, caption, {
+          sessionId,
+          mediaId: attachment.mediaId,
+          transactional: true,
+          context: { kind: 'submission', refId: submissionId.toString(), role: 'attachment' }
+        });
+        attachment.deliveries.push({ to, messageId: result.messageId, queued: !!result.queued });
+      } catch (error) {
+        logger.error({ event: 'AttachmentForwardFailed', to, mediaId: attachment.mediaId, error: error.message });
+        attachment.deliveries.push({ to, queued: false, error: error.message });
+      }
+    }
+  }
+  return attachments;
+}
+
+// GET handler for /:mediaId that downloads a stored file. Always served as an attachment with
+// nosniff, so an uploaded HTML or SVG file cannot run in the browser.
+async function sendStoredMedia(req, res) {
+  try {
+    const media = await mediaStore.loadMedia(req.params.mediaId);
+    if (!media) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.attachment(media.filename);
+    res.type(media.mimetype);
+    res.send(media.buffer);
+  } catch (error) {
+    logger.error({ event: 'MediaDownloadError', mediaId: req.params.mediaId, error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load media' });
+  }
+}
+
+module.exports = {
+  MEDIA_MAX_BYTES,
+  MEDIA_MAX_FILES,
+  MEDIA_ALLOWED_TYPES,
+  mimeMatches,
+  parseUploads,
+  mediaJsonParser,
+  storeUploads,
+  forwardAttachments,
+  resolveMediaInput,
+  sendStoredMedia
+};
@@ -1,9 +1,175 @@
-function customerTemplate(formData) {
-  return `Hi ${formData.name || 'there'}, thank you for contacting us! We have received your submission and will get back to you soon.`;
+// Built-in message templates per locale (template engine syntax, see utils/templateEngine.js).
+// A stored template with the same name and locale replaces the built-in one. Messages to the
+// admin (contact.admin, form.admin) are only provided in English.
+const BUILT_IN_TEMPLATES = {
+  en: {
+    'contact.customer': 'Hi {{default name "there"}}, thank you for contacting us! We have received your submission and will get back to you soon.',
+
+    'contact.admin': '{{#if unverifiedPhone}}⚠️ *Unverified phone number*\n{{/if}}New contact form submission:\nName: {{name}}\nEmail: {{email}}\nPhone: {{phone}}\nMessage: {{message}}',
+
+    'form.customer': 'Hi {{default name "there"}}, thank you for your {{formName}} submission! We have received it and will get back to you soon.',
+
+    'form.admin': '{{#if unverifiedPhone}}⚠️ *Unverified phone number*\n{{/if}}New {{formName}} submission:\n{{#each fields}}{{label}}: {{value}}{{#unless @last}}\n{{/unless}}{{/each}}',
+
+    'contact.follow_up': 'Hi {{default name "there"}}, just checking in on the message you sent us. Is there anything else we can help with? Reply here and we will get back to you.',
+
+    'form.follow_up': 'Hi {{default name "there"}}, just checking in on your {{formName}} submission. Is there anything else we can help with? Reply here and we will get back to you.',
+
+    'otp.code': `🔐 *{{appName}} Verification Code* 🔐
+
+Your one-time verification code is:
+
+📱 *{{otp}}*
+
+_Valid for {{ttlMinutes}} minutes_
+
+💡 Tap and hold to copy the code
+
+For security reasons, please do not share this code with anyone, including {{companyName}} representatives.
+
+Thank you for choosing {{companyName}}!`,
+
+    'otp.confirmation': '✅ *Verification Successful* ✅\n\nYour {{reason}} has been successfully verified.\n\nThank you for using {{appName}}!',
+
+    'consent.opted_out': 'You have been unsubscribed and will no longer receive marketing messages from us. Reply START to subscribe again.',
+
+    'consent.opted_in': 'You are subscribed again and will receive our messages. Reply STOP at any time to unsubscribe.'
+  },
+
+  es: {
+    'contact.customer': 'Hola{{#if name}} {{name}}{{/if}}, ¡gracias por contactarnos! Hemos recibido tu mensaje y te responderemos pronto.',
+
+    'form.customer': 'Hola{{#if name}} {{name}}{{/if}}, ¡gracias por tu solicitud de {{formName}}! La hemos recibido y te responderemos pronto.',
+
+    'contact.follow_up': 'Hola{{#if name}} {{name}}{{/if}}, queríamos saber cómo va tu consulta. ¿Podemos ayudarte en algo más? Responde aquí y te contestaremos.',
+
+    'form.follow_up': 'Hola{{#if name}} {{name}}{{/if}}, queríamos saber cómo va tu solicitud de {{formName}}. ¿Podemos ayudarte en algo más? Responde aquí y te contestaremos.',
+
+    'otp.code': `🔐 *Código de verificación de {{appName}}* 🔐
+
+Tu código de verificación de un solo uso es:
+
+📱 *{{otp}}*
+
+_Válido durante {{ttlMinutes}} minutos_
+
+💡 Mantén pulsado para copiar el código
+
+Por seguridad, no compartas este código con nadie, ni siquiera con representantes de {{companyName}}.
+
+¡Gracias por elegir {{companyName}}!`,
+
+    'otp.confirmation': '✅ *Verificación completada* ✅\n\nTu verificación se ha completado correctamente.\n\n¡Gracias por usar {{appName}}!',
+
+    'consent.opted_out': 'Te has dado de baja y ya no recibirás mensajes promocionales. Responde ALTA para volver a suscribirte.',
+
+    'consent.opted_in': 'Te has vuelto a suscribir y recibirás nuestros mensajes. Responde BAJA en cualquier momento para darte de baja.'
+  },
+
+  // Brazilian Portuguese
+  pt: {
+    'contact.customer': 'Olá{{#if name}} {{name}}{{/if}}, obrigado por entrar em contato! Recebemos sua mensagem e retornaremos em breve.',
+
+    'form.customer': 'Olá{{#if name}} {{name}}{{/if}}, obrigado pelo envio de {{formName}}! Recebemos suas informações e retornaremos em breve.',
+
+    'contact.follow_up': 'Olá{{#if name}} {{name}}{{/if}}, passando para saber sobre a sua mensagem. Podemos ajudar em algo mais? Responda aqui e retornaremos.',
+
+    'form.follow_up': 'Olá{{#if name}} {{name}}{{/if}}, passando para saber sobre o seu envio de {{formName}}. Podemos ajudar em algo mais? Responda aqui e retornaremos.',
+
+    'otp.code': `🔐 *Código de verificação do {{appName}}* 🔐
+
+Seu código de verificação de uso único é:
+
+📱 *{{otp}}*
+
+_Válido por {{ttlMinutes}} minutos_
+
+💡 Toque e segure para copiar o código
+
+Por segurança, não compartilhe este código com ninguém, nem mesmo com representantes da {{companyName}}.
+
+Obrigado por escolher a {{companyName}}!`,
+
+    'otp.confirmation': '✅ *Verificação concluída* ✅\n\nSua verificação foi concluída com sucesso.\n\nObrigado por usar o {{appName}}!',
+
+    'consent.opted_out': 'Sua inscrição foi cancelada e você não receberá mais mensagens promocionais. Responda VOLTAR para se inscrever novamente.',
+
+    'consent.opted_in': 'Sua inscrição foi reativada e você voltará a receber nossas mensagens. Responda SAIR a qualquer momento para cancelar.'
+  },
+
+  hi: {
+    'contact.customer': 'नमस्ते{{#if name}} {{name}}{{/if}}, हमसे संपर्क करने के लिए धन्यवाद! हमें आपका संदेश मिल गया है और हम जल्द ही आपसे संपर्क करेंगे।',
+
+    'form.customer': 'नमस्ते{{#if name}} {{name}}{{/if}}, आपके {{formName}} के लिए धन्यवाद! हमें यह मिल गया है और हम जल्द ही आपसे संपर्क करेंगे।',
+
+    'contact.follow_up': 'नमस्ते{{#if name}} {{name}}{{/if}}, हम आपके संदेश के बारे में जानना चाहते थे। क्या हम और किसी चीज़ में मदद कर सकते हैं? यहाँ जवाब दें, हम आपसे संपर्क करेंगे।',
+
+    'form.follow_up': 'नमस्ते{{#if name}} {{name}}{{/if}}, हम आपके {{formName}} के बारे में जानना चाहते थे। क्या हम और किसी चीज़ में मदद कर सकते हैं? यहाँ जवाब दें, हम आपसे संपर्क करेंगे।',
+
+    'otp.code': `🔐 *{{appName}} सत्यापन कोड* 🔐
+
+आपका वन-टाइम सत्यापन कोड है:
+
+📱 *{{otp}}*
+
+_{{ttlMinutes}} मिनट के लिए मान्य_
+
+💡 कोड कॉपी करने के लिए दबाकर रखें
+
+सुरक्षा कारणों से यह कोड किसी के साथ साझा न करें, {{companyName}} के प्रतिनिधियों के साथ भी नहीं।
+
+{{companyName}} चुनने के लिए धन्यवाद!`,
+
+    'otp.confirmation': '✅ *सत्यापन सफल* ✅\n\nआपका सत्यापन सफलतापूर्वक पूरा हो गया है।\n\n{{appName}} का उपयोग करने के लिए धन्यवाद!',
+
+    'consent.opted_out': 'आपकी सदस्यता रद्द कर दी गई है और अब आपको हमारे प्रचार संदेश नहीं मिलेंगे। फिर से सदस्यता लेने के लिए शुरू लिखकर जवाब दें।',
+
+    'consent.opted_in': 'आपकी सदस्यता फिर से शुरू हो गई है और आपको हमारे संदेश मिलेंगे। सदस्यता रद्द करने के लिए कभी भी रोकें लिखकर जवाब दें।'
+  }
+};
+
+// Sample data for previewing the built-in templates
+const SAMPLE_DATA = {
+  contact: { name: 'Jane Doe', email: 'jane@example.com', phone: '+447700900123', message: 'I would like a quote.' },
+  form: {
+    formName: 'Quote Request',
+    name: 'Jane Doe',
+    service: 'design',
+    fields: [
+      { name: 'name', label: 'Name', value: 'Jane Doe' },
+      { name: 'service', label: 'Service', value: 'design' }
+    ],
+    fieldList: 'Name: Jane Doe\nService: design'
+  },
+  otp: { appName: 'Our Service', companyName: 'Our Company', otp: '123 456', code: '123456', ttlMinutes: 5, reason: 'verification' },
+  consent: {}
+};
+
+function sampleDataFor(name) {
+  return SAMPLE_DATA[name.split('.')[0]] || {};
+}
+
+// Template data for a custom form submission: every field value by name, plus
+// `formName`, `fields` (list of { name, label, value }) and `fieldList` ("Label: value" lines)
+function formTemplateData(form, values) {
+  const fields = form.fields
+    .filter((field) => values[field.name] !== undefined)
+    .map((field) => ({ name: field.name, label: field.label || field.name, value: values[field.name] }));
+
+  return {
+    ...values,
+    formName: form.name,
+    fields,
+    fieldList: fields
+      .map(({ label, value }) => `${label}: ${typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value}`)
+      .join('\n')
+  };
 }
 
-function adminTemplate(formData) {
-  return `New contact form submission:\nName: ${formData.name}\nEmail: ${formData.email}\nPhone: ${formData.phone}\nMessage: ${formData.message}`;
+// Form templates written before the template engine used {field} placeholders and {fields} for the field list
+function upgradeLegacyPlaceholders(source) {
+  if (!source || source.includes('{{')) return source;
+  return source.replace(/\{(\w+)\}/g, (match, key) => (key === 'fields' ? '{{fieldList}}' : `{{${key}}}`));
 }
 
-module.exports = { customerTemplate, adminTemplate };
+module.exports = { BUILT_IN_TEMPLATES, sampleDataFor, formTemplateData, upgradeLegacyPlaceholders };
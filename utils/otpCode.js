@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+const DEFAULT_ALPHABET = '0123456789';
+
+// Code shape, e.g. OTP_LENGTH=8 OTP_ALPHABET=ABCDEFGHJKLMNPQRSTUVWXYZ23456789
+const OTP_LENGTH = Math.min(Math.max(parseInt(process.env.OTP_LENGTH, 10) || 6, 4), 12);
+const CONFIGURED_ALPHABET = Array.from(new Set((process.env.OTP_ALPHABET || '').replace(/\s/g, ''))).join('');
+const OTP_ALPHABET = CONFIGURED_ALPHABET.length >= 2 ? CONFIGURED_ALPHABET : DEFAULT_ALPHABET;
+
+// Server-side secret mixed into every hash, so a leaked database alone cannot brute-force codes
+const OTP_PEPPER = process.env.OTP_PEPPER || '';
+
+// Case-insensitive entry when the alphabet has no lowercase letters
+const CASE_INSENSITIVE = OTP_ALPHABET === OTP_ALPHABET.toUpperCase();
+
+// Uniformly random code from a CSPRNG
+function generateOtp(length = OTP_LENGTH, alphabet = OTP_ALPHABET) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+}
+
+function hashOtp(code, salt) {
+  return crypto.createHmac('sha256', OTP_PEPPER).update(`${salt}:${code}`).digest('hex');
+}
+
+// Returns the salt and hash to store instead of the code
+function createOtpHash(code) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { otpSalt: salt, otpHash: hashOtp(code, salt) };
+}
+
+// What the user typed -> the form the code was generated in ("123 456" -> "123456")
+function normalizeOtpInput(input) {
+  const code = String(input || '').replace(/\s/g, '');
+  return CASE_INSENSITIVE ? code.toUpperCase() : code;
+}
+
+// Constant-time comparison against a stored { otpSalt, otpHash }
+function verifyOtp(input, record) {
+  if (!record || !record.otpSalt || !record.otpHash) return false;
+  const expected = Buffer.from(record.otpHash, 'hex');
+  const actual = Buffer.from(hashOtp(normalizeOtpInput(input), record.otpSalt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Groups of three for readability in the message ("123456" -> "123 456")
+function formatOtp(code) {
+  return code.match(/.{1,3}/g).join(' ');
+}
+
+module.exports = {
+  OTP_LENGTH,
+  OTP_ALPHABET,
+  generateOtp,
+  createOtpHash,
+  verifyOtp,
+  formatOtp
+};
@@ -0,0 +1,82 @@
+const winston = require('winston');
+const { OTP_LENGTH } = require('./otpCode');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Bounds every policy value is clamped to
+const LIMITS = {
+  ttlSeconds: [30, 24 * 60 * 60],
+  maxAttempts: [1, 20],
+  cooldownSeconds: [0, 24 * 60 * 60],
+  maxResends: [0, 10],
+  length: [4, 12]
+};
+
+function clamp(key, value) {
+  const [min, max] = LIMITS[key];
+  return Math.min(Math.max(value, min), max);
+}
+
+// Global policy: how long a code lives, how many wrong guesses it allows, how long to wait
+// before another code for the same number (doubling with each resend), how many resends
+// one session allows, and how long the code is
+const DEFAULT_POLICY = Object.freeze({
+  ttlSeconds: clamp('ttlSeconds', intFromEnv('OTP_TTL_SECONDS', 5 * 60)),
+  maxAttempts: clamp('maxAttempts', intFromEnv('OTP_MAX_ATTEMPTS', 5)),
+  cooldownSeconds: clamp('cooldownSeconds', intFromEnv('OTP_COOLDOWN_SECONDS', 2 * 60)),
+  maxResends: clamp('maxResends', intFromEnv('OTP_MAX_RESENDS', 3)),
+  length: OTP_LENGTH
+});
+
+// Per-reason overrides, e.g. OTP_POLICIES={"login":{"ttlSeconds":120,"maxAttempts":3}}
+function parseReasonPolicies(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const policies = {};
+    for (const [reason, overrides] of Object.entries(parsed)) {
+      policies[reason] = {};
+      for (const key of Object.keys(LIMITS)) {
+        const value = parseInt(overrides[key], 10);
+        if (!Number.isNaN(value)) policies[reason][key] = clamp(key, value);
+      }
+    }
+    return policies;
+  } catch (error) {
+    logger.error({ event: 'OTPPolicyConfigInvalid', error: error.message, message: 'OTP_POLICIES is not valid JSON; using the global OTP policy for every reason.' });
+    return {};
+  }
+}
+
+const REASON_POLICIES = parseReasonPolicies(process.env.OTP_POLICIES);
+
+// Effective policy for an OTP reason
+function getOtpPolicy(reason) {
+  return { ...DEFAULT_POLICY, ...(REASON_POLICIES[reason] || {}) };
+}
+
+// Wait before resend number `resendCount + 1`: the cooldown, doubled for each earlier resend
+function resendCooldownSeconds(policy, resendCount) {
+  return policy.cooldownSeconds * Math.pow(2, resendCount);
+}
+
+// Everything configured, for documentation and diagnostics
+function describeOtpPolicies() {
+  return { default: DEFAULT_POLICY, reasons: REASON_POLICIES };
+}
+
+module.exports = { DEFAULT_POLICY, getOtpPolicy, resendCooldownSeconds, describeOtpPolicies };
@@ -0,0 +1,93 @@
+// Constants
+// Local time window in which scheduled messages are held back, "HH:MM-HH:MM" (may wrap midnight); "off" disables it
+const QUIET_HOURS = process.env.QUIET_HOURS || '21:00-08:00';
+// Timezone for recipients whose number does not suggest one (and for group chats)
+const DEFAULT_TIMEZONE = process.env.QUIET_HOURS_TIMEZONE || 'UTC';
+
+// Country calling code -> the timezone most of its numbers are in
+const CALLING_CODE_TIMEZONES = {
+  '1': 'America/New_York',
+  '7': 'Europe/Moscow',
+  '27': 'Africa/Johannesburg',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '44': 'Europe/London',
+  '49': 'Europe/Berlin',
+  '51': 'America/Lima',
+  '52': 'America/Mexico_City',
+  '54': 'America/Argentina/Buenos_Aires',
+  '55': 'America/Sao_Paulo',
+  '56': 'America/Santiago',
+  '57': 'America/Bogota',
+  '61': 'Australia/Sydney',
+  '62': 'Asia/Jakarta',
+  '65': 'Asia/Singapore',
+  '81': 'Asia/Tokyo',
+  '86': 'Asia/Shanghai',
+  '91': 'Asia/Kolkata',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '351': 'Europe/Lisbon',
+  '971': 'Asia/Dubai'
+};
+
+// Longest codes first so e.g. "351" is not matched as "35"
+const CALLING_CODES = Object.keys(CALLING_CODE_TIMEZONES).sort((a, b) => b.length - a.length);
+
+// "21:00-08:00" -> { start, end } in minutes after midnight; null when off or malformed
+function parseWindow(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m));
+  if (start === end || start >= 1440 || end >= 1440) return null;
+  return { start, end };
+}
+
+const QUIET_WINDOW = parseWindow(QUIET_HOURS);
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Guess a timezone from an international phone number; group chats and unknown codes get the default
+function timezoneForNumber(number) {
+  if (String(number || '').endsWith('@g.us')) return DEFAULT_TIMEZONE;
+  const digits = String(number || '').replace(/\D/g, '');
+  const code = CALLING_CODES.find((prefix) => digits.startsWith(prefix));
+  return code ? CALLING_CODE_TIMEZONES[code] : DEFAULT_TIMEZONE;
+}
+
+// Minutes after local midnight in a timezone
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const value = (type) => Number(parts.find((p) => p.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+function isQuietTime(date, timezone) {
+  if (!QUIET_WINDOW) return false;
+  const minutes = localMinutes(date, timezone);
+  const { start, end } = QUIET_WINDOW;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// The first moment at or after `date` outside the recipient's quiet hours
+function nextSendTime(date, timezone) {
+  let next = new Date(date);
+  // A second pass covers a DST change inside the window
+  for (let i = 0; i < 3 && isQuietTime(next, timezone); i++) {
+    const wait = (QUIET_WINDOW.end - localMinutes(next, timezone) + 1440) % 1440;
+    next = new Date(next.getTime() + wait * 60 * 1000 - (next.getTime() % (60 * 1000)));
+  }
+  return next;
+}
+
+module.exports = { DEFAULT_TIMEZONE, QUIET_WINDOW, isValidTimezone, timezoneForNumber, isQuietTime, nextSendTime };
@@ -0,0 +1,14 @@
+// Constants
+const PHONE_PATTERN = /^\+?[1-9]\d{6,14}$/;
+const CHAT_ID_PATTERN = /^(\d{7,15}@c\.us|[\d-]{10,40}@g\.us)$/;
+
+// Recipient as given -> the form sendMessage takes (digits, or a full chat/group id); null if invalid
+function normalizeRecipient(to) {
+  if (typeof to !== 'string') return null;
+  const value = to.trim();
+  if (CHAT_ID_PATTERN.test(value)) return value;
+  const digits = value.replace(/[\s()-]/g, '');
+  return PHONE_PATTERN.test(digits) ? digits.replace(/^\+/, '') : null;
+}
+
+module.exports = { normalizeRecipient };
@@ -0,0 +1,74 @@
+// Constants
+const PATTERN_MAX_LENGTH = 200;
+const CACHE_MAX_ENTRIES = 500;
+
+// Compiled patterns by flags and source, so stored rules are not recompiled on every submission
+const compiled = new Map();
+
+// Whether a variable-length quantifier (*, +, ?, {n,} or {n,m}) starts at source[i];
+// `repeating` leaves out ?, which matches at most once
+function quantifierAt(source, i, repeating = false) {
+  const c = source[i];
+  if (c === '*' || c === '+') return true;
+  if (c === '?') return !repeating;
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i, i + 20));
+  return !!braces && braces[2] !== undefined && braces[3] !== braces[1];
+}
+
+// Whether a repeated group contains a quantifier, as in (a+)+ or (\w*\s?)*. Such patterns can
+// backtrack exponentially on input that almost matches, blocking the event loop.
+function hasNestedQuantifier(source) {
+  const groups = [{ quantified: false }];
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      // Skip the character class; a ] right after [ or [^ is a literal
+      i += source[i + 1] === '^' ? 2 : 1;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+    } else if (c === '(') {
+      groups.push({ quantified: false });
+      // The ? of (?:, (?=, (?<name> and the like is not a quantifier
+      const prefix = /^\?(:|=|!|<=|<!|<[^>]*>)/.exec(source.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+    } else if (c === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.quantified && quantifierAt(source, i + 1, true)) return true;
+      if (group.quantified || quantifierAt(source, i + 1)) groups[groups.length - 1].quantified = true;
+    } else if (quantifierAt(source, i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+}
+
+// Returns why an admin-supplied pattern cannot be used, or null
+function patternError(source) {
+  if (typeof source !== 'string' || source.length > PATTERN_MAX_LENGTH) {
+    return `must be a regular expression of at most ${PATTERN_MAX_LENGTH} characters`;
+  }
+  try {
+    new RegExp(source);
+  } catch (_) {
+    return 'is not a valid regular expression';
+  }
+  if (hasNestedQuantifier(source)) {
+    return 'must not repeat a group that contains a quantifier, such as (a+)+';
+  }
+  return null;
+}
+
+// RegExp for a pattern, or null when patternError rejects it (patterns saved before the check)
+function compilePattern(source, flags = '') {
+  const key = `${flags}/${source}`;
+  if (compiled.has(key)) return compiled.get(key);
+
+  const pattern = patternError(source) ? null : new RegExp(source, flags);
+  if (compiled.size >= CACHE_MAX_ENTRIES) compiled.clear();
+  compiled.set(key, pattern);
+  return pattern;
+}
+
+module.exports = { compilePattern, patternError };
@@ -0,0 +1,39 @@
+const { DEFAULT_SESSION_ID, getSession } = require('../services/whatsappClient');
+
+// Keys are tied to their default session (or the default one); admin keys and an open API use any
+function canUseSession(apiKey, sessionId) {
+  if (!apiKey || apiKey.scopes.includes('admin')) return true;
+  return sessionId === (apiKey.defaultSessionId || DEFAULT_SESSION_ID);
+}
+
+// Pick the WhatsApp session for a request from the `sessionId` body field,
+// the `?sessionId=` query parameter or the X-Session-Id header (in that order),
+// falling back to the API key's default session.
+function selectSession(req, res, next) {
+  const requested = (req.body && req.body.sessionId) ||
+    req.query.sessionId ||
+    req.headers['x-session-id'];
+  const sessionId = requested || (req.apiKey && req.apiKey.defaultSessionId) || DEFAULT_SESSION_ID;
+
+  if (!canUseSession(req.apiKey, sessionId)) {
+    return res.status(403).json({
+      success: false,
+      error: `Forbidden: API key may not use WhatsApp session "${sessionId}"`
+    });
+  }
+
+  // The default session may legitimately be missing (no MongoDB); let status checks report it
+  if (sessionId !== DEFAULT_SESSION_ID && !getSession(sessionId)) {
+    return res.status(404).json({
+      success: false,
+      error: `WhatsApp session "${sessionId}" not found`
+    });
+  }
+
+  req.sessionId = sessionId;
+  // Lets handlers fall back to their own default (e.g. a form's session) when none was requested
+  req.sessionRequested = !!requested;
+  next();
+}
+
+module.exports = { canUseSession, selectSession };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { rateLimit } = require('express-rate-limit');
+const Submission = require('../models/Submission');
+const captchaService = require('../services/captchaService');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+  ],
+});
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Constants
+const CONTACT_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const CONTACT_RATE_LIMIT_IP_MAX = intFromEnv('CONTACT_RATE_LIMIT_IP_MAX', 10);
+const CONTACT_RATE_LIMIT_PHONE_MAX = intFromEnv('CONTACT_RATE_LIMIT_PHONE_MAX', 3);
+const HONEYPOT_FIELD = process.env.SPAM_HONEYPOT_FIELD || '_honeypot';
+const DUPLICATE_WINDOW_MS = intFromEnv('SPAM_DUPLICATE_WINDOW_MINUTES', 10) * 60 * 1000;
+const MAX_LINKS = intFromEnv('SPAM_MAX_LINKS', 2);
+const BLOCKLIST = (process.env.SPAM_BLOCKLIST || '').split(',').map((w) => w.trim().toLowerCase()).filter(Boolean);
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+// The submitted phone: `phone` on the contact form, the form's customerPhoneField on a custom form (req.form)
+function submittedPhone(req) {
+  const body = req.body || {};
+  return req.form ? body[req.form.customerPhoneField] : body.phone;
+}
+
+// Per client IP; set TRUST_PROXY when running behind a reverse proxy
+const ipRateLimiter = rateLimit({
+  windowMs: CONTACT_RATE_LIMIT_WINDOW_MS,
+  limit: CONTACT_RATE_LIMIT_IP_MAX,
+  skip: () => CONTACT_RATE_LIMIT_IP_MAX <= 0,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many submissions. Please try again later.' }
+});
+
+// Per submitted phone number, whichever IPs the requests come from
+const phoneRateLimiter = rateLimit({
+  windowMs: CONTACT_RATE_LIMIT_WINDOW_MS,
+  limit: CONTACT_RATE_LIMIT_PHONE_MAX,
+  keyGenerator: (req) => `phone:${digitsOnly(submittedPhone(req))}`,
+  skip: (req) => CONTACT_RATE_LIMIT_PHONE_MAX <= 0 || !digitsOnly(submittedPhone(req)),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many submissions for this phone number. Please try again later.' }
+});
+
+// Same phone, email and message -> same fingerprint
+function submissionFingerprint(data) {
+  const parts = [digitsOnly(data.phone), String(data.email || '').trim().toLowerCase(), String(data.message || '').trim().replace(/\s+/g, ' ').toLowerCase()];
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex');
+}
+
+function normalizeText(value) {
+  return String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Same form and same values in every field -> same fingerprint
+function formSubmissionFingerprint(form, data) {
+  const parts = [form.formId, ...form.fields.filter((field) => field.type !== 'file').map((field) => normalizeText(data[field.name]))];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Text fields whose content is checked: name, email and message, or every text field of a custom form
+function screenedText(req) {
+  const body = req.body || {};
+  const names = req.form ? req.form.fields.filter((field) => field.type !== 'file').map((field) => field.name) : ['name', 'email', 'message'];
+  return names.map((name) => body[name]).filter((v) => typeof v === 'string').join('\n');
+}
+
+// Reasons the text looks like spam (too many links, blocklisted words)
+function contentReasons(text) {
+  const reasons = [];
+  const links = text.match(LINK_PATTERN) || [];
+  if (MAX_LINKS >= 0 && links.length > MAX_LINKS) {
+    reasons.push('too_many_links');
+  }
+  const lower = text.toLowerCase();
+  if (BLOCKLIST.some((word) => new RegExp(`(^|\\W)${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|\\W)`).test(lower))) {
+    reasons.push('blocklisted_word');
+  }
+  return reasons;
+}
+
+// Honeypot, captcha, content and duplicate checks. Rejects failed captchas; everything else is
+// recorded on req.spamCheck ({ spam, reasons, fingerprint, duplicateOf }) for the controller.
+async function screenSubmission(req, res, next) {
+  const body = req.body || {};
+  const reasons = [];
+
+  try {
+    // Bots fill every input, including the hidden one
+    if (body[HONEYPOT_FIELD]) reasons.push('honeypot');
+    delete body[HONEYPOT_FIELD];
+
+    if (captchaService.isCaptchaEnabled() && reasons.length === 0) {
+      const result = await captchaService.verifyCaptcha(captchaService.readCaptchaToken(body), req.ip);
+      if (!result.success) {
+        logger.warn({ event: 'CaptchaRejected', provider: result.provider, errors: result.errors, ip: req.ip });
+        return res.status(400).json({ success: false, error: 'Captcha verification failed' });
+      }
+    }
+    captchaService.TOKEN_FIELDS.forEach((field) => delete body[field]);
+
+    reasons.push(...contentReasons(screenedText(req)));
+
+    const fingerprint = req.form ? formSubmissionFingerprint(req.form, body) : submissionFingerprint(body);
+    let duplicateOf = null;
+    if (DUPLICATE_WINDOW_MS > 0 && mongoose.connection.readyState === 1) {
+      const existing = await Submission.findOne({
+        fingerprint,
+        createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) }
+      }).select('_id');
+      duplicateOf = existing ? existing._id : null;
+    }
+
+    req.spamCheck = { spam: reasons.length > 0, reasons, fingerprint, duplicateOf };
+    next();
+  } catch (error) {
+    logger.error({ event: 'SpamScreeningError', error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to process submission' });
+  }
+}
+
+const spamGuard = [ipRateLimiter, phoneRateLimiter, screenSubmission];
+
+module.exports = {
+  HONEYPOT_FIELD,
+  submissionFingerprint,
+  formSubmissionFingerprint,
+  contentReasons,
+  contactSpamGuard: spamGuard,
+  // Needs req.form, the definition being submitted to
+  formSpamGuard: spamGuard
+};
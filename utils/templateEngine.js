@@ -0,0 +1,228 @@
+// Minimal Handlebars-style template engine for WhatsApp messages.
+//
+//   {{name}} / {{customer.name}}        variables (dotted paths, looked up through enclosing scopes)
+//   {{bold name}} {{default name "there"}} inline helpers with variable or "string" arguments
+//   {{#if x}}..{{else}}..{{/if}}        conditionals (also {{#unless}})
+//   {{#each list}}{{@index}} {{this}}{{/each}}  loops over arrays ({{@key}} for objects)
+//   {{#bold}}..{{/bold}}                 wrap a section in WhatsApp formatting
+//
+// Output is plain text; nothing is escaped.
+
+const TOKEN_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+const ARG_PATTERN = /"[^"]*"|'[^']*'|\S+/g;
+const MAX_CACHE_SIZE = 500;
+
+// WhatsApp formatting markers
+const FORMATS = {
+  bold: ['*', '*'],
+  italic: ['_', '_'],
+  strike: ['~', '~'],
+  mono: ['```', '```'],
+  code: ['`', '`']
+};
+
+const HELPERS = {
+  bold: (value) => wrap('bold', stringify(value)),
+  italic: (value) => wrap('italic', stringify(value)),
+  strike: (value) => wrap('strike', stringify(value)),
+  mono: (value) => wrap('mono', stringify(value)),
+  code: (value) => wrap('code', stringify(value)),
+  upper: (value) => stringify(value).toUpperCase(),
+  lower: (value) => stringify(value).toLowerCase(),
+  default: (value, fallback) => (isTruthy(value) ? stringify(value) : stringify(fallback)),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(stringify).join(separator) : stringify(value))
+};
+
+const BLOCKS = ['if', 'unless', 'each', ...Object.keys(FORMATS)];
+
+const cache = new Map();
+
+// WhatsApp only applies formatting when markers hug the text, so keep surrounding whitespace outside
+function wrap(format, text) {
+  const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return text;
+  const [open, close] = FORMATS[format];
+  return `${leading}${open}${core}${close}${trailing}`;
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+function syntaxError(message) {
+  return new Error(`Template syntax error: ${message}`);
+}
+
+function splitArgs(expression) {
+  return expression.match(ARG_PATTERN) || [];
+}
+
+function parse(source) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  // Where new nodes go: a block's children, or its else-branch once {{else}} is seen
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.inverse || node.children;
+  };
+
+  let last = 0;
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while ((match = TOKEN_PATTERN.exec(source))) {
+    if (match.index > last) {
+      target().push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = TOKEN_PATTERN.lastIndex;
+
+    const [, sigil, expression] = match;
+    const [name, ...args] = splitArgs(expression);
+
+    if (!name) {
+      throw syntaxError('empty tag');
+    }
+
+    if (sigil === '#') {
+      if (!BLOCKS.includes(name)) throw syntaxError(`unknown block "${name}"`);
+      if (['if', 'unless', 'each'].includes(name) && args.length !== 1) {
+        throw syntaxError(`{{#${name}}} takes exactly one argument`);
+      }
+      const node = { type: 'block', name, args, children: [], inverse: null };
+      target().push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      const node = stack.pop();
+      if (node.type !== 'block' || node.name !== name) {
+        throw syntaxError(`unexpected {{/${name}}}`);
+      }
+    } else if (name === 'else' && args.length === 0) {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'block' || node.inverse || !['if', 'unless', 'each'].includes(node.name)) {
+        throw syntaxError('unexpected {{else}}');
+      }
+      node.inverse = [];
+    } else if (args.length > 0) {
+      if (!HELPERS[name]) throw syntaxError(`unknown helper "${name}"`);
+      target().push({ type: 'helper', name, args });
+    } else {
+      target().push({ type: 'var', path: name });
+    }
+  }
+
+  if (last < source.length) {
+    target().push({ type: 'text', value: source.slice(last) });
+  }
+  if (stack.length > 1) {
+    throw syntaxError(`unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+
+  return root;
+}
+
+function compile(source) {
+  if (cache.has(source)) return cache.get(source);
+
+  const ast = parse(source);
+  if (cache.size >= MAX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(source, ast);
+  return ast;
+}
+
+// scopes: innermost last; each is { value, meta } where meta holds @index/@key/@first/@last
+function lookup(path, scopes) {
+  const current = scopes[scopes.length - 1];
+  if (path === 'this' || path === '.') return current.value;
+  if (path.startsWith('@')) return current.meta ? current.meta[path.slice(1)] : undefined;
+
+  const parts = path.replace(/^this\./, '').split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    let value = scopes[i].value;
+    if (value === null || typeof value !== 'object' || !(parts[0] in value)) continue;
+    for (const part of parts) {
+      value = value === null || value === undefined ? undefined : value[part];
+    }
+    return value;
+  }
+  return undefined;
+}
+
+function evaluateArg(arg, scopes) {
+  if (/^(".*"|'.*')$/.test(arg)) return arg.slice(1, -1);
+  if (/^-?\d+(\.\d+)?$/.test(arg)) return Number(arg);
+  return lookup(arg, scopes);
+}
+
+function renderNodes(nodes, scopes) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'var':
+        output += stringify(lookup(node.path, scopes));
+        break;
+      case 'helper':
+        output += HELPERS[node.name](...node.args.map((arg) => evaluateArg(arg, scopes)));
+        break;
+      case 'block':
+        output += renderBlock(node, scopes);
+        break;
+      default:
+        break;
+    }
+  }
+  return output;
+}
+
+function renderBlock(node, scopes) {
+  if (FORMATS[node.name]) {
+    return wrap(node.name, renderNodes(node.children, scopes));
+  }
+
+  const value = evaluateArg(node.args[0], scopes);
+
+  if (node.name === 'if' || node.name === 'unless') {
+    const condition = node.name === 'if' ? isTruthy(value) : !isTruthy(value);
+    if (condition) return renderNodes(node.children, scopes);
+    return node.inverse ? renderNodes(node.inverse, scopes) : '';
+  }
+
+  // each
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : value && typeof value === 'object' ? Object.entries(value) : [];
+
+  if (entries.length === 0) {
+    return node.inverse ? renderNodes(node.inverse, scopes) : '';
+  }
+
+  return entries.map(([key, item], index) => renderNodes(node.children, [
+    ...scopes,
+    { value: item, meta: { index, key, first: index === 0, last: index === entries.length - 1 } }
+  ])).join('');
+}
+
+function render(source, data = {}) {
+  return renderNodes(compile(source).children, [{ value: data }]);
+}
+
+// Throws a "Template syntax error: ..." Error if the template cannot be parsed
+function validate(source) {
+  compile(source);
+  return true;
+}
+
+module.exports = { render, validate, HELPERS: Object.keys(HELPERS) };